@@ -43,6 +43,7 @@ class WebGLCanvas {
                 preserveDrawingBuffer: true,
                 antialias: true,
                 alpha: true,
+                stencil: true,
                 premultipliedAlpha: true,
                 failIfMajorPerformanceCaveat: false,
                 powerPreference: 'default'
@@ -50,6 +51,7 @@ class WebGLCanvas {
                 preserveDrawingBuffer: true,
                 antialias: false,
                 alpha: true,
+                stencil: true,
                 premultipliedAlpha: true,
                 failIfMajorPerformanceCaveat: false,
                 powerPreference: 'default'
@@ -63,50 +65,12 @@ class WebGLCanvas {
             this.setupContextLossHandling();
         }
 
-        // State management
-        this.state = {
-            fillStyle: [1, 1, 1, 1], // white
-            strokeStyle: [0, 0, 0, 1], // black
-            lineWidth: 1,
-            lineCap: 'butt',
-            lineJoin: 'miter',
-            miterLimit: 10,
-            lineDashOffset: 0,
-            lineDash: [],
-            globalAlpha: 1,
-            globalCompositeOperation: 'source-over',
-            textAlign: 'start',
-            textBaseline: 'alphabetic',
-            font: '10px sans-serif',
-            shadowColor: [0, 0, 0, 0],
-            shadowBlur: 0,
-            shadowOffsetX: 0,
-            shadowOffsetY: 0,
-            imageSmoothingEnabled: true,
-            transform: this.createIdentityMatrix(),
-
-            // Image color properties
-            imageHue: 0,            // -180 to 180 degrees
-            imageSaturation: 1,     // 0 to 2+ (1 = normal)
-            imageLightness: 0,      // -1 to 1 (0 = normal)
-            imageBrightness: 0,     // -1 to 1 (0 = normal)
-            imageContrast: 1,       // 0 to 2+ (1 = normal)
-            imageOpacity: 1,        // 0 to 1 (1 = opaque)
-            imageColorTint: [0, 0, 0, 0], // RGBA tint color
-            imageColorMode: 0,      // 0=normal, 1=grayscale, 2=sepia, 3=invert, 4=blackwhite
-            imageColorMultiply: [1, 1, 1, 1], // RGBA multiply
-            imageColorAdd: [0, 0, 0, 0],      // RGBA add
-            imageGamma: 1,          // 0.1 to 3 (1 = normal)
-            imageExposure: 0        // -3 to 3 (0 = normal)
-        };
-        this.stateStack = [];
+        // Drawing state, path and offscreen targets of the canvas. Layers have their own set,
+        // swapped in while they are drawn into
+        Object.assign(this, this.createTargetFields(null, this.width, this.height));
 
-        // Path state
-        this.currentPath = [];
-        this.pathStartX = 0;
-        this.pathStartY = 0;
-        this.currentX = 0;
-        this.currentY = 0;
+        // Max distance in device pixels between a curve and the polyline drawn for it
+        this.curveTolerance = 0.25;
 
         // Fullscreen state
         this.isFullscreen = false;
@@ -125,13 +89,63 @@ class WebGLCanvas {
         };
         this.batchBuffers = {};
 
-        // Texture cache for images
+        // Draw queue - runs of batched geometry replayed in submission order.
+        // Draws with a shadow only join a run of the same group, like the glyphs of one text
+        this.drawQueue = [];
+        this.drawGroup = null;
+
+        // Texture cache for images, in least recently used order. Image textures are evicted from the
+        // front when they take more than textureMemoryBudget bytes; handles from loadTexture() are kept
         this.textureCache = new Map();
+        this.textureHandles = new Set();
+        this.textureMemory = 0;
+        this.textureMemoryBudget = this.options.textureMemoryBudget || 256 * 1024 * 1024;
+
+        // Textures one run of images can sample, the size of u_textures in the image shader
+        this.maxImageRunTextures = 4;
         this.fontCache = new Map();
 
+        // Videos and canvases are uploaded again when they change: 'auto' (default) or 'manual' per source.
+        // flushCount tells canvases drawn again after a flush from ones drawn twice in the same frame.
+        // It counts finished flushes, so textures resolved while the queue draws belong to the frame it draws
+        this.textureUpdateModes = new WeakMap();
+        this.flushCount = 0;
+
+        // Sources of shaders added with addShader, and images whose textures were lost with the context,
+        // so both can be rebuilt when the context is restored
+        this.customShaderSources = new Map();
+        this.texturesToRestore = new Set();
+
+        // Post-processing effects from registerPostEffect, compiled with the built-in ones
+        this.postEffectRegistry = new Map();
+        this.startTime = performance.now();
+
+        // Lookup tables from createLUT, uploaded again after a context restore
+        this.luts = new Set();
+
+        // Signed distance field glyphs for text, created on first text draw
+        this.glyphAtlas = null;
+
+        // Gradient color ramps (256x1 textures) keyed by their color stops
+        this.gradientRamps = new Map();
+        this.fillPaintCache = null;
+
         this.currentImageBatch = null;
         this.imageBatchTexture = null;
 
+        // Offscreen layers from createLayer, keyed by the handle returned to the caller,
+        // and the prototype of those handles, built on first use
+        this.layers = new Map();
+        this.layerHandlePrototype = null;
+
+        // CRT display from enableCRT, null while the canvas shows the scene as is
+        this.crt = null;
+
+        // Meshes from createMesh, uploaded again after a context restore, and the buffers
+        // drawWithShader reuses for extra attributes, keyed by attribute name
+        this.meshes = new Set();
+        this.customAttributeBuffers = new Map();
+
         if (this.useWebGL) {
             // Initialize WebGL
             this.init();
@@ -146,7 +160,9 @@ class WebGLCanvas {
                 effects: [],
                 framebuffers: [],
                 currentEffect: 0,
-                tempTextures: []
+                tempTextures: [],
+                stencilBuffers: [],
+                version: 0 // Bumped whenever the effects or their parameters change
             };
             this.createPostProcessingSystem();
 
@@ -159,7 +175,7 @@ class WebGLCanvas {
             // Set initial viewport
             this.gl.viewport(0, 0, this.width, this.height);
             this.gl.enable(this.gl.BLEND);
-            this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+            this.updateBlendMode('source-over');
         }
 
         // Setup fullscreen if enabled
@@ -168,6 +184,51 @@ class WebGLCanvas {
         }
     }
 
+    /*
+     * Create the drawing state of a fresh canvas or layer
+     * @returns {Object} Default styles, transform and image color properties
+     */
+    createDefaultState() {
+        return {
+            fillStyle: [1, 1, 1, 1], // white
+            fillPaint: null, // Gradient or pattern used for fills, fillStyle is white while set
+            strokeStyle: [0, 0, 0, 1], // black
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            miterLimit: 10,
+            lineDashOffset: 0,
+            lineDash: [],
+            globalAlpha: 1,
+            globalCompositeOperation: 'source-over',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            font: '10px sans-serif',
+            shadowColor: [0, 0, 0, 0],
+            shadowBlur: 0,
+            shadowOffsetX: 0,
+            shadowOffsetY: 0,
+            imageSmoothingEnabled: true,
+            transform: this.createIdentityMatrix(),
+            clip: null, // Clip regions in device space, shared by saved states
+
+
+            // Image color properties
+            imageHue: 0,            // -180 to 180 degrees
+            imageSaturation: 1,     // 0 to 2+ (1 = normal)
+            imageLightness: 0,      // -1 to 1 (0 = normal)
+            imageBrightness: 0,     // -1 to 1 (0 = normal)
+            imageContrast: 1,       // 0 to 2+ (1 = normal)
+            imageOpacity: 1,        // 0 to 1 (1 = opaque)
+            imageColorTint: [0, 0, 0, 0], // RGBA tint color
+            imageColorMode: 0,      // 0=normal, 1=grayscale, 2=sepia, 3=invert, 4=blackwhite
+            imageColorMultiply: [1, 1, 1, 1], // RGBA multiply
+            imageColorAdd: [0, 0, 0, 0],      // RGBA add
+            imageGamma: 1,          // 0.1 to 3 (1 = normal)
+            imageExposure: 0        // -3 to 3 (0 = normal)
+        };
+    }
+
     /*
      * Setup pixel scaling for pixel art games
      * Configures canvas internal resolution vs display size
@@ -194,6 +255,366 @@ class WebGLCanvas {
         this.displayHeight = displayHeight;
     }
 
+    /*
+     * Show the canvas through an emulated CRT display
+     * The drawing buffer grows to the canvas size times an integer scale, while drawing keeps
+     * using canvas pixels. Each flush draws the scene and the post-processing chain at canvas
+     * size, upscales the result without filtering and renders the display effects at full size.
+     * @param {Object} options - Display options, see updateCRT
+     */
+    enableCRT(options = {}) {
+        if (this.drawTarget) {
+            throw new Error('CRT display effects apply to the canvas, not to layers');
+        }
+
+        if (this.crt) {
+            this.updateCRT(options);
+            return;
+        }
+
+        this.flush();
+        this.crt = {
+            options: {
+                scale: Math.max(1, Math.floor(this.options.pixelScale)),
+                scanlines: 0.3,
+                mask: 'aperture',
+                maskStrength: 0.2,
+                curvature: 0.06,
+                cornerRadius: 0.03,
+                persistence: 0.0,
+                bleed: 0.0,
+                brightness: 1.2
+            },
+            sourceFramebuffer: null,
+            sourceTexture: null,
+            sourceStencilBuffer: null,
+            historyFramebuffers: [],
+            historyTextures: [],
+            historyIndex: 0,
+            lastFrame: null
+        };
+        this.updateCRT(options);
+        this.applyCRTScale();
+    }
+
+    /*
+     * Change the options of the CRT display
+     * @param {Object} options - Display options
+     * @param {number} options.scale - Integer upscale factor, the pixelScale option by default
+     * @param {number} options.scanlines - Darkening between the rows of canvas pixels, 0 to 1
+     * @param {string} options.mask - Phosphor pattern: 'aperture' (grille stripes), 'shadow' (staggered triads) or 'none'
+     * @param {number} options.maskStrength - Darkening of the mask, 0 to 1
+     * @param {number} options.curvature - Barrel distortion, 0 for a flat screen
+     * @param {number} options.cornerRadius - Radius of the rounded corners as a share of the shorter side
+     * @param {number} options.persistence - Share of a frame still glowing one 60 Hz frame later, 0 to 1
+     * @param {number} options.bleed - NTSC color bleed along the scanlines, in canvas pixels
+     * @param {number} options.brightness - Gain making up for the darkening of scanlines and mask
+     */
+    updateCRT(options = {}) {
+        if (this.drawTarget) {
+            throw new Error('CRT display effects apply to the canvas, not to layers');
+        }
+
+        const crt = this.crt;
+        if (!crt) return;
+
+        if (options.mask !== undefined && !['aperture', 'shadow', 'none'].includes(options.mask)) {
+            throw new Error(`Unknown CRT mask "${options.mask}"`);
+        }
+
+        const scale = crt.options.scale;
+        Object.assign(crt.options, options);
+        crt.options.scale = Math.max(1, Math.floor(crt.options.scale));
+
+        if (crt.options.scale !== scale && crt.sourceFramebuffer) {
+            this.flush();
+            this.applyCRTScale();
+        }
+    }
+
+    /*
+     * Stop emulating a CRT, the drawing buffer goes back to the canvas size
+     */
+    disableCRT() {
+        if (this.drawTarget) {
+            throw new Error('CRT display effects apply to the canvas, not to layers');
+        }
+        if (!this.crt) return;
+
+        this.flush();
+        this.deleteCRTTargets();
+        this.crt = null;
+
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        if (this.gl && !this.isContextLost()) {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            this.gl.viewport(0, 0, this.width, this.height);
+        }
+    }
+
+    /*
+     * Size the drawing buffer for the CRT scale and recreate the display targets
+     */
+    applyCRTScale() {
+        const scale = this.crt.options.scale;
+
+        this.deleteCRTTargets();
+        this.canvas.width = this.width * scale;
+        this.canvas.height = this.height * scale;
+        this.createCRTTargets();
+    }
+
+    /*
+     * Create the canvas-sized target the scene is drawn into while the CRT display is on
+     * It stays bound between flushes, so clears and custom shaders also draw into the scene.
+     */
+    createCRTTargets() {
+        const gl = this.gl;
+        const crt = this.crt;
+        if (!gl || this.isContextLost()) return;
+
+        crt.sourceTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, crt.sourceTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // Stencil attachment for clipping while drawing the scene
+        crt.sourceStencilBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, crt.sourceStencilBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, this.width, this.height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+        crt.sourceFramebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, crt.sourceFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, crt.sourceTexture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, crt.sourceStencilBuffer);
+
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            // console.error('CRT source framebuffer is not complete');
+        }
+
+        gl.viewport(0, 0, this.width, this.height);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        crt.lastFrame = null;
+    }
+
+    /*
+     * Create the two drawing buffer sized targets phosphor persistence alternates between
+     */
+    createCRTHistory() {
+        const gl = this.gl;
+        const crt = this.crt;
+        const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+
+        for (let i = 0; i < 2; i++) {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.canvas.width, this.canvas.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+            const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+
+            crt.historyTextures.push(texture);
+            crt.historyFramebuffers.push(framebuffer);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+    }
+
+    /*
+     * Release the targets of the CRT display
+     */
+    deleteCRTTargets() {
+        const gl = this.gl;
+        const crt = this.crt;
+
+        if (gl && !this.isContextLost()) {
+            if (crt.sourceFramebuffer) gl.deleteFramebuffer(crt.sourceFramebuffer);
+            if (crt.sourceTexture) gl.deleteTexture(crt.sourceTexture);
+            if (crt.sourceStencilBuffer) gl.deleteRenderbuffer(crt.sourceStencilBuffer);
+            crt.historyFramebuffers.forEach(fb => gl.deleteFramebuffer(fb));
+            crt.historyTextures.forEach(tex => gl.deleteTexture(tex));
+        }
+
+        crt.sourceFramebuffer = null;
+        crt.sourceTexture = null;
+        crt.sourceStencilBuffer = null;
+        crt.historyFramebuffers = [];
+        crt.historyTextures = [];
+    }
+
+    /*
+     * Render the scene onto the drawing buffer through the CRT display
+     * Leaves the scene target bound for the drawing that follows.
+     */
+    renderCRT() {
+        const gl = this.gl;
+        const crt = this.crt;
+        const options = crt.options;
+        const program = this.shaders.postCRT;
+
+        // Scale the share of the last frame by the time since, so the glow fades at any frame rate
+        const now = performance.now();
+        const elapsed = crt.lastFrame === null ? 0 : now - crt.lastFrame;
+        crt.lastFrame = now;
+        const persistence = Math.max(0, Math.min(1, options.persistence));
+        const decay = persistence > 0 ? Math.pow(persistence, elapsed / (1000 / 60)) : 0;
+
+        if (persistence > 0 && crt.historyFramebuffers.length === 0) {
+            this.createCRTHistory();
+        }
+
+        gl.disable(gl.BLEND);
+        gl.useProgram(program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, crt.sourceTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_texture'), 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, persistence > 0 ? crt.historyTextures[crt.historyIndex] : null);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_previous'), 1);
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.uniform2f(gl.getUniformLocation(program, 'u_sourceSize'), this.width, this.height);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_displaySize'), this.canvas.width, this.canvas.height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_scanlines'), options.scanlines);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_mask'), ['none', 'shadow', 'aperture'].indexOf(options.mask));
+        gl.uniform1f(gl.getUniformLocation(program, 'u_maskStrength'), options.maskStrength);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_curvature'), options.curvature);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_cornerRadius'), options.cornerRadius);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_decay'), decay);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_bleed'), options.bleed);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_brightness'), options.brightness);
+
+        // With persistence the frame goes to the history first, it is read back next frame
+        let output = null;
+        if (persistence > 0) {
+            crt.historyIndex = 1 - crt.historyIndex;
+            output = crt.historyFramebuffers[crt.historyIndex];
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, output);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        this.renderFullscreenQuad(program);
+
+        if (output) {
+            const passthrough = this.shaders.postPassthrough;
+            gl.useProgram(passthrough);
+            gl.bindTexture(gl.TEXTURE_2D, crt.historyTextures[crt.historyIndex]);
+            gl.uniform1i(gl.getUniformLocation(passthrough, 'u_texture'), 0);
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this.renderFullscreenQuad(passthrough);
+        }
+
+        gl.enable(gl.BLEND);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, crt.sourceFramebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+        this.checkGLError('renderCRT');
+    }
+
+    /*
+     * Fragment shader of the CRT display, rendered at drawing buffer size from the canvas-sized scene
+     * Colors are premultiplied, the mask and scanlines darken them in place.
+     */
+    getCRTFragmentShaderSource() {
+        return `
+        #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+        #else
+        precision mediump float;
+        #endif
+        uniform sampler2D u_texture;
+        uniform sampler2D u_previous;
+        uniform vec2 u_sourceSize;      // Canvas size in pixels
+        uniform vec2 u_displaySize;     // Drawing buffer size in pixels
+        uniform float u_scanlines;
+        uniform int u_mask;             // 0 = none, 1 = shadow mask, 2 = aperture grille
+        uniform float u_maskStrength;
+        uniform float u_curvature;
+        uniform float u_cornerRadius;
+        uniform float u_decay;          // Share of the previous frame still glowing
+        uniform float u_bleed;
+        uniform float u_brightness;
+        varying vec2 v_texCoord;
+
+        const mat3 toYIQ = mat3(0.299, 0.596, 0.211, 0.587, -0.274, -0.523, 0.114, -0.322, 0.312);
+        const mat3 toRGB = mat3(1.0, 1.0, 1.0, 0.956, -0.272, -1.106, 0.621, -0.647, 1.703);
+
+        // Integer upscale: every display pixel takes the canvas pixel it falls into
+        vec4 sourcePixel(vec2 pixel) {
+            return texture2D(u_texture, (floor(pixel) + 0.5) / u_sourceSize);
+        }
+
+        void main() {
+            // Barrel distortion
+            vec2 centered = v_texCoord * 2.0 - 1.0;
+            centered *= 1.0 + u_curvature * centered.yx * centered.yx;
+            vec2 uv = centered * 0.5 + 0.5;
+
+            // Rounded screen edges, antialiased over one display pixel
+            float radius = u_cornerRadius * min(u_displaySize.x, u_displaySize.y);
+            vec2 corner = abs((uv - 0.5) * u_displaySize) - (u_displaySize * 0.5 - radius);
+            float edge = length(max(corner, 0.0)) + min(max(corner.x, corner.y), 0.0) - radius;
+            float inside = clamp(0.5 - edge, 0.0, 1.0);
+
+            vec2 pixel = uv * u_sourceSize;
+            vec4 texel = sourcePixel(pixel);
+            vec3 color = texel.rgb;
+
+            // NTSC bleed: chroma smears along the scanline, luma stays sharp
+            if (u_bleed > 0.0) {
+                vec2 chroma = vec2(0.0);
+                float total = 0.0;
+                for (int i = -2; i <= 2; i++) {
+                    float weight = 3.0 - abs(float(i));
+                    chroma += (toYIQ * sourcePixel(pixel + vec2(float(i) * u_bleed * 0.5, 0.0)).rgb).yz * weight;
+                    total += weight;
+                }
+                color = toRGB * vec3((toYIQ * color).x, chroma / total);
+            }
+
+            // Scanlines, darkest between two rows of canvas pixels
+            float row = fract(pixel.y) - 0.5;
+            color *= 1.0 - u_scanlines * row * row * 4.0;
+
+            // Phosphor mask in display pixels
+            if (u_mask > 0) {
+                vec2 position = floor(gl_FragCoord.xy);
+                float stripe = u_mask == 1
+                    ? floor(mod(position.x + position.y * 3.0, 6.0) / 2.0)
+                    : mod(position.x, 3.0);
+                vec3 mask = vec3(1.0 - u_maskStrength);
+                if (stripe < 0.5) mask.r = 1.0;
+                else if (stripe < 1.5) mask.g = 1.0;
+                else mask.b = 1.0;
+                color *= mask;
+            }
+
+            color = clamp(color * u_brightness, 0.0, texel.a);
+            vec4 result = vec4(color, texel.a) * inside;
+
+            // Phosphor persistence, lit phosphors fade out over the next frames
+            gl_FragColor = max(result, texture2D(u_previous, v_texCoord) * u_decay);
+        }
+    `;
+    }
+
     /*
      * Create optimized batch buffers for different shape types
      */
@@ -251,20 +672,17 @@ class WebGLCanvas {
             indexData: new Uint16Array(batchSize * 6)
         };
 
-        // Line batch buffer
-        this.batchBuffers.lines = {
-            vertices: gl.createBuffer(),
-            colors: gl.createBuffer(),
-            maxVertices: batchSize * 2,
-            currentVertices: 0,
-            vertexData: new Float32Array(batchSize * 2 * 2), // x, y for each vertex
-            colorData: new Float32Array(batchSize * 2 * 4)   // r, g, b, a for each vertex
-        };
-
-        // Image batch buffer
+        // Image batch buffer, each vertex picks one of the textures of its run and carries the image colors
+        // of its draw, so images with different color settings share a run
         this.batchBuffers.images = {
             vertices: gl.createBuffer(),
             texCoords: gl.createBuffer(),
+            imageIndices: gl.createBuffer(),
+            colorAdjusts: gl.createBuffer(),
+            colorLevels: gl.createBuffer(),
+            colorTints: gl.createBuffer(),
+            colorMultiplies: gl.createBuffer(),
+            colorAdds: gl.createBuffer(),
             indices: gl.createBuffer(),
             maxQuads: batchSize,
             maxVertices: batchSize * 4,
@@ -274,9 +692,33 @@ class WebGLCanvas {
             currentIndices: 0,
             vertexData: new Float32Array(batchSize * 4 * 2),
             texCoordData: new Float32Array(batchSize * 4 * 2),
+            imageIndexData: new Float32Array(batchSize * 4 * 2),     // texture of the run, color mode
+            colorAdjustData: new Float32Array(batchSize * 4 * 4),    // hue, saturation, lightness, brightness
+            colorLevelData: new Float32Array(batchSize * 4 * 4),     // contrast, opacity, gamma, exposure
+            colorTintData: new Float32Array(batchSize * 4 * 4),
+            colorMultiplyData: new Float32Array(batchSize * 4 * 4),
+            colorAddData: new Float32Array(batchSize * 4 * 4),
             indexData: new Uint16Array(batchSize * 6),
             currentTexture: null
         };
+
+        // Text batch buffer (one quad per glyph, all glyphs share the glyph atlas)
+        this.batchBuffers.text = {
+            vertices: gl.createBuffer(),
+            texCoords: gl.createBuffer(),
+            colors: gl.createBuffer(),
+            sdfParams: gl.createBuffer(),
+            indices: gl.createBuffer(),
+            maxVertices: batchSize * 4,
+            maxIndices: batchSize * 6,
+            currentVertices: 0,
+            currentIndices: 0,
+            vertexData: new Float32Array(batchSize * 4 * 2),
+            texCoordData: new Float32Array(batchSize * 4 * 2),
+            colorData: new Float32Array(batchSize * 4 * 4),
+            sdfParamData: new Float32Array(batchSize * 4 * 2), // edge smoothing, half stroke width
+            indexData: new Uint16Array(batchSize * 6)
+        };
     }
 
     /*
@@ -406,8 +848,9 @@ class WebGLCanvas {
 
     /*
      * Create framebuffers for post-processing pipeline
+     * @param {Object} post - Post-processing chain to create them for (the canvas' by default), sized like the drawing target
      */
-    createPostProcessingFramebuffers() {
+    createPostProcessingFramebuffers(post = this.postProcessing) {
         const gl = this.gl;
 
         // Create two framebuffers for ping-ponging between effects
@@ -422,18 +865,26 @@ class WebGLCanvas {
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
+            // Stencil attachment so clipping also works while rendering the scene offscreen
+            const stencilBuffer = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, stencilBuffer);
+            gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, this.width, this.height);
+
             gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
             gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, stencilBuffer);
 
             if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
                 // console.error('Framebuffer is not complete');
             }
 
-            this.postProcessing.framebuffers.push(framebuffer);
-            this.postProcessing.tempTextures.push(texture);
+            post.framebuffers.push(framebuffer);
+            post.tempTextures.push(texture);
+            post.stencilBuffers.push(stencilBuffer);
         }
 
         // Unbind framebuffer
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
 
@@ -467,17 +918,7 @@ class WebGLCanvas {
      */
     createPostProcessingShaders() {
         // Base vertex shader for all post-processing effects
-        const postVertexShader = `
-        precision mediump float;
-        attribute vec2 a_position;
-        attribute vec2 a_texCoord;
-        varying vec2 v_texCoord;
-        
-        void main() {
-            gl_Position = vec4(a_position, 0.0, 1.0);
-            v_texCoord = a_texCoord;
-        }
-    `;
+        const postVertexShader = this.getPostVertexShaderSource();
 
         // Pass-through fragment shader (no effect)
         const passthroughFragmentShader = `
@@ -561,7 +1002,11 @@ class WebGLCanvas {
         
         // Add bloom to original with strength multiplier
         vec3 result = original + bloom * u_bloomStrength;
-        gl_FragColor = vec4(result, 1.0);
+
+        // Keep the coverage of the source, glow spreading into transparent areas covers them
+        float alpha = texture2D(u_texture, v_texCoord).a;
+        alpha = max(alpha, clamp(max(result.r, max(result.g, result.b)), 0.0, 1.0));
+        gl_FragColor = vec4(result, alpha);
     }
 `;
 
@@ -580,6 +1025,7 @@ class WebGLCanvas {
             vec3 rgbSW = texture2D(u_texture, v_texCoord + vec2(-1.0, 1.0) * texelSize).rgb;
             vec3 rgbSE = texture2D(u_texture, v_texCoord + vec2(1.0, 1.0) * texelSize).rgb;
             vec3 rgbM  = texture2D(u_texture, v_texCoord).rgb;
+            float alpha = texture2D(u_texture, v_texCoord).a;
             
             vec3 luma = vec3(0.299, 0.587, 0.114);
             float lumaNW = dot(rgbNW, luma);
@@ -592,7 +1038,7 @@ class WebGLCanvas {
             float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
             
             if(lumaMax - lumaMin < 0.1) {
-                gl_FragColor = vec4(rgbM, 1.0);
+                gl_FragColor = vec4(rgbM, alpha);
                 return;
             }
             
@@ -615,9 +1061,9 @@ class WebGLCanvas {
             float lumaB = dot(rgbB, luma);
             
             if((lumaB < lumaMin) || (lumaB > lumaMax)) {
-                gl_FragColor = vec4(rgbA, 1.0);
+                gl_FragColor = vec4(rgbA, alpha);
             } else {
-                gl_FragColor = vec4(rgbB, 1.0);
+                gl_FragColor = vec4(rgbB, alpha);
             }
         }
     `;
@@ -703,30 +1149,267 @@ class WebGLCanvas {
         }
     `;
 
-        // Create shader programs
-        this.shaders.postPassthrough = this.createShaderProgram(postVertexShader, passthroughFragmentShader);
-        this.shaders.postBlur = this.createShaderProgram(postVertexShader, blurFragmentShader);
-        this.shaders.postBloomExtract = this.createShaderProgram(postVertexShader, bloomExtractFragmentShader);
-        this.shaders.postBloomCombine = this.createShaderProgram(postVertexShader, bloomCombineFragmentShader);
-        this.shaders.postFXAA = this.createShaderProgram(postVertexShader, fxaaFragmentShader);
-        this.shaders.postChromaticAberration = this.createShaderProgram(postVertexShader, chromaticAberrationFragmentShader);
-        this.shaders.postVignette = this.createShaderProgram(postVertexShader, vignetteFragmentShader);
-        this.shaders.postColorGrading = this.createShaderProgram(postVertexShader, colorGradingFragmentShader);
-        this.shaders.postPixelate = this.createShaderProgram(postVertexShader, pixelateFragmentShader);
-    }
-
-    /*
+        // 3D lookup table fragment shader
+        // The LUT is stored as a grid of square tiles, one per blue slice: red runs across a tile,
+        // green down it. Two slices are sampled with linear filtering and mixed for trilinear interpolation.
+        const lutFragmentShader = `
+        #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+        #else
+        precision mediump float;
+        #endif
+        uniform sampler2D u_texture;
+        uniform sampler2D u_lut;
+        uniform sampler2D u_blendLut;
+        uniform vec4 u_lutLayout;       // size, tiles per row, texture width, texture height
+        uniform vec4 u_blendLutLayout;
+        uniform vec3 u_lutDomainMin;
+        uniform vec3 u_lutDomainMax;
+        uniform vec3 u_blendLutDomainMin;
+        uniform vec3 u_blendLutDomainMax;
+        uniform vec2 u_lutFlipY;        // Green runs up the tiles, per LUT
+        uniform vec2 u_hasLut;          // 0 leaves the color ungraded, per LUT
+        uniform float u_blend;
+        uniform float u_intensity;
+        varying vec2 v_texCoord;
+
+        vec3 sampleLut(sampler2D lut, vec3 color, vec4 layout, vec3 domainMin, vec3 domainMax, float flipY) {
+            float size = layout.x;
+            float tiles = layout.y;
+            vec3 c = clamp((color - domainMin) / (domainMax - domainMin), 0.0, 1.0) * (size - 1.0);
+            c.g = mix(c.g, size - 1.0 - c.g, flipY);
+
+            float slice0 = floor(c.b);
+            float slice1 = min(slice0 + 1.0, size - 1.0);
+            float row0 = floor((slice0 + 0.5) / tiles);
+            float row1 = floor((slice1 + 0.5) / tiles);
+            vec2 texel = c.rg + 0.5;
+
+            vec2 uv0 = (vec2(slice0 - row0 * tiles, row0) * size + texel) / layout.zw;
+            vec2 uv1 = (vec2(slice1 - row1 * tiles, row1) * size + texel) / layout.zw;
+            return mix(texture2D(lut, uv0).rgb, texture2D(lut, uv1).rgb, c.b - slice0);
+        }
+
+        void main() {
+            vec4 texel = texture2D(u_texture, v_texCoord);
+            vec3 color = texel.a > 0.0 ? texel.rgb / texel.a : texel.rgb;
+
+            vec3 gradedA = mix(color, sampleLut(u_lut, color, u_lutLayout, u_lutDomainMin, u_lutDomainMax, u_lutFlipY.x), u_hasLut.x);
+            vec3 gradedB = mix(color, sampleLut(u_blendLut, color, u_blendLutLayout, u_blendLutDomainMin, u_blendLutDomainMax, u_lutFlipY.y), u_hasLut.y);
+            vec3 graded = mix(color, mix(gradedA, gradedB, u_blend), u_intensity);
+
+            gl_FragColor = vec4(graded * texel.a, texel.a);
+        }
+    `;
+
+        // Feedback fragment shader
+        // Composites the scene with the previous result, moved by the drift and blurred along a direction
+        const feedbackFragmentShader = `
+        precision mediump float;
+        uniform sampler2D u_texture;
+        uniform sampler2D u_history;
+        uniform vec2 u_resolution;
+        uniform float u_decay;
+        uniform vec3 u_tint;
+        uniform float u_zoom;
+        uniform float u_rotation;
+        uniform vec2 u_offset;          // Pixels, y up
+        uniform vec2 u_blur;            // Blur vector in pixels, y up
+        uniform int u_mode;             // 0 = over, 1 = add, 2 = max
+        varying vec2 v_texCoord;
+
+        void main() {
+            // Where the history for this pixel comes from, rotating and zooming around the center
+            vec2 position = v_texCoord * u_resolution - u_resolution * 0.5;
+            float s = sin(u_rotation);
+            float c = cos(u_rotation);
+            position = mat2(c, s, -s, c) * position / u_zoom;
+            vec2 uv = (position + u_resolution * 0.5 - u_offset) / u_resolution;
+
+            vec4 history = vec4(0.0);
+            for (int i = 0; i < 7; i++) {
+                vec2 tap = uv + u_blur * (float(i) / 6.0 - 0.5) / u_resolution;
+                vec2 inside = step(vec2(0.0), tap) * step(tap, vec2(1.0));
+                history += texture2D(u_history, tap) * inside.x * inside.y;
+            }
+            history = history / 7.0 * vec4(u_tint, 1.0) * u_decay;
+
+            vec4 current = texture2D(u_texture, v_texCoord);
+            if (u_mode == 1) {
+                gl_FragColor = current + history;
+            } else if (u_mode == 2) {
+                gl_FragColor = max(current, history);
+            } else {
+                gl_FragColor = current + history * (1.0 - current.a);
+            }
+        }
+    `;
+
+        // Create shader programs
+        this.shaders.postPassthrough = this.createShaderProgram(postVertexShader, passthroughFragmentShader);
+        this.shaders.postBlur = this.createShaderProgram(postVertexShader, blurFragmentShader);
+        this.shaders.postBloomExtract = this.createShaderProgram(postVertexShader, bloomExtractFragmentShader);
+        this.shaders.postBloomCombine = this.createShaderProgram(postVertexShader, bloomCombineFragmentShader);
+        this.shaders.postFXAA = this.createShaderProgram(postVertexShader, fxaaFragmentShader);
+        this.shaders.postChromaticAberration = this.createShaderProgram(postVertexShader, chromaticAberrationFragmentShader);
+        this.shaders.postVignette = this.createShaderProgram(postVertexShader, vignetteFragmentShader);
+        this.shaders.postColorGrading = this.createShaderProgram(postVertexShader, colorGradingFragmentShader);
+        this.shaders.postPixelate = this.createShaderProgram(postVertexShader, pixelateFragmentShader);
+        this.shaders.postLUT = this.createShaderProgram(postVertexShader, lutFragmentShader);
+        this.shaders.postFeedback = this.createShaderProgram(postVertexShader, feedbackFragmentShader);
+        this.shaders.postCRT = this.createShaderProgram(postVertexShader, this.getCRTFragmentShaderSource());
+
+        // Registered effects, again after a context restore
+        for (const entry of this.postEffectRegistry.values()) {
+            entry.program = this.createPostEffectProgram(entry.fragmentSource);
+        }
+    }
+
+    /*
+     * Compile the shader of a registered effect
+     * Keeps the type and array size of each uniform on the program, as addShader does, so
+     * parameters are uploaded as the shader declares them.
+     * @param {string} fragmentSource - GLSL fragment shader source
+     * @returns {WebGLProgram} Program with uniformTypes by uniform name
+     */
+    createPostEffectProgram(fragmentSource) {
+        const gl = this.gl;
+        const program = this.createShaderProgram(this.getPostVertexShaderSource(), fragmentSource);
+        const uniformTypes = {};
+
+        const numUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < numUniforms; i++) {
+            const info = gl.getActiveUniform(program, i);
+            if (info) {
+                // Arrays are reported as name[0]
+                uniformTypes[info.name.replace(/\[0\]$/, '')] = { type: info.type, size: info.size };
+            }
+        }
+
+        program.uniformTypes = uniformTypes;
+        return program;
+    }
+
+    /*
+     * Vertex shader shared by all post-processing effects
+     * Passes the fullscreen quad through and hands v_texCoord to the fragment shader
+     */
+    getPostVertexShaderSource() {
+        return `
+        precision mediump float;
+        attribute vec2 a_position;
+        attribute vec2 a_texCoord;
+        varying vec2 v_texCoord;
+        
+        void main() {
+            gl_Position = vec4(a_position, 0.0, 1.0);
+            v_texCoord = a_texCoord;
+        }
+    `;
+    }
+
+    /*
+     * Names of the built-in post-processing effects
+     */
+    getBuiltInPostEffects() {
+        return [
+            'blur', 'bloom', 'bloomExtract', 'bloomCombine', 'fxaa',
+            'chromaticAberration', 'vignette', 'colorGrading', 'pixelate', 'lut', 'feedback'
+        ];
+    }
+
+    /*
+     * Register a custom post-processing effect
+     * The fragment shader gets the previous result as u_texture and v_texCoord from the shared
+     * vertex shader. u_resolution (target size in pixels), u_time (seconds since the canvas was
+     * created) and u_pass (int, index of the current pass) are set when declared. Every entry of
+     * options.uniforms is a parameter of the effect, uploaded to the uniform with a u_ prefix as the
+     * type the shader declares.
+     * @param {string} name - Effect name for addPostEffect, updatePostEffect and removePostEffect
+     * @param {string} fragmentSource - GLSL fragment shader source
+     * @param {Object} options - Effect options
+     * @param {Object} options.uniforms - Default parameters: numbers, booleans, arrays (flattened for
+     *   arrays of vectors and matrices), or layers, textures and images for samplers
+     * @param {number|Array<Object>} options.passes - Number of passes, or one object of parameter overrides per pass
+     */
+    registerPostEffect(name, fragmentSource, options = {}) {
+        if (this.getBuiltInPostEffects().includes(name)) {
+            throw new Error(`Cannot register post effect "${name}", it is a built-in effect`);
+        }
+
+        const passes = options.passes === undefined ? 1 : options.passes;
+        if (!(Array.isArray(passes) ? passes.length > 0 : Number.isInteger(passes) && passes > 0)) {
+            throw new Error(`Invalid passes for post effect "${name}"`);
+        }
+
+        // Compile first, so a broken shader leaves a registered effect of the same name in place
+        let program = null;
+        if (this.gl && !this.isContextLost()) {
+            program = this.createPostEffectProgram(fragmentSource);
+        }
+
+        const previous = this.postEffectRegistry.get(name);
+        if (previous && previous.program && this.gl && !this.isContextLost()) {
+            this.gl.deleteProgram(previous.program);
+        }
+
+        this.postEffectRegistry.set(name, {
+            fragmentSource,
+            uniforms: { ...(options.uniforms || {}) },
+            passes,
+            program,
+            usesTime: /\bu_time\b/.test(fragmentSource)
+        });
+    }
+
+    /*
+     * Remove a registered post-processing effect, and take it out of the canvas and layer chains
+     * @param {string} name - Effect name
+     */
+    unregisterPostEffect(name) {
+        const entry = this.postEffectRegistry.get(name);
+        if (!entry) return;
+
+        if (entry.program && this.gl && !this.isContextLost()) {
+            this.gl.deleteProgram(entry.program);
+        }
+        this.postEffectRegistry.delete(name);
+
+        const chains = [this.postProcessing, ...[...this.layers.values()].map(layer => layer.postProcessing)];
+        for (const post of chains) {
+            post.effects = post.effects.filter(effect => effect.name !== name);
+            post.version++;
+            if (post.effects.length === 0) {
+                post.enabled = false;
+            }
+        }
+    }
+
+    /*
+     * Get the post-processing chain of the drawing target
+     * Layers have a chain of their own, applied when they are drawn onto another target
+     * @returns {Object} Post-processing chain with its effects and ping-pong framebuffers
+     */
+    getPostProcessing() {
+        return this.drawTarget ? this.drawTarget.postProcessing : this.postProcessing;
+    }
+
+    /*
      * Enable post-processing
      */
     enablePostProcessing() {
-        this.postProcessing.enabled = true;
+        const post = this.getPostProcessing();
+        post.enabled = true;
+        post.version++;
     }
 
     /*
      * Disable post-processing
      */
     disablePostProcessing() {
-        this.postProcessing.enabled = false;
+        const post = this.getPostProcessing();
+        post.enabled = false;
+        post.version++;
     }
 
     /*
@@ -781,9 +1464,44 @@ class WebGLCanvas {
                     ...parameters
                 };
                 break;
+            case 'lut':
+                effect.parameters = {
+                    lut: null,
+                    blendLut: null,
+                    blend: 0.0,
+                    intensity: 1.0,
+                    ...parameters
+                };
+                break;
+            case 'feedback':
+                effect.parameters = {
+                    decay: 0.9,
+                    tint: [1.0, 1.0, 1.0],
+                    zoom: 1.0,
+                    rotation: 0.0,
+                    offset: [0, 0],
+                    blur: 0.0,
+                    blurAngle: 0.0,
+                    mode: 'over',
+                    ...parameters
+                };
+                // Previous result, created on first use at the size of the target
+                effect.history = null;
+                break;
+            default: {
+                const entry = this.postEffectRegistry.get(effectName);
+                if (entry) {
+                    effect.parameters = {
+                        ...entry.uniforms,
+                        ...parameters
+                    };
+                } else if (!this.getBuiltInPostEffects().includes(effectName)) {
+                    throw new Error(`Unknown post effect "${effectName}", register it with registerPostEffect() first`);
+                }
+            }
         }
 
-        this.postProcessing.effects.push(effect);
+        this.getPostProcessing().effects.push(effect);
         this.enablePostProcessing();
     }
 
@@ -791,7 +1509,9 @@ class WebGLCanvas {
      * Clear all post-processing effects
      */
     clearPostEffects() {
-        this.postProcessing.effects = [];
+        const post = this.getPostProcessing();
+        post.effects.forEach(effect => this.releaseFeedbackHistory(effect));
+        post.effects = [];
         this.disablePostProcessing();
     }
 
@@ -799,9 +1519,11 @@ class WebGLCanvas {
      * Update parameters for a specific post-processing effect
      */
     updatePostEffect(effectName, parameters) {
-        const effect = this.postProcessing.effects.find(e => e.name === effectName);
+        const post = this.getPostProcessing();
+        const effect = post.effects.find(e => e.name === effectName);
         if (effect) {
             Object.assign(effect.parameters, parameters);
+            post.version++;
         }
     }
 
@@ -809,91 +1531,113 @@ class WebGLCanvas {
      * Remove a specific post-processing effect
      */
     removePostEffect(effectName) {
-        this.postProcessing.effects = this.postProcessing.effects.filter(e => e.name !== effectName);
-        if (this.postProcessing.effects.length === 0) {
+        const post = this.getPostProcessing();
+        post.effects.filter(e => e.name === effectName).forEach(effect => this.releaseFeedbackHistory(effect));
+        post.effects = post.effects.filter(e => e.name !== effectName);
+        post.version++;
+        if (post.effects.length === 0) {
             this.disablePostProcessing();
         }
     }
 
     /*
      * Render post-processing effects
+     * The canvas goes from the scene framebuffer to the screen (or to the CRT display), a layer from its texture to its output texture
      */
     renderPostProcessing() {
-        if (!this.postProcessing.enabled || this.postProcessing.effects.length === 0) {
+        const post = this.getPostProcessing();
+        if (!post.enabled || post.effects.length === 0) {
             return;
         }
 
         const gl = this.gl;
+        const layer = this.drawTarget;
+        const outputFramebuffer = layer ? layer.outputFramebuffer : this.crt ? this.crt.sourceFramebuffer : null;
+        const stages = this.getPostProcessingStages(post.effects);
+
+        // Ping-pong between the two framebuffers, the canvas scene starts out in the first one
+        let inputTexture = layer ? layer.texture : post.tempTextures[0];
+        let inputIndex = layer ? -1 : 0;
+
+        for (let i = 0; i < stages.length; i++) {
+            const stage = stages[i];
+            const isLastStage = i === stages.length - 1;
+            const targetIndex = inputIndex === 1 ? 0 : 1;
+            const framebuffer = isLastStage ? outputFramebuffer : post.framebuffers[targetIndex];
+
+            if (stage.bloom) {
+                // The blur inside bloom borrows the framebuffer the stage writes last
+                this.renderBloomEffect(stage, inputTexture, framebuffer, targetIndex);
+            } else {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                gl.viewport(0, 0, this.width, this.height);
+                gl.clear(gl.COLOR_BUFFER_BIT);
 
-        // For bloom, we need special handling with multiple passes
-        const hasBloom = this.postProcessing.effects.some(e =>
-            e.name === 'bloomExtract' || e.name === 'bloomCombine'
-        );
+                this.renderPostEffect(stage.effect, inputTexture, stage.pass);
+            }
 
-        if (hasBloom) {
-            this.renderBloomEffect();
-            return;
+            inputTexture = post.tempTextures[targetIndex];
+            inputIndex = targetIndex;
         }
+    }
 
-        // Original post-processing for non-bloom effects
-        let inputTexture = this.postProcessing.tempTextures[0];
-        let sourceFramebuffer = 0;
-        let targetFramebuffer = 1;
-
-        for (let i = 0; i < this.postProcessing.effects.length; i++) {
-            const effect = this.postProcessing.effects[i];
-            const isLastEffect = i === this.postProcessing.effects.length - 1;
-
-            if (isLastEffect) {
-                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-            } else {
-                gl.bindFramebuffer(gl.FRAMEBUFFER, this.postProcessing.framebuffers[targetFramebuffer]);
+    /*
+     * Split a chain of effects into the passes rendered one after the other
+     * The extract, blur and combine effects added by addBloom render together as one stage,
+     * registered effects with several passes take one stage per pass
+     * @param {Array<Object>} effects - Effects of a post-processing chain
+     * @returns {Array<Object>} Stages, either { effect, pass } or { bloom: true, extract, blur, combine }
+     */
+    getPostProcessingStages(effects) {
+        const stages = [];
+
+        for (let i = 0; i < effects.length; i++) {
+            const effect = effects[i];
+
+            if (effect.name === 'bloomExtract' || effect.name === 'bloomCombine') {
+                const stage = { bloom: true, extract: null, blur: null, combine: null };
+                if (effect.name === 'bloomExtract') {
+                    stage.extract = effect;
+                    if (effects[i + 1] && effects[i + 1].name === 'blur') stage.blur = effects[++i];
+                    if (effects[i + 1] && effects[i + 1].name === 'bloomCombine') stage.combine = effects[++i];
+                } else {
+                    stage.combine = effect;
+                }
+                stages.push(stage);
+                continue;
             }
 
-            gl.viewport(0, 0, this.width, this.height);
-            gl.clear(gl.COLOR_BUFFER_BIT);
-
-            this.renderPostEffect(effect, inputTexture);
-
-            if (!isLastEffect) {
-                inputTexture = this.postProcessing.tempTextures[targetFramebuffer];
-                const temp = sourceFramebuffer;
-                sourceFramebuffer = targetFramebuffer;
-                targetFramebuffer = temp;
+            const entry = this.postEffectRegistry.get(effect.name);
+            const passes = !entry ? 1 : Array.isArray(entry.passes) ? entry.passes.length : entry.passes;
+            for (let pass = 0; pass < passes; pass++) {
+                stages.push({ effect, pass });
             }
         }
+
+        return stages;
     }
 
     /*
     * Specialized bloom rendering with proper multi-pass setup
+    * @param {Object} bloom - Bloom stage with its extract, blur and combine effects
+    * @param {WebGLTexture} sourceTexture - Scene to bloom
+    * @param {WebGLFramebuffer|null} outputFramebuffer - Where the result goes, null for the screen
+    * @param {number} scratchIndex - Ping-pong framebuffer the blur may use, it must not hold the source
     */
-    renderBloomEffect() {
+    renderBloomEffect(bloom, sourceTexture, outputFramebuffer, scratchIndex) {
         const gl = this.gl;
 
         // Get bloom parameters
-        const extractEffect = this.postProcessing.effects.find(e => e.name === 'bloomExtract');
-        const blurEffect = this.postProcessing.effects.find(e => e.name === 'blur');
-        const combineEffect = this.postProcessing.effects.find(e => e.name === 'bloomCombine');
+        const extractEffect = bloom.extract;
+        const blurEffect = bloom.blur;
+        const combineEffect = bloom.combine;
 
         const threshold = extractEffect ? extractEffect.parameters.threshold : 0.5;
         const blurRadius = blurEffect ? blurEffect.parameters.radius : 2.0;
         const strength = combineEffect ? combineEffect.parameters.strength : 1.0;
 
         // Create bloom framebuffer only once
-        if (!this.bloomFramebuffer) {
-            this.bloomFramebuffer = gl.createFramebuffer();
-            this.bloomTexture = gl.createTexture();
-
-            gl.bindTexture(gl.TEXTURE_2D, this.bloomTexture);
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-
-            gl.bindFramebuffer(gl.FRAMEBUFFER, this.bloomFramebuffer);
-            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.bloomTexture, 0);
-        }
+        this.createBloomFramebuffer();
 
         // Extract bright areas
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.bloomFramebuffer);
@@ -904,17 +1648,17 @@ class WebGLCanvas {
         gl.useProgram(extractProgram);
 
         gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.postProcessing.tempTextures[0]);
+        gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
         gl.uniform1i(gl.getUniformLocation(extractProgram, 'u_texture'), 0);
         gl.uniform1f(gl.getUniformLocation(extractProgram, 'u_bloomThreshold'), threshold);
 
         this.renderFullscreenQuad(extractProgram);
 
         // Combined blur passes (more efficient)
-        this.renderOptimizedBlur(this.bloomTexture, blurRadius);
+        this.renderOptimizedBlur(this.bloomTexture, blurRadius, scratchIndex);
 
         // Final combine
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, outputFramebuffer);
         gl.viewport(0, 0, this.width, this.height);
         gl.clear(gl.COLOR_BUFFER_BIT);
 
@@ -922,7 +1666,7 @@ class WebGLCanvas {
         gl.useProgram(combineProgram);
 
         gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.postProcessing.tempTextures[0]);
+        gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
         gl.uniform1i(gl.getUniformLocation(combineProgram, 'u_texture'), 0);
 
         gl.activeTexture(gl.TEXTURE1);
@@ -933,7 +1677,36 @@ class WebGLCanvas {
         this.renderFullscreenQuad(combineProgram);
     }
 
-    renderOptimizedBlur(inputTexture, radius) {
+    /*
+     * Create the bloom framebuffer if it doesn't exist yet
+     * Also used as the offscreen target for shadow passes, its stencil keeps translucent strokes
+     * from blending twice where they overlap themselves
+     */
+    createBloomFramebuffer() {
+        if (this.bloomFramebuffer) return;
+
+        const gl = this.gl;
+        this.bloomFramebuffer = gl.createFramebuffer();
+        this.bloomTexture = gl.createTexture();
+        this.bloomStencilBuffer = gl.createRenderbuffer();
+
+        gl.bindTexture(gl.TEXTURE_2D, this.bloomTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, this.bloomStencilBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, this.width, this.height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.bloomFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.bloomTexture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, this.bloomStencilBuffer);
+    }
+
+    renderOptimizedBlur(inputTexture, radius, scratchIndex = 1) {
         const gl = this.gl;
         const blurProgram = this.shaders.postBlur;
 
@@ -941,8 +1714,14 @@ class WebGLCanvas {
         gl.uniform2f(gl.getUniformLocation(blurProgram, 'u_resolution'), this.width, this.height);
         gl.uniform1f(gl.getUniformLocation(blurProgram, 'u_blurRadius'), radius);
 
+        // Scratch target of the drawing target's size, layers create theirs on first use
+        const post = this.getPostProcessing();
+        if (post.framebuffers.length === 0) {
+            this.createPostProcessingFramebuffers(post);
+        }
+
         // Horizontal pass
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.postProcessing.framebuffers[1]);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, post.framebuffers[scratchIndex]);
         gl.clear(gl.COLOR_BUFFER_BIT);
 
         gl.activeTexture(gl.TEXTURE0);
@@ -957,7 +1736,7 @@ class WebGLCanvas {
         gl.clear(gl.COLOR_BUFFER_BIT);
 
         gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.postProcessing.tempTextures[1]);
+        gl.bindTexture(gl.TEXTURE_2D, post.tempTextures[scratchIndex]);
         gl.uniform2f(gl.getUniformLocation(blurProgram, 'u_direction'), 0.0, 1.0);
 
         this.renderFullscreenQuad(blurProgram);
@@ -965,8 +1744,11 @@ class WebGLCanvas {
 
     /*
      * Render a single post-processing effect
+     * @param {Object} effect - Effect with its name and parameters
+     * @param {WebGLTexture} inputTexture - Result of the previous pass
+     * @param {number} pass - Pass of a registered effect with several passes
      */
-    renderPostEffect(effect, inputTexture) {
+    renderPostEffect(effect, inputTexture, pass = 0) {
         const gl = this.gl;
         let program;
 
@@ -993,8 +1775,16 @@ class WebGLCanvas {
             case 'pixelate':
                 program = this.shaders.postPixelate;
                 break;
-            default:
-                program = this.shaders.postPassthrough;
+            case 'lut':
+                program = this.shaders.postLUT;
+                break;
+            case 'feedback':
+                program = this.shaders.postFeedback;
+                break;
+            default: {
+                const entry = this.postEffectRegistry.get(effect.name);
+                program = entry && entry.program ? entry.program : this.shaders.postPassthrough;
+            }
         }
 
         gl.useProgram(program);
@@ -1008,16 +1798,22 @@ class WebGLCanvas {
         gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
 
         // Set effect-specific uniforms
-        this.setPostEffectUniforms(program, effect);
+        this.setPostEffectUniforms(program, effect, pass);
 
         // Bind fullscreen quad and render
         this.renderFullscreenQuad(program);
+
+        // The result is the history of the next frame
+        if (effect.name === 'feedback') {
+            gl.bindTexture(gl.TEXTURE_2D, effect.history.texture);
+            gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 0, 0, this.width, this.height);
+        }
     }
 
     /*
      * Set uniforms for specific post-processing effects
      */
-    setPostEffectUniforms(program, effect) {
+    setPostEffectUniforms(program, effect, pass = 0) {
         const gl = this.gl;
         const params = effect.parameters;
 
@@ -1092,7 +1888,188 @@ class WebGLCanvas {
                     gl.uniform1f(pixelSizeLoc, params.pixelSize || 4.0);
                 }
                 break;
+
+            case 'lut':
+                this.setLUTUniforms(program, params);
+                break;
+
+            case 'feedback':
+                this.setFeedbackUniforms(program, effect);
+                break;
+
+            default:
+                if (this.postEffectRegistry.has(effect.name)) {
+                    this.setRegisteredPostEffectUniforms(program, effect, pass);
+                }
+                break;
+        }
+    }
+
+    /*
+     * Set the uniforms of a registered effect for one of its passes
+     * @param {WebGLProgram} program - Program of the effect
+     * @param {Object} effect - Effect with its parameters
+     * @param {number} pass - Index of the pass
+     */
+    setRegisteredPostEffectUniforms(program, effect, pass) {
+        const gl = this.gl;
+        const entry = this.postEffectRegistry.get(effect.name);
+        const overrides = Array.isArray(entry.passes) ? entry.passes[pass] : null;
+        const values = { ...effect.parameters, ...overrides };
+
+        const timeLoc = gl.getUniformLocation(program, 'u_time');
+        if (timeLoc !== null) {
+            gl.uniform1f(timeLoc, (performance.now() - this.startTime) / 1000);
+        }
+
+        const passLoc = gl.getUniformLocation(program, 'u_pass');
+        if (passLoc !== null) {
+            gl.uniform1i(passLoc, pass);
+        }
+
+        // Texture unit 0 holds the input
+        const types = program.uniformTypes || {};
+        let textureUnit = 1;
+        for (const name of Object.keys(values)) {
+            const info = types[`u_${name}`];
+            const location = info ? gl.getUniformLocation(program, `u_${name}`) : null;
+            if (location === null) continue;
+
+            const value = values[name];
+            if (info.type === gl.SAMPLER_2D) {
+                if (Array.isArray(value)) {
+                    gl.uniform1iv(location, value.map(item => this.bindShaderTexture(item, textureUnit++)));
+                } else {
+                    gl.uniform1i(location, this.bindShaderTexture(value, textureUnit++));
+                }
+            } else {
+                this.setTypedUniform(location, info.type, value, name);
+            }
+        }
+
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /*
+     * Set the uniforms of the feedback effect and bind its history to texture unit 1
+     * Decay, tint and drift are given per 60 Hz frame and scaled by the time since the last
+     * frame, so trails look the same at any frame rate.
+     * @param {WebGLProgram} program - Feedback program
+     * @param {Object} effect - Feedback effect
+     */
+    setFeedbackUniforms(program, effect) {
+        const gl = this.gl;
+        const params = effect.parameters;
+
+        if (!effect.history || !effect.history.texture) {
+            effect.history = { texture: this.createFeedbackTexture(), lastFrame: null };
         }
+
+        // Long pauses (hidden tabs) count as a quarter second
+        const now = performance.now();
+        const elapsed = effect.history.lastFrame === null ? 0 : Math.min(250, now - effect.history.lastFrame);
+        effect.history.lastFrame = now;
+        const frames = elapsed / (1000 / 60);
+
+        const tint = typeof params.tint === 'string' ? this.parseColor(params.tint) : params.tint;
+        const offset = params.offset || [0, 0];
+        const blur = params.blur * frames;
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, effect.history.texture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_history'), 1);
+        gl.activeTexture(gl.TEXTURE0);
+
+        // Canvas y runs down, texture y up
+        gl.uniform1f(gl.getUniformLocation(program, 'u_decay'), Math.pow(Math.max(0, params.decay), frames));
+        gl.uniform3f(gl.getUniformLocation(program, 'u_tint'),
+            Math.pow(tint[0], frames), Math.pow(tint[1], frames), Math.pow(tint[2], frames));
+        gl.uniform1f(gl.getUniformLocation(program, 'u_zoom'), Math.pow(params.zoom, frames));
+        gl.uniform1f(gl.getUniformLocation(program, 'u_rotation'), params.rotation * frames);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_offset'), offset[0] * frames, -offset[1] * frames);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_blur'),
+            Math.cos(params.blurAngle) * blur, -Math.sin(params.blurAngle) * blur);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_mode'), ['over', 'add', 'max'].indexOf(params.mode));
+    }
+
+    /*
+     * Create an empty texture the size of the drawing target for the history of a feedback effect
+     * @returns {WebGLTexture}
+     */
+    createFeedbackTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        return texture;
+    }
+
+    /*
+     * Delete the history of a feedback effect, the next frame starts without trails
+     * @param {Object} effect - Effect of a post-processing chain, other effects are ignored
+     */
+    releaseFeedbackHistory(effect) {
+        if (!effect.history) return;
+
+        if (effect.history.texture && this.gl && !this.isContextLost()) {
+            this.gl.deleteTexture(effect.history.texture);
+        }
+        effect.history = null;
+    }
+
+    /*
+     * Set the uniforms of the LUT effect and advance its transition
+     * The LUT is bound to texture unit 1 and the one blended towards to unit 2.
+     * @param {WebGLProgram} program - LUT program
+     * @param {Object} params - Effect parameters
+     */
+    setLUTUniforms(program, params) {
+        const gl = this.gl;
+
+        if (params.transition) {
+            const progress = (performance.now() - params.transition.start) / params.transition.duration;
+            if (progress >= 1) {
+                params.lut = params.blendLut;
+                params.blendLut = null;
+                params.blend = 0.0;
+                params.transition = null;
+            } else {
+                params.blend = Math.max(0, progress);
+            }
+        }
+
+        const luts = [params.lut, params.blendLut];
+        const names = ['u_lut', 'u_blendLut'];
+        const flipY = [0, 0];
+        const hasLut = [0, 0];
+
+        for (let i = 0; i < 2; i++) {
+            const lut = luts[i] && luts[i].texture ? luts[i] : null;
+
+            gl.activeTexture(gl.TEXTURE1 + i);
+            gl.bindTexture(gl.TEXTURE_2D, lut ? lut.texture : null);
+            gl.uniform1i(gl.getUniformLocation(program, names[i]), 1 + i);
+            if (!lut) continue;
+
+            gl.uniform4f(gl.getUniformLocation(program, `${names[i]}Layout`), lut.size, lut.tilesPerRow, lut.width, lut.height);
+            gl.uniform3fv(gl.getUniformLocation(program, `${names[i]}DomainMin`), lut.domainMin);
+            gl.uniform3fv(gl.getUniformLocation(program, `${names[i]}DomainMax`), lut.domainMax);
+            flipY[i] = lut.flipY ? 1 : 0;
+            hasLut[i] = 1;
+        }
+
+        gl.uniform2f(gl.getUniformLocation(program, 'u_lutFlipY'), flipY[0], flipY[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_hasLut'), hasLut[0], hasLut[1]);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_blend'), params.blend);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_intensity'), params.intensity);
+
+        gl.activeTexture(gl.TEXTURE0);
     }
 
     /*
@@ -1128,31 +2105,150 @@ class WebGLCanvas {
         * Optimized shaders that can handle multiple objects in single draw calls
     */
     createBuiltInShaders() {
-        // Batched rectangle vertex shader
-        const batchedRectVertexShader = `
-        precision mediump float;
-        attribute vec2 a_position;
-        attribute vec4 a_color;
-        uniform vec2 u_resolution;
-        varying vec4 v_color;
-        
-        void main() {
-            // Convert to normalized device coordinates (-1 to 1)
-            vec2 normalized = (a_position / u_resolution) * 2.0 - 1.0;
-            normalized.y = -normalized.y; // Flip Y coordinate
-            
-            gl_Position = vec4(normalized, 0, 1);
-            v_color = a_color;
-        }
-    `;
+        // Paint functions shared by the fill shaders (gradients and patterns evaluated per fragment)
+        // u_paintType: 0 = solid, 1 = linear, 2 = radial, 3 = conic, 4 = pattern
+        const paintFragmentFunctions = `
+        #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+        #endif
+        uniform int u_paintType;
+        uniform sampler2D u_paintTexture;
+        uniform mat3 u_paintMatrix;    // Device pixels to gradient space (pattern: to image tiles)
+        uniform vec4 u_paintPoints;    // x0, y0, x1, y1 (conic: center in xy, pattern: image uv rect)
+        uniform vec2 u_paintRadii;     // r0, r1 (conic: start angle in x, pattern: repeat x/y flags)
+
+        vec4 rampColor(float t) {
+            // Sample texel centers of the 256 wide ramp
+            return texture2D(u_paintTexture, vec2((clamp(t, 0.0, 1.0) * 255.0 + 0.5) / 256.0, 0.5));
+        }
+
+        vec4 paintColor(vec2 fragCoord) {
+            if (u_paintType == 0) {
+                return vec4(1.0);
+            }
 
-        // Batched fragment shader
-        const batchedFragmentShader = `
-        precision mediump float;
-        varying vec4 v_color;
-        
+            vec2 p = (u_paintMatrix * vec3(fragCoord, 1.0)).xy;
+
+            if (u_paintType == 4) {
+                // Pattern - wrap repeating axes, cut off the others outside the image.
+                // Wrapping here works for atlas regions and non power of two textures alike.
+                if (u_paintRadii.x > 0.5) {
+                    p.x = fract(p.x);
+                } else if (p.x < 0.0 || p.x >= 1.0) {
+                    return vec4(0.0);
+                }
+                if (u_paintRadii.y > 0.5) {
+                    p.y = fract(p.y);
+                } else if (p.y < 0.0 || p.y >= 1.0) {
+                    return vec4(0.0);
+                }
+                return texture2D(u_paintTexture, mix(u_paintPoints.xy, u_paintPoints.zw, p));
+            }
+
+            if (u_paintType == 1) {
+                vec2 dir = u_paintPoints.zw - u_paintPoints.xy;
+                float lengthSq = dot(dir, dir);
+                if (lengthSq == 0.0) {
+                    return vec4(0.0);
+                }
+                return rampColor(dot(p - u_paintPoints.xy, dir) / lengthSq);
+            }
+
+            if (u_paintType == 2) {
+                // Two-circle gradient: largest t where p lies on the circle
+                // centered at mix(c0, c1, t) with radius mix(r0, r1, t) >= 0
+                vec2 cd = u_paintPoints.zw - u_paintPoints.xy;
+                vec2 pd = p - u_paintPoints.xy;
+                float r0 = u_paintRadii.x;
+                float dr = u_paintRadii.y - r0;
+                float a = dot(cd, cd) - dr * dr;
+                float b = dot(pd, cd) + r0 * dr;
+                float c = dot(pd, pd) - r0 * r0;
+                float t;
+
+                if (abs(a) < 0.0001) {
+                    if (b == 0.0) {
+                        return vec4(0.0);
+                    }
+                    t = c / (2.0 * b);
+                } else {
+                    float discriminant = b * b - a * c;
+                    if (discriminant < 0.0) {
+                        return vec4(0.0);
+                    }
+                    float root = sqrt(discriminant);
+                    float t1 = (b + root) / a;
+                    float t2 = (b - root) / a;
+                    t = max(t1, t2);
+                    if (r0 + t * dr < 0.0) {
+                        t = min(t1, t2);
+                    }
+                }
+
+                if (r0 + t * dr < 0.0) {
+                    return vec4(0.0);
+                }
+                return rampColor(t);
+            }
+
+            // Conic - clockwise on screen from the start angle
+            vec2 d = p - u_paintPoints.xy;
+            return rampColor(fract((atan(d.y, d.x) - u_paintRadii.x) / 6.28318530718));
+        }
+    `;
+
+        // Shadow pass support shared by the batch fragment shaders.
+        // The vertex shaders move geometry by u_shadowOffset, this turns the shape into a
+        // premultiplied silhouette in the shadow color. u_premultiply premultiplies the color
+        // for the composite operations whose blend functions expect that (see updateBlendMode).
+        const shadowFragmentFunctions = `
+        uniform int u_shadowPass;
+        uniform vec4 u_shadowColor;
+        uniform int u_premultiply;
+
+        vec4 applyShadowPass(vec4 color) {
+            if (u_shadowPass == 1) {
+                float alpha = u_shadowColor.a * color.a;
+                return vec4(u_shadowColor.rgb * alpha, alpha);
+            }
+            if (u_premultiply == 1) {
+                return vec4(color.rgb * color.a, color.a);
+            }
+            return color;
+        }
+    `;
+
+        // Batched rectangle vertex shader
+        const batchedRectVertexShader = `
+        precision mediump float;
+        attribute vec2 a_position;
+        attribute vec4 a_color;
+        uniform vec2 u_resolution;
+        uniform vec2 u_shadowOffset;
+        varying vec4 v_color;
+        varying vec2 v_position;
+        
+        void main() {
+            // Convert to normalized device coordinates (-1 to 1)
+            vec2 normalized = ((a_position + u_shadowOffset) / u_resolution) * 2.0 - 1.0;
+            normalized.y = -normalized.y; // Flip Y coordinate
+            
+            gl_Position = vec4(normalized, 0, 1);
+            v_color = a_color;
+            v_position = a_position;
+        }
+    `;
+
+        // Batched fragment shader
+        const batchedFragmentShader = `
+        precision mediump float;
+        varying vec4 v_color;
+        varying vec2 v_position;
+        ${paintFragmentFunctions}
+        ${shadowFragmentFunctions}
+        
         void main() {
-            gl_FragColor = v_color;
+            gl_FragColor = applyShadowPass(v_color * paintColor(v_position));
         }
     `;
 
@@ -1164,13 +2260,14 @@ class WebGLCanvas {
         attribute vec2 a_center;
         attribute float a_radius;
         uniform vec2 u_resolution;
+        uniform vec2 u_shadowOffset;
         varying vec4 v_color;
         varying vec2 v_center;
         varying float v_radius;
         varying vec2 v_fragCoord;
         
         void main() {
-            vec2 normalized = (a_position / u_resolution) * 2.0 - 1.0;
+            vec2 normalized = ((a_position + u_shadowOffset) / u_resolution) * 2.0 - 1.0;
             normalized.y = -normalized.y;
             
             gl_Position = vec4(normalized, 0, 1);
@@ -1192,6 +2289,8 @@ class WebGLCanvas {
             uniform vec2 u_resolution;
             uniform float u_strokeWidth;
             uniform int u_isStroke;
+            ${paintFragmentFunctions}
+            ${shadowFragmentFunctions}
             
             void main() {
                 vec2 centerPixels = (v_center + 1.0) * 0.5 * u_resolution;
@@ -1212,7 +2311,7 @@ class WebGLCanvas {
                     }
                 }
                 
-                gl_FragColor = v_color;
+                gl_FragColor = applyShadowPass(v_color * paintColor(v_fragCoord));
             }
         `;
 
@@ -1224,13 +2323,14 @@ class WebGLCanvas {
         attribute vec2 a_center;
         attribute vec2 a_radius;
         uniform vec2 u_resolution;
+        uniform vec2 u_shadowOffset;
         varying vec4 v_color;
         varying vec2 v_center;
         varying vec2 v_radius;
         varying vec2 v_fragCoord;
         
         void main() {
-            vec2 normalized = (a_position / u_resolution) * 2.0 - 1.0;
+            vec2 normalized = ((a_position + u_shadowOffset) / u_resolution) * 2.0 - 1.0;
             normalized.y = -normalized.y;
             
             gl_Position = vec4(normalized, 0, 1);
@@ -1249,6 +2349,8 @@ class WebGLCanvas {
         varying vec2 v_radius;
         varying vec2 v_fragCoord;
         uniform vec2 u_resolution;
+        ${paintFragmentFunctions}
+        ${shadowFragmentFunctions}
         
         void main() {
             vec2 centerPixels = (v_center + 1.0) * 0.5 * u_resolution;
@@ -1261,7 +2363,7 @@ class WebGLCanvas {
             if (ellipse > 1.0) {
                 discard;
             }
-            gl_FragColor = v_color;
+            gl_FragColor = applyShadowPass(v_color * paintColor(v_fragCoord));
         }
     `;
 
@@ -1270,39 +2372,61 @@ class WebGLCanvas {
     precision mediump float;
     attribute vec2 a_position;
     attribute vec2 a_texCoord;
+    attribute vec2 a_imageIndex;      // Texture of the run, color mode
+    attribute vec4 a_colorAdjust;     // Hue, saturation, lightness, brightness
+    attribute vec4 a_colorLevels;     // Contrast, opacity, gamma, exposure
+    attribute vec4 a_colorTint;
+    attribute vec4 a_colorMultiply;
+    attribute vec4 a_colorAdd;
     uniform vec2 u_resolution;
+    uniform vec2 u_shadowOffset;
     varying vec2 v_texCoord;
+    varying vec2 v_imageIndex;
+    varying vec4 v_colorAdjust;
+    varying vec4 v_colorLevels;
+    varying vec4 v_colorTint;
+    varying vec4 v_colorMultiply;
+    varying vec4 v_colorAdd;
     
     void main() {
-        vec2 normalized = (a_position / u_resolution) * 2.0 - 1.0;
+        vec2 normalized = ((a_position + u_shadowOffset) / u_resolution) * 2.0 - 1.0;
         normalized.y = -normalized.y;
         
         gl_Position = vec4(normalized, 0, 1);
         v_texCoord = a_texCoord;
+        v_imageIndex = a_imageIndex;
+        v_colorAdjust = a_colorAdjust;
+        v_colorLevels = a_colorLevels;
+        v_colorTint = a_colorTint;
+        v_colorMultiply = a_colorMultiply;
+        v_colorAdd = a_colorAdd;
     }
 `;
 
         // Enhanced Image fragment shader with color manipulation
         const imageFragmentShader = `
     precision mediump float;
-    uniform sampler2D u_texture;
+    uniform sampler2D u_textures[4];
     uniform float u_globalAlpha;
-    
-    // Color manipulation uniforms
-    uniform float u_hue;
-    uniform float u_saturation;
-    uniform float u_lightness;
-    uniform float u_brightness;
-    uniform float u_contrast;
-    uniform vec4 u_colorTint;
-    uniform float u_opacity;
-    uniform int u_colorMode;
-    uniform vec4 u_colorMultiply;
-    uniform vec4 u_colorAdd;
-    uniform float u_gamma;
-    uniform float u_exposure;
+    ${shadowFragmentFunctions}
     
     varying vec2 v_texCoord;
+    varying vec2 v_imageIndex;
+    
+    // Color manipulation settings of the image
+    varying vec4 v_colorAdjust;
+    varying vec4 v_colorLevels;
+    varying vec4 v_colorTint;
+    varying vec4 v_colorMultiply;
+    varying vec4 v_colorAdd;
+
+    // WebGL 1 can only index samplers with constants
+    vec4 sampleImage(vec2 uv) {
+        if (v_imageIndex.x < 0.5) return texture2D(u_textures[0], uv);
+        if (v_imageIndex.x < 1.5) return texture2D(u_textures[1], uv);
+        if (v_imageIndex.x < 2.5) return texture2D(u_textures[2], uv);
+        return texture2D(u_textures[3], uv);
+    }
     
     // Convert RGB to HSL
     vec3 rgb2hsl(vec3 c) {
@@ -1331,38 +2455,48 @@ class WebGLCanvas {
     }
     
     void main() {
-        vec4 texColor = texture2D(u_texture, v_texCoord);
+        vec4 texColor = sampleImage(v_texCoord);
         vec3 color = texColor.rgb;
         float alpha = texColor.a;
         
+        float hue = v_colorAdjust.x;
+        float saturation = v_colorAdjust.y;
+        float lightness = v_colorAdjust.z;
+        float brightness = v_colorAdjust.w;
+        float contrast = v_colorLevels.x;
+        float opacity = v_colorLevels.y;
+        float gamma = v_colorLevels.z;
+        float exposure = v_colorLevels.w;
+        int colorMode = int(v_imageIndex.y + 0.5);
+        
         // Apply gamma correction first if needed
-        if (u_gamma != 1.0) {
-            color = pow(color, vec3(1.0 / u_gamma));
+        if (gamma != 1.0) {
+            color = pow(color, vec3(1.0 / gamma));
         }
         
         // Apply exposure
-        if (u_exposure != 0.0) {
-            color *= pow(2.0, u_exposure);
+        if (exposure != 0.0) {
+            color *= pow(2.0, exposure);
         }
         
         // Apply brightness and contrast
-        if (u_brightness != 0.0 || u_contrast != 1.0) {
-            color += u_brightness;
-            color = (color - 0.5) * u_contrast + 0.5;
+        if (brightness != 0.0 || contrast != 1.0) {
+            color += brightness;
+            color = (color - 0.5) * contrast + 0.5;
         }
         
         // Apply HSL adjustments
-        if (u_hue != 0.0 || u_saturation != 1.0 || u_lightness != 0.0) {
+        if (hue != 0.0 || saturation != 1.0 || lightness != 0.0) {
             vec3 hsl = rgb2hsl(color);
             
             // Adjust hue (wrap around)
-            hsl.x = mod(hsl.x + u_hue / 360.0, 1.0);
+            hsl.x = mod(hsl.x + hue / 360.0, 1.0);
             
             // Adjust saturation
-            hsl.y *= u_saturation;
+            hsl.y *= saturation;
             
             // Adjust lightness
-            hsl.z += u_lightness;
+            hsl.z += lightness;
             
             // Clamp HSL values
             hsl = clamp(hsl, vec3(0.0), vec3(1.0));
@@ -1371,11 +2505,11 @@ class WebGLCanvas {
         }
         
         // Apply color modes
-        if (u_colorMode == 1) {
+        if (colorMode == 1) {
             // Grayscale
             float gray = dot(color, vec3(0.299, 0.587, 0.114));
             color = vec3(gray);
-        } else if (u_colorMode == 2) {
+        } else if (colorMode == 2) {
             // Sepia
             vec3 sepia = vec3(
                 dot(color, vec3(0.393, 0.769, 0.189)),
@@ -1383,42 +2517,223 @@ class WebGLCanvas {
                 dot(color, vec3(0.272, 0.534, 0.131))
             );
             color = sepia;
-        } else if (u_colorMode == 3) {
+        } else if (colorMode == 3) {
             // Invert
             color = 1.0 - color;
-        } else if (u_colorMode == 4) {
+        } else if (colorMode == 4) {
             // Black and white (threshold)
             float gray = dot(color, vec3(0.299, 0.587, 0.114));
             color = vec3(step(0.5, gray));
         }
         
         // Apply color multiply
-        color *= u_colorMultiply.rgb;
-        alpha *= u_colorMultiply.a;
+        color *= v_colorMultiply.rgb;
+        alpha *= v_colorMultiply.a;
         
         // Apply color addition
-        color += u_colorAdd.rgb;
-        alpha += u_colorAdd.a;
+        color += v_colorAdd.rgb;
+        alpha += v_colorAdd.a;
         
         // Apply color tint
-        color = mix(color, u_colorTint.rgb, u_colorTint.a);
+        color = mix(color, v_colorTint.rgb, v_colorTint.a);
         
         // Apply opacity
-        alpha *= u_opacity;
+        alpha *= opacity;
         
         // Clamp final color
         color = clamp(color, 0.0, 1.0);
         alpha = clamp(alpha, 0.0, 1.0);
         
-        gl_FragColor = vec4(color, alpha * u_globalAlpha);
+        gl_FragColor = applyShadowPass(vec4(color, alpha * u_globalAlpha));
     }
 `;
 
         this.shaders.batchedRect = this.createShaderProgram(batchedRectVertexShader, batchedFragmentShader);
         this.shaders.batchedCircle = this.createShaderProgram(circleVertexShader, circleFragmentShader);
         this.shaders.batchedEllipse = this.createShaderProgram(ellipseVertexShader, ellipseFragmentShader);
-        this.shaders.batchedLine = this.createShaderProgram(batchedRectVertexShader, batchedFragmentShader);
         this.shaders.image = this.createShaderProgram(imageVertexShader, imageFragmentShader);
+
+        // SDF text vertex shader
+        const textVertexShader = `
+        precision mediump float;
+        attribute vec2 a_position;
+        attribute vec2 a_texCoord;
+        attribute vec4 a_color;
+        attribute vec2 a_sdf;
+        uniform vec2 u_resolution;
+        uniform vec2 u_shadowOffset;
+        varying vec2 v_texCoord;
+        varying vec4 v_color;
+        varying vec2 v_sdf;
+        varying vec2 v_position;
+
+        void main() {
+            vec2 normalized = ((a_position + u_shadowOffset) / u_resolution) * 2.0 - 1.0;
+            normalized.y = -normalized.y;
+
+            gl_Position = vec4(normalized, 0, 1);
+            v_texCoord = a_texCoord;
+            v_color = a_color;
+            v_sdf = a_sdf;
+            v_position = a_position;
+        }
+    `;
+
+        // SDF text fragment shader - the glyph edge is at distance 0.5
+        const textFragmentShader = `
+        precision mediump float;
+        uniform sampler2D u_glyphAtlas;
+        varying vec2 v_texCoord;
+        varying vec4 v_color;
+        varying vec2 v_sdf; // x: edge smoothing, y: half stroke width (0 fills)
+        varying vec2 v_position;
+        ${paintFragmentFunctions}
+        ${shadowFragmentFunctions}
+
+        void main() {
+            float distance = texture2D(u_glyphAtlas, v_texCoord).a;
+            float coverage;
+
+            if (v_sdf.y > 0.0) {
+                coverage = 1.0 - smoothstep(v_sdf.y - v_sdf.x, v_sdf.y + v_sdf.x, abs(distance - 0.5));
+            } else {
+                coverage = smoothstep(0.5 - v_sdf.x, 0.5 + v_sdf.x, distance);
+            }
+
+            vec4 color = v_color * paintColor(v_position);
+            gl_FragColor = applyShadowPass(vec4(color.rgb, color.a * coverage));
+        }
+    `;
+
+        this.shaders.text = this.createShaderProgram(textVertexShader, textFragmentShader);
+
+        this.createCompositeShader();
+    }
+
+    /*
+     * Create the read-back shader for composite operations blending can't express
+     * Both inputs are premultiplied, u_mode indexes getCompositeModes()
+     */
+    createCompositeShader() {
+        const compositeVertexShader = `
+        attribute vec2 a_position;
+        attribute vec2 a_texCoord;
+        varying vec2 v_texCoord;
+
+        void main() {
+            gl_Position = vec4(a_position, 0.0, 1.0);
+            v_texCoord = a_texCoord;
+        }
+    `;
+
+        const compositeFragmentShader = `
+        precision mediump float;
+        uniform sampler2D u_source;
+        uniform sampler2D u_destination;
+        uniform int u_mode;
+        varying vec2 v_texCoord;
+
+        float lum(vec3 c) {
+            return dot(c, vec3(0.3, 0.59, 0.11));
+        }
+
+        vec3 clipColor(vec3 c) {
+            float l = lum(c);
+            float n = min(min(c.r, c.g), c.b);
+            float x = max(max(c.r, c.g), c.b);
+            if (n < 0.0) c = l + (c - l) * l / max(l - n, 1e-5);
+            if (x > 1.0) c = l + (c - l) * (1.0 - l) / max(x - l, 1e-5);
+            return c;
+        }
+
+        vec3 setLum(vec3 c, float l) {
+            return clipColor(c + (l - lum(c)));
+        }
+
+        float sat(vec3 c) {
+            return max(max(c.r, c.g), c.b) - min(min(c.r, c.g), c.b);
+        }
+
+        vec3 setSat(vec3 c, float s) {
+            float n = min(min(c.r, c.g), c.b);
+            float x = max(max(c.r, c.g), c.b);
+            return x > n ? (c - n) * s / (x - n) : vec3(0.0);
+        }
+
+        float colorDodge(float b, float s) {
+            if (b == 0.0) return 0.0;
+            if (s >= 1.0) return 1.0;
+            return min(1.0, b / (1.0 - s));
+        }
+
+        float colorBurn(float b, float s) {
+            if (b >= 1.0) return 1.0;
+            if (s == 0.0) return 0.0;
+            return 1.0 - min(1.0, (1.0 - b) / s);
+        }
+
+        float softLight(float b, float s) {
+            if (s <= 0.5) return b - (1.0 - 2.0 * s) * b * (1.0 - b);
+            float d = b <= 0.25 ? ((16.0 * b - 12.0) * b + 4.0) * b : sqrt(b);
+            return b + (2.0 * s - 1.0) * (d - b);
+        }
+
+        vec3 hardLight(vec3 b, vec3 s) {
+            vec3 multiply = b * 2.0 * s;
+            vec3 screen = b + (2.0 * s - 1.0) - b * (2.0 * s - 1.0);
+            return mix(screen, multiply, step(s, vec3(0.5)));
+        }
+
+        // Mix function B(Cb, Cs) of the separable and non-separable blend modes
+        vec3 blend(vec3 b, vec3 s) {
+            if (u_mode == 11) return b * s;
+            if (u_mode == 12) return b + s - b * s;
+            if (u_mode == 13) return hardLight(s, b);
+            if (u_mode == 14) return min(b, s);
+            if (u_mode == 15) return max(b, s);
+            if (u_mode == 16) return vec3(colorDodge(b.r, s.r), colorDodge(b.g, s.g), colorDodge(b.b, s.b));
+            if (u_mode == 17) return vec3(colorBurn(b.r, s.r), colorBurn(b.g, s.g), colorBurn(b.b, s.b));
+            if (u_mode == 18) return hardLight(b, s);
+            if (u_mode == 19) return vec3(softLight(b.r, s.r), softLight(b.g, s.g), softLight(b.b, s.b));
+            if (u_mode == 20) return abs(b - s);
+            if (u_mode == 21) return b + s - 2.0 * b * s;
+            if (u_mode == 22) return setLum(setSat(s, sat(b)), lum(b));
+            if (u_mode == 23) return setLum(setSat(b, sat(s)), lum(b));
+            if (u_mode == 24) return setLum(s, lum(b));
+            return setLum(b, lum(s));
+        }
+
+        void main() {
+            vec4 s = texture2D(u_source, v_texCoord);
+            vec4 d = texture2D(u_destination, v_texCoord);
+
+            // Porter-Duff operators: result = Fa * source + Fb * destination
+            if (u_mode <= 10) {
+                float fa = 1.0;
+                float fb = 1.0 - s.a;
+                if (u_mode == 1) { fa = d.a; fb = 0.0; }
+                else if (u_mode == 2) { fa = 1.0 - d.a; fb = 0.0; }
+                else if (u_mode == 3) { fa = d.a; fb = 1.0 - s.a; }
+                else if (u_mode == 4) { fa = 1.0 - d.a; fb = 1.0; }
+                else if (u_mode == 5) { fa = 0.0; fb = s.a; }
+                else if (u_mode == 6) { fa = 0.0; fb = 1.0 - s.a; }
+                else if (u_mode == 7) { fa = 1.0 - d.a; fb = s.a; }
+                else if (u_mode == 8) { fa = 1.0; fb = 0.0; }
+                else if (u_mode == 9) { fa = 1.0 - d.a; fb = 1.0 - s.a; }
+                else if (u_mode == 10) { fa = 1.0; fb = 1.0; }
+                gl_FragColor = min(s * fa + d * fb, vec4(1.0));
+                return;
+            }
+
+            // Blend modes mix unpremultiplied colors, then composite source-over
+            vec3 cs = s.a > 0.0 ? s.rgb / s.a : vec3(0.0);
+            vec3 cb = d.a > 0.0 ? d.rgb / d.a : vec3(0.0);
+            vec3 mixed = (1.0 - d.a) * cs + d.a * clamp(blend(cb, cs), 0.0, 1.0);
+            gl_FragColor = vec4(s.a * mixed + (1.0 - s.a) * d.rgb, s.a + d.a * (1.0 - s.a));
+        }
+    `;
+
+        this.shaders.composite = this.createShaderProgram(compositeVertexShader, compositeFragmentShader);
     }
 
     // Canvas-like API methods
@@ -1434,11 +2749,7 @@ class WebGLCanvas {
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
 
         // Reset all batches AFTER clearing
-        this.batchBuffers.rectangles.currentVertices = 0;
-        this.batchBuffers.rectangles.currentIndices = 0;
-        this.batchBuffers.circles.currentVertices = 0;
-        this.batchBuffers.circles.currentIndices = 0;
-        this.batchBuffers.lines.currentVertices = 0;
+        this.resetBatches();
     }
 
     /*
@@ -1534,6 +2845,7 @@ class WebGLCanvas {
     clearRectToColor(x, y, width, height, color) {
         // Save current fill style
         const currentFillStyle = [...this.state.fillStyle];
+        const currentFillPaint = this.state.fillPaint;
         const currentGlobalAlpha = this.state.globalAlpha;
 
         // Set fill style to clear color with full opacity
@@ -1545,6 +2857,7 @@ class WebGLCanvas {
 
         // Restore previous fill style
         this.state.fillStyle = currentFillStyle;
+        this.state.fillPaint = currentFillPaint;
         this.state.globalAlpha = currentGlobalAlpha;
     }
 
@@ -1564,6 +2877,7 @@ class WebGLCanvas {
     clearWithCheckerboard(size = 16, color1 = '#E0E0E0', color2 = '#FFFFFF') {
         // Save current state
         const currentFillStyle = [...this.state.fillStyle];
+        const currentFillPaint = this.state.fillPaint;
 
         // Clear to transparent first
         this.clear();
@@ -1583,6 +2897,7 @@ class WebGLCanvas {
 
         // Restore fill style
         this.state.fillStyle = currentFillStyle;
+        this.state.fillPaint = currentFillPaint;
     }
 
     /*
@@ -1621,6 +2936,21 @@ class WebGLCanvas {
         return this.state.lineJoin;
     }
 
+    /*
+     * Set miter limit
+     * @param {number} limit - Longest miter allowed, as a ratio of the line width
+     */
+    set miterLimit(limit) {
+        // Like Canvas 2D, ignore zero, negative and non-finite values
+        if (Number.isFinite(limit) && limit > 0) {
+            this.state.miterLimit = limit;
+        }
+    }
+
+    get miterLimit() {
+        return this.state.miterLimit;
+    }
+
     /*
      * Set text properties
      */
@@ -1660,6 +2990,7 @@ class WebGLCanvas {
             // console.warn('WebGL context lost');
             event.preventDefault(); // This is crucial - prevents default behavior
             this.contextLost = true;
+            this.contextLossCount++;
 
             // Stop any ongoing animations immediately
             if (this.animationId) {
@@ -1709,6 +3040,17 @@ class WebGLCanvas {
             try {
                 this.restoreWebGLState();
 
+                // Layers redraw themselves first, so canvas callbacks can draw them
+                for (const layer of this.layers.values()) {
+                    layer.restoreCallbacks.forEach(callback => {
+                        try {
+                            callback(layer.handle);
+                        } catch (e) {
+                            // console.error('Error in layer restore callback:', e);
+                        }
+                    });
+                }
+
                 // Run restore callbacks
                 this.contextRestoreCallbacks.forEach(callback => {
                     try {
@@ -1779,13 +3121,31 @@ class WebGLCanvas {
      * Clear resources when context is lost
      */
     clearResourcesOnContextLoss() {
-        // Clear texture cache references (textures are automatically lost)
+        // Clear texture cache references (textures are automatically lost), keeping the images to upload again.
+        // Handles keep their identity and are uploaded again in place
+        for (const [image, entry] of this.textureCache) {
+            if (!entry.pinned) {
+                this.texturesToRestore.add(image);
+            }
+        }
         this.textureCache.clear();
+        this.textureHandles.forEach(handle => { handle.texture = null; });
+        this.textureMemory = 0;
         this.fontCache.clear();
+        this.gradientRamps.clear();
+        this.luts.forEach(lut => { lut.texture = null; });
+
+        // CRT targets are recreated on restore, persistence starts over
+        if (this.crt) {
+            this.deleteCRTTargets();
+        }
 
         // Clear shader references (programs are automatically lost)
         this.shaders = {};
 
+        // Drop queued draws, they reference the lost buffers
+        this.drawQueue = [];
+
         // Reset batch state without trying to delete buffers
         if (this.batchBuffers) {
             Object.values(this.batchBuffers).forEach(batch => {
@@ -1801,21 +3161,48 @@ class WebGLCanvas {
                     batch.centers = null;
                     batch.radii = null;
                     batch.texCoords = null;
+                    batch.sdfParams = null;
                 }
             });
         }
 
+        // Glyph distance fields are kept on the CPU, only the texture needs uploading again
+        if (this.glyphAtlas) {
+            this.glyphAtlas.texture = null;
+            this.glyphAtlas.dirtyTop = 0;
+            this.glyphAtlas.dirtyBottom = this.glyphAtlas.size;
+        }
+
         // Clear post-processing resources references
         if (this.postProcessing) {
+            this.postProcessing.effects.forEach(effect => { if (effect.history) effect.history = null; });
             this.postProcessing.framebuffers = [];
             this.postProcessing.tempTextures = [];
+            this.postProcessing.stencilBuffers = [];
             this.postProcessing.quadBuffer = null;
             this.postProcessing.quadIndexBuffer = null;
         }
 
-        // Clear custom buffers
+        // The atlas is rebuilt from its images on restore
+        if (this.textureAtlas) {
+            this.textureAtlas.pages.forEach(page => { page.texture = null; });
+        }
+
+        // Bloom and composite targets are also lost, they are recreated on demand
+        this.bloomFramebuffer = null;
+        this.bloomTexture = null;
+        this.bloomStencilBuffer = null;
+        this.compositeLayer = null;
+
+        // Layers keep their handles and state, their targets are recreated on restore
+        this.layers.forEach(layer => this.forgetLayerTarget(layer));
+
+        // Clear custom buffers, meshes keep their data to upload again
+        this.clipBuffer = null;
         this.customVertexBuffer = null;
         this.customIndexBuffer = null;
+        this.customAttributeBuffers.clear();
+        this.meshes.forEach(mesh => this.forgetMesh(mesh));
         this.currentShader = null;
     }
 
@@ -1835,13 +3222,30 @@ class WebGLCanvas {
             // Recreate built-in shaders
             this.createBuiltInShaders();
 
+            // Post-processing shaders, ping-pong framebuffers and the fullscreen quad
+            this.createPostProcessingSystem();
+
             // Recreate batch buffers
             this.createBatchBuffers();
+            this.createImageBatchSystem();
+
+            // Shaders from addShader and textures of images drawn before the loss
+            this.restoreCustomShaders();
+            this.restoreTextures();
+            this.restoreLayers();
+            this.restoreLUTs();
+            this.restoreMeshes();
 
             // Set initial viewport
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
             this.gl.viewport(0, 0, this.width, this.height);
             this.gl.enable(this.gl.BLEND);
-            this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+            this.updateBlendMode('source-over');
+
+            // The CRT display binds its scene target again
+            if (this.crt) {
+                this.createCRTTargets();
+            }
 
             // console.log('WebGL state restored successfully');
         } catch (e) {
@@ -1851,6 +3255,45 @@ class WebGLCanvas {
         }
     }
 
+    /*
+     * Compile every shader added with addShader again, under the same names
+     */
+    restoreCustomShaders() {
+        for (const [name, source] of this.customShaderSources) {
+            try {
+                this.addShader(name, source.vertex, source.fragment);
+            } catch (e) {
+                // console.error(`Failed to restore shader "${name}":`, e);
+            }
+        }
+    }
+
+    /*
+     * Upload the textures of images that were cached when the context was lost
+     * Images drawn later are uploaded on first use as usual.
+     */
+    restoreTextures() {
+        for (const handle of this.textureHandles) {
+            try {
+                this.uploadTextureEntry(handle);
+                this.textureCache.set(handle.source, handle);
+            } catch (e) {
+                // console.warn('Failed to restore texture handle:', e);
+            }
+        }
+
+        const images = [...this.texturesToRestore];
+        this.texturesToRestore.clear();
+
+        for (const image of images) {
+            try {
+                this.getOrCreateTexture(image);
+            } catch (e) {
+                // console.warn('Failed to restore texture:', e);
+            }
+        }
+    }
+
     /*
  * Periodic texture cache cleanup
  */
@@ -1859,11 +3302,8 @@ class WebGLCanvas {
         const maxAge = 30000; // 30 seconds
 
         for (const [image, data] of this.textureCache.entries()) {
-            if (now - data.lastUsed > maxAge) {
-                if (data.atlas === null && this.gl.isTexture(data.texture)) {
-                    this.gl.deleteTexture(data.texture);
-                }
-                this.textureCache.delete(image);
+            if (now - data.lastUsed > maxAge && !data.pinned) {
+                this.deleteCachedTexture(image);
             }
         }
     }
@@ -1903,8 +3343,8 @@ class WebGLCanvas {
         }
 
         try {
-            // If post-processing is enabled, render to framebuffer first
-            if (this.postProcessing.enabled && this.postProcessing.effects.length > 0) {
+            // If post-processing is enabled, render to framebuffer first (layers are never post-processed)
+            if (!this.drawTarget && this.postProcessing.enabled && this.postProcessing.effects.length > 0) {
                 // Only recreate if truly invalid - not every frame!
                 if (!this.isFramebufferValid(this.postProcessing.framebuffers[0])) {
                     // console.warn('Recreating invalid framebuffers');
@@ -1916,22 +3356,23 @@ class WebGLCanvas {
                 this.gl.viewport(0, 0, this.width, this.height);
                 this.gl.clear(this.gl.COLOR_BUFFER_BIT);
 
-                // Render all batches to the framebuffer
-                this.flushRectangles();
-                this.flushCircles();
-                this.flushEllipses();
-                this.flushLines();
-                this.flushImages();
+                // Render all queued draws to the framebuffer
+                this.flushDrawQueue();
 
                 // Now apply post-processing effects
                 this.renderPostProcessing();
+            } else if (!this.drawTarget && this.crt) {
+                // The scene stays in the CRT source between flushes, like it does in the drawing buffer
+                this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.crt.sourceFramebuffer);
+                this.gl.viewport(0, 0, this.width, this.height);
+                this.flushDrawQueue();
             } else {
                 // Normal rendering directly to screen
-                this.flushRectangles();
-                this.flushCircles();
-                this.flushEllipses();
-                this.flushLines();
-                this.flushImages();
+                this.flushDrawQueue();
+            }
+
+            if (!this.drawTarget && this.crt) {
+                this.renderCRT();
             }
         } catch (e) {
             if (this.gl && this.gl.isContextLost()) {
@@ -1942,196 +3383,601 @@ class WebGLCanvas {
                 // console.error('Error during flush:', e);
             }
         }
+
+        // Only now is the frame done with its textures
+        this.flushCount++;
     }
 
     /*
- * Ultra-fast image batch flushing
- */
-    flushImageBatch() {
-        const batch = this.imageBatchBuffer;
-        if (batch.currentQuads === 0 || !batch.currentTexture) return;
-
-        const gl = this.gl;
-        const program = this.shaders.instancedImage;
+     * Collect the textures the draw queue will sample
+     * Image runs name theirs, pattern fills sample the cached texture of their image.
+     * @returns {Set<WebGLTexture>} Textures of queued draws
+     */
+    getQueuedTextures() {
+        const textures = new Set();
 
-        gl.useProgram(program);
+        for (const command of this.drawQueue) {
+            const params = command.params;
+            if (params.textures) {
+                params.textures.forEach(texture => textures.add(texture));
+            }
 
-        // Bind texture once
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, batch.currentTexture);
-        gl.uniform1i(gl.getUniformLocation(program, 'u_texture'), 0);
+            const paint = params.paint;
+            if (paint && paint.type === 4) {
+                const cached = this.textureCache.get(paint.image);
+                if (cached) textures.add(cached.texture);
+            }
+        }
+        return textures;
+    }
 
-        // Set uniforms
-        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
-        gl.uniform1f(gl.getUniformLocation(program, 'u_globalAlpha'), this.state.globalAlpha);
-        gl.uniformMatrix3fv(gl.getUniformLocation(program, 'u_globalTransform'), false, this.state.transform);
+    /*
+     * Queue a range of batched geometry for drawing
+     * Adjacent ranges of the same batch type and draw state are merged into a single run,
+     * so painter's order is kept across shape types without giving up batching
+     * @param {string} type - Batch type ('rectangles', 'circles', 'ellipses' or 'images')
+     * @param {number} start - First index of the range
+     * @param {number} count - Number of indices in the range
+     * @param {Object} params - Type specific draw state, compared by value when merging
+     */
+    queueDraw(type, start, count, params = {}) {
+        if (this.drawTarget) {
+            this.drawTarget.version++;
+            this.drawTarget.contentLost = false;
+        }
+
+        const compositeOperation = this.state.globalCompositeOperation;
+        const clip = this.state.clip;
+        const shadow = this.getShadowState();
+        const last = this.drawQueue[this.drawQueue.length - 1];
+
+        if (last &&
+            last.type === type &&
+            last.target === this.drawTarget &&
+            last.start + last.count === start &&
+            last.compositeOperation === compositeOperation &&
+            last.clip === clip &&
+            this.isSameShadow(last.shadow, shadow) &&
+            (!shadow || (last.group !== null && last.group === this.drawGroup)) &&
+            (type === 'images' ? this.canJoinImageRun(last.params, params) : this.isSameDrawParams(last.params, params))) {
+            if (type === 'images' && !last.params.textures.includes(params.texture)) {
+                last.params.textures.push(params.texture);
+            }
+            last.count += count;
+            return last;
+        }
 
-        // Upload vertex data (only current portion)
-        const vertexCount = batch.currentQuads * 8;
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertices);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.vertexData.subarray(0, vertexCount), gl.DYNAMIC_DRAW);
+        const command = { type, start, count, target: this.drawTarget, compositeOperation, clip, shadow, group: this.drawGroup, params };
 
-        const positionLoc = gl.getAttribLocation(program, 'a_position');
-        gl.enableVertexAttribArray(positionLoc);
-        gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+        if (type === 'images') {
+            params.textures = [params.texture];
+        }
 
-        // Upload texture coordinate data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.texCoords);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.texCoordData.subarray(0, vertexCount), gl.DYNAMIC_DRAW);
+        this.drawQueue.push(command);
+        return command;
+    }
 
-        const texCoordLoc = gl.getAttribLocation(program, 'a_texCoord');
-        gl.enableVertexAttribArray(texCoordLoc);
-        gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+    /*
+     * Snapshot the shadow settings for a queued draw
+     * @returns {Object|null} Shadow color, blur and offset, or null when no shadow is visible
+     */
+    getShadowState() {
+        const state = this.state;
+        const color = state.shadowColor;
 
-        // Upload transform data
-        const transformCount = batch.currentQuads * 6;
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.transforms);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.transformData.subarray(0, transformCount), gl.DYNAMIC_DRAW);
+        if (!color || color[3] <= 0) return null;
+        if (state.shadowBlur <= 0 && state.shadowOffsetX === 0 && state.shadowOffsetY === 0) return null;
 
-        const transformLoc = gl.getAttribLocation(program, 'a_transform');
-        gl.enableVertexAttribArray(transformLoc);
-        gl.vertexAttribPointer(transformLoc, 6, gl.FLOAT, false, 0, 0);
+        return {
+            color: [...color],
+            blur: state.shadowBlur,
+            offsetX: state.shadowOffsetX,
+            offsetY: state.shadowOffsetY
+        };
+    }
 
-        // Use pre-generated indices
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indices);
+    /*
+     * Compare two shadow snapshots
+     */
+    isSameShadow(a, b) {
+        if (a === b) return true;
+        if (!a || !b) return false;
 
-        // Draw all quads in one call
-        gl.drawElements(gl.TRIANGLES, batch.currentQuads * 6, gl.UNSIGNED_SHORT, 0);
+        return a.blur === b.blur &&
+            a.offsetX === b.offsetX &&
+            a.offsetY === b.offsetY &&
+            a.color[0] === b.color[0] &&
+            a.color[1] === b.color[1] &&
+            a.color[2] === b.color[2] &&
+            a.color[3] === b.color[3];
+    }
 
-        // Reset batch
-        batch.currentQuads = 0;
-        batch.currentTexture = null;
+    /*
+     * Check whether an image can join a queued run of images
+     * Runs sample up to maxImageRunTextures textures, so atlas pages and separate images still batch.
+     * @param {Object} run - Parameters of the queued run
+     * @param {Object} params - Parameters of the image
+     */
+    canJoinImageRun(run, params) {
+        return run.globalAlpha === params.globalAlpha &&
+            run.smoothing === params.smoothing &&
+            (run.textures.includes(params.texture) || run.textures.length < this.maxImageRunTextures);
     }
 
     /*
-     * Flush image batch
+     * Compare two draw parameter objects key by key
      */
-    flushImages() {
-        const batch = this.batchBuffers.images;
-        if (batch.currentQuads === 0 || !batch.currentTexture) return;
+    isSameDrawParams(a, b) {
+        const keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length) return false;
 
-        const gl = this.gl;
-        const program = this.shaders.image;
-
-        gl.useProgram(program);
+        for (const key of keys) {
+            if (a[key] !== b[key]) return false;
+        }
+        return true;
+    }
 
-        // Bind and activate texture
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, batch.currentTexture);
+    /*
+     * Draw every queued run in submission order, then reset the batches
+     * Each batch buffer is uploaded once and runs draw sub-ranges of it
+     */
+    flushDrawQueue() {
+        const queue = this.drawQueue;
+        const gl = this.gl;
 
-        // Set texture uniform
-        const textureLocation = gl.getUniformLocation(program, 'u_texture');
-        if (textureLocation !== null) {
-            gl.uniform1i(textureLocation, 0);
+        // Runs can be for the canvas or for layers, each draws into the framebuffer of its target
+        const caller = this.drawTarget;
+        let target = caller;
+        let canvasFramebuffer;
+
+        if (caller) {
+            // Flushing from a layer comes before drawing into it directly (clears, custom shaders)
+            caller.version++;
+            caller.contentLost = false;
+            if (caller.returnFramebuffer === undefined) {
+                caller.returnFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+            }
+            canvasFramebuffer = caller.returnFramebuffer;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, caller.framebuffer);
+            gl.viewport(0, 0, this.width, this.height);
         }
 
-        // Upload and bind vertex data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertices);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.vertexData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
+        try {
+            let compositeOperation = null;
+            let clip = null;
 
-        const positionLoc = gl.getAttribLocation(program, 'a_position');
-        if (positionLoc >= 0) {
-            gl.enableVertexAttribArray(positionLoc);
-            gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-        }
+            for (const command of queue) {
+                if (command.target !== target) {
+                    if (canvasFramebuffer === undefined) {
+                        canvasFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+                    }
+                    this.switchFlushTarget(target, command.target, caller, canvasFramebuffer);
+                    target = command.target;
 
-        // Upload and bind texture coordinate data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.texCoords);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.texCoordData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
+                    // The clip mask lives in the stencil buffer of the previous target
+                    clip = undefined;
+                }
 
-        const texCoordLoc = gl.getAttribLocation(program, 'a_texCoord');
-        if (texCoordLoc >= 0) {
-            gl.enableVertexAttribArray(texCoordLoc);
-            gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
-        }
+                if (command.compositeOperation !== compositeOperation) {
+                    compositeOperation = command.compositeOperation;
+                    this.updateBlendMode(compositeOperation);
+                }
 
-        // Upload and bind index data
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indices);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, batch.indexData.subarray(0, batch.currentIndices), gl.DYNAMIC_DRAW);
+                if (command.clip !== clip) {
+                    clip = command.clip;
+                    this.applyClip(clip);
+                }
 
-        // Set basic uniforms
-        const resolutionLoc = gl.getUniformLocation(program, 'u_resolution');
-        if (resolutionLoc !== null) {
-            gl.uniform2f(resolutionLoc, this.width, this.height);
+                // The shadow goes underneath the run, so draw it first. Like the run, it is
+                // composited with the run's operation
+                if (this.needsReadback(command.compositeOperation)) {
+                    if (command.shadow) {
+                        this.drawWithReadback(command.compositeOperation, command.clip, () => this.drawRunShadow(command, 'source-over'));
+                    }
+                    this.drawWithReadback(command.compositeOperation, command.clip, () => this.drawRun(command));
+                    continue;
+                }
+
+                if (command.shadow) {
+                    this.drawRunShadow(command, command.compositeOperation);
+                }
+
+                this.drawRun(command);
+            }
+
+            if (target !== caller) {
+                this.switchFlushTarget(target, caller, caller, canvasFramebuffer);
+                target = caller;
+            }
+
+            // Restore the blend mode for immediate drawing (custom shaders, post-processing)
+            if (compositeOperation !== null && compositeOperation !== this.state.globalCompositeOperation) {
+                this.updateBlendMode(this.state.globalCompositeOperation);
+            }
+        } finally {
+            if (target !== caller) {
+                this.switchFlushTarget(target, caller, caller, canvasFramebuffer);
+            }
+            this.gl.disable(this.gl.STENCIL_TEST);
+            this.resetBatches();
         }
+    }
 
-        const globalAlphaLoc = gl.getUniformLocation(program, 'u_globalAlpha');
-        if (globalAlphaLoc !== null) {
-            gl.uniform1f(globalAlphaLoc, this.state.globalAlpha);
+    /*
+     * Draw a single queued run with the program for its batch type
+     * @param {Object} command - Queued draw command
+     */
+    drawRun(command) {
+        switch (command.type) {
+            case 'rectangles':
+                if (command.params.stroke) {
+                    this.drawStrokeRun(command);
+                } else {
+                    this.drawRectangleRun(command);
+                }
+                break;
+            case 'circles':
+                this.drawCircleRun(command);
+                break;
+            case 'ellipses':
+                this.drawEllipseRun(command);
+                break;
+            case 'images':
+                this.drawImageRun(command);
+                break;
+            case 'text':
+                this.drawTextRun(command);
+                break;
+            case 'layerEffects':
+                this.renderLayerEffects();
+                break;
         }
+    }
+
+    /*
+     * Draw the shadow of a queued run
+     * The run is rendered offset and tinted into the bloom framebuffer, blurred there,
+     * then composited onto the current target before the run itself is drawn. The clip
+     * applies when the stencil test is on, read-backs clip when they combine instead
+     * @param {Object} command - Queued draw command with a shadow snapshot
+     * @param {string} operation - Composite operation to blend the shadow with
+     */
+    drawRunShadow(command, operation) {
+        const gl = this.gl;
+        const shadow = command.shadow;
+        const target = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        const clipped = gl.isEnabled(gl.STENCIL_TEST);
 
-        // Set color manipulation uniforms
-        const hueLocation = gl.getUniformLocation(program, 'u_hue');
-        if (hueLocation !== null) {
-            gl.uniform1f(hueLocation, this.state.imageHue);
+        this.createBloomFramebuffer();
+
+        // Render the silhouette offscreen, the clip is applied when compositing
+        gl.disable(gl.STENCIL_TEST);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.bloomFramebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawRun({ ...command, shadowPass: true });
+
+        // Canvas blur is a gaussian with sigma = shadowBlur / 2, the blur kernel spreads about 1.75 radius
+        if (shadow.blur > 0) {
+            gl.disable(gl.BLEND);
+            this.renderOptimizedBlur(this.bloomTexture, shadow.blur / 3.5);
+            gl.enable(gl.BLEND);
         }
 
-        const saturationLocation = gl.getUniformLocation(program, 'u_saturation');
-        if (saturationLocation !== null) {
-            gl.uniform1f(saturationLocation, this.state.imageSaturation);
+        // Composite the premultiplied shadow onto the target
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target);
+        gl.viewport(0, 0, this.width, this.height);
+        if (clipped) {
+            gl.enable(gl.STENCIL_TEST);
         }
 
-        const lightnessLocation = gl.getUniformLocation(program, 'u_lightness');
-        if (lightnessLocation !== null) {
-            gl.uniform1f(lightnessLocation, this.state.imageLightness);
+        const program = this.shaders.postPassthrough;
+        gl.useProgram(program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.bloomTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_texture'), 0);
+        this.updateBlendMode(operation, true);
+        this.renderFullscreenQuad(program);
+
+        this.updateBlendMode(operation);
+        this.checkGLError('drawRunShadow');
+    }
+
+    /*
+     * Set the shadow pass uniforms of a batch program
+     * Outside of a shadow pass the offset is zero, and colors pass through unchanged unless
+     * the composite operation of the run blends a premultiplied source
+     * @param {WebGLProgram} program - Batch program
+     * @param {Object} command - Queued draw command
+     */
+    setShadowUniforms(program, command) {
+        const gl = this.gl;
+        const shadow = command.shadowPass ? command.shadow : null;
+
+        const offsetLoc = gl.getUniformLocation(program, 'u_shadowOffset');
+        if (offsetLoc !== null) {
+            gl.uniform2f(offsetLoc, shadow ? shadow.offsetX : 0, shadow ? shadow.offsetY : 0);
         }
 
-        const brightnessLocation = gl.getUniformLocation(program, 'u_brightness');
-        if (brightnessLocation !== null) {
-            gl.uniform1f(brightnessLocation, this.state.imageBrightness);
+        const passLoc = gl.getUniformLocation(program, 'u_shadowPass');
+        if (passLoc !== null) {
+            gl.uniform1i(passLoc, shadow ? 1 : 0);
         }
 
-        const contrastLocation = gl.getUniformLocation(program, 'u_contrast');
-        if (contrastLocation !== null) {
-            gl.uniform1f(contrastLocation, this.state.imageContrast);
+        const colorLoc = gl.getUniformLocation(program, 'u_shadowColor');
+        if (colorLoc !== null && shadow) {
+            gl.uniform4fv(colorLoc, shadow.color);
         }
 
-        const colorTintLocation = gl.getUniformLocation(program, 'u_colorTint');
-        if (colorTintLocation !== null) {
-            gl.uniform4fv(colorTintLocation, this.state.imageColorTint);
+        const premultiplyLoc = gl.getUniformLocation(program, 'u_premultiply');
+        if (premultiplyLoc !== null) {
+            gl.uniform1i(premultiplyLoc, !shadow && this.needsPremultipliedSource(command.compositeOperation) ? 1 : 0);
         }
+    }
 
-        const opacityLocation = gl.getUniformLocation(program, 'u_opacity');
-        if (opacityLocation !== null) {
-            gl.uniform1f(opacityLocation, this.state.imageOpacity);
+    /*
+     * Set up the stencil test for a clip
+     * Rebuilds the stencil mask from the clip regions, or disables the test when there is no clip
+     * @param {Object|null} clip - Clip from the drawing state
+     */
+    applyClip(clip) {
+        const gl = this.gl;
+
+        if (!clip) {
+            gl.disable(gl.STENCIL_TEST);
+            return;
         }
 
-        const colorModeLocation = gl.getUniformLocation(program, 'u_colorMode');
-        if (colorModeLocation !== null) {
-            gl.uniform1i(colorModeLocation, this.state.imageColorMode);
+        this.writeClipMask(clip);
+
+        // Only draw where every clip region left the clip bit set
+        gl.enable(gl.STENCIL_TEST);
+        gl.stencilMask(0x00);
+        gl.stencilFunc(gl.EQUAL, 0x80, 0x80);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+    }
+
+    /*
+     * Rasterize clip regions into the stencil buffer
+     * Bit 0x80 marks pixels inside the clip, the low 7 bits count windings for one region at a time.
+     * Every region clears the clip bit outside itself, which intersects nested clips.
+     * @param {Object} clip - Clip from the drawing state
+     */
+    writeClipMask(clip) {
+        const gl = this.gl;
+        const program = this.shaders.batchedRect;
+
+        if (!this.clipBuffer) {
+            this.clipBuffer = gl.createBuffer();
         }
 
-        const colorMultiplyLocation = gl.getUniformLocation(program, 'u_colorMultiply');
-        if (colorMultiplyLocation !== null) {
-            gl.uniform4fv(colorMultiplyLocation, this.state.imageColorMultiply);
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
+
+        // Position only - color writes are off while the mask is built
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.clipBuffer);
+        const positionLoc = gl.getAttribLocation(program, 'a_position');
+        const colorLoc = gl.getAttribLocation(program, 'a_color');
+        if (colorLoc >= 0) gl.disableVertexAttribArray(colorLoc);
+        gl.colorMask(false, false, false, false);
+        gl.enable(gl.STENCIL_TEST);
+
+        // Start with everything inside the clip
+        gl.stencilMask(0xFF);
+        gl.clearStencil(0x80);
+        gl.clear(gl.STENCIL_BUFFER_BIT);
+
+        for (const region of clip.regions) {
+            gl.bufferData(gl.ARRAY_BUFFER, region.vertices, gl.DYNAMIC_DRAW);
+            gl.enableVertexAttribArray(positionLoc);
+            gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+
+            // Winding pass - each fan triangle adds its orientation (nonzero) or flips the parity (evenodd)
+            gl.stencilMask(0x7F);
+            gl.stencilFunc(gl.ALWAYS, 0, 0xFF);
+            if (region.fillRule === 'evenodd') {
+                gl.stencilOp(gl.KEEP, gl.KEEP, gl.INVERT);
+            } else {
+                gl.stencilOpSeparate(gl.FRONT, gl.KEEP, gl.KEEP, gl.INCR_WRAP);
+                gl.stencilOpSeparate(gl.BACK, gl.KEEP, gl.KEEP, gl.DECR_WRAP);
+            }
+            gl.drawArrays(gl.TRIANGLES, 6, region.vertices.length / 2 - 6);
+
+            // Cover pass - drop the clip bit wherever the winding is zero
+            gl.stencilMask(0x80);
+            gl.stencilFunc(gl.EQUAL, 0, 0x7F);
+            gl.stencilOp(gl.KEEP, gl.KEEP, gl.ZERO);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+            // Reset the winding bits for the next region
+            gl.stencilMask(0x7F);
+            gl.clearStencil(0);
+            gl.clear(gl.STENCIL_BUFFER_BIT);
         }
 
-        const colorAddLocation = gl.getUniformLocation(program, 'u_colorAdd');
-        if (colorAddLocation !== null) {
-            gl.uniform4fv(colorAddLocation, this.state.imageColorAdd);
+        gl.colorMask(true, true, true, true);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    }
+
+    /*
+     * Reset all batch buffers and the draw queue without drawing
+     */
+    resetBatches() {
+        this.drawQueue = [];
+
+        Object.values(this.batchBuffers).forEach(batch => {
+            batch.currentVertices = 0;
+            batch.currentIndices = 0;
+            if (batch.currentQuads !== undefined) batch.currentQuads = 0;
+            batch.currentTexture = null;
+            batch.uploaded = false;
+        });
+    }
+
+    /*
+     * Bind a batch vertex attribute, uploading its data on the first run of a flush
+     * @param {WebGLProgram} program - Program that consumes the attribute
+     * @param {string} name - Attribute name
+     * @param {WebGLBuffer} buffer - Buffer holding the attribute data
+     * @param {Float32Array} data - Batched data to upload
+     * @param {number} size - Components per vertex
+     * @param {boolean} upload - Whether the data still needs uploading
+     */
+    bindBatchAttribute(program, name, buffer, data, size, upload) {
+        const gl = this.gl;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        if (upload) {
+            gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
         }
 
-        const gammaLocation = gl.getUniformLocation(program, 'u_gamma');
-        if (gammaLocation !== null) {
-            gl.uniform1f(gammaLocation, this.state.imageGamma);
+        const location = gl.getAttribLocation(program, name);
+        if (location >= 0) {
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
         }
+    }
 
-        const exposureLocation = gl.getUniformLocation(program, 'u_exposure');
-        if (exposureLocation !== null) {
-            gl.uniform1f(exposureLocation, this.state.imageExposure);
+    /*
+     * Bind a batch index buffer and draw a run of indexed triangles
+     */
+    drawIndexedRun(batch, command, upload) {
+        const gl = this.gl;
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indices);
+        if (upload) {
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, batch.indexData.subarray(0, batch.currentIndices), gl.DYNAMIC_DRAW);
         }
 
-        // Draw all batched quads in one call
-        gl.drawElements(gl.TRIANGLES, batch.currentIndices, gl.UNSIGNED_SHORT, 0);
+        // Offset is in bytes - indices are 16 bit
+        gl.drawElements(gl.TRIANGLES, command.count, gl.UNSIGNED_SHORT, command.start * 2);
 
-        // Check for errors
-        this.checkGLError('flushImages');
+        batch.uploaded = true;
+    }
+
+    /*
+ * Ultra-fast image batch flushing
+ */
+    flushImageBatch() {
+        const batch = this.imageBatchBuffer;
+        if (batch.currentQuads === 0 || !batch.currentTexture) return;
+
+        const gl = this.gl;
+        const program = this.shaders.instancedImage;
+
+        gl.useProgram(program);
+
+        // Bind texture once
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, batch.currentTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_texture'), 0);
+
+        // Set uniforms
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.width, this.height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_globalAlpha'), this.state.globalAlpha);
+        gl.uniformMatrix3fv(gl.getUniformLocation(program, 'u_globalTransform'), false, this.state.transform);
+
+        // Upload vertex data (only current portion)
+        const vertexCount = batch.currentQuads * 8;
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertices);
+        gl.bufferData(gl.ARRAY_BUFFER, batch.vertexData.subarray(0, vertexCount), gl.DYNAMIC_DRAW);
+
+        const positionLoc = gl.getAttribLocation(program, 'a_position');
+        gl.enableVertexAttribArray(positionLoc);
+        gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+
+        // Upload texture coordinate data
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.texCoords);
+        gl.bufferData(gl.ARRAY_BUFFER, batch.texCoordData.subarray(0, vertexCount), gl.DYNAMIC_DRAW);
+
+        const texCoordLoc = gl.getAttribLocation(program, 'a_texCoord');
+        gl.enableVertexAttribArray(texCoordLoc);
+        gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+
+        // Upload transform data
+        const transformCount = batch.currentQuads * 6;
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.transforms);
+        gl.bufferData(gl.ARRAY_BUFFER, batch.transformData.subarray(0, transformCount), gl.DYNAMIC_DRAW);
+
+        const transformLoc = gl.getAttribLocation(program, 'a_transform');
+        gl.enableVertexAttribArray(transformLoc);
+        gl.vertexAttribPointer(transformLoc, 6, gl.FLOAT, false, 0, 0);
+
+        // Use pre-generated indices
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indices);
+
+        // Draw all quads in one call
+        gl.drawElements(gl.TRIANGLES, batch.currentQuads * 6, gl.UNSIGNED_SHORT, 0);
 
         // Reset batch
-        batch.currentVertices = 0;
-        batch.currentIndices = 0;
         batch.currentQuads = 0;
         batch.currentTexture = null;
+    }
+
+    /*
+     * Draw a run of batched images
+     */
+    drawImageRun(command) {
+        const batch = this.batchBuffers.images;
+        const gl = this.gl;
+        const program = this.shaders.image;
+        const upload = !batch.uploaded;
+
+        gl.useProgram(program);
+
+        // Bind the textures of the run to the first units, filtered as the run was drawn
+        const textures = command.params.textures;
+        const units = [];
+        for (let i = 0; i < this.maxImageRunTextures; i++) {
+            gl.activeTexture(gl.TEXTURE0 + i);
+            this.setTextureSmoothing(textures[Math.min(i, textures.length - 1)], command.params.smoothing);
+            units.push(i);
+        }
+        gl.activeTexture(gl.TEXTURE0);
+
+        // Set texture uniform
+        const textureLocation = gl.getUniformLocation(program, 'u_textures');
+        if (textureLocation !== null) {
+            gl.uniform1iv(textureLocation, units);
+        }
+
+        this.setShadowUniforms(program, command);
+
+        // Upload and bind vertex and texture coordinate data
+        this.bindBatchAttribute(program, 'a_position', batch.vertices, batch.vertexData.subarray(0, batch.currentVertices * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_texCoord', batch.texCoords, batch.texCoordData.subarray(0, batch.currentVertices * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_imageIndex', batch.imageIndices, batch.imageIndexData.subarray(0, batch.currentVertices * 2), 2, upload);
+
+        // Image colors of each quad
+        const colorCount = batch.currentVertices * 4;
+        this.bindBatchAttribute(program, 'a_colorAdjust', batch.colorAdjusts, batch.colorAdjustData.subarray(0, colorCount), 4, upload);
+        this.bindBatchAttribute(program, 'a_colorLevels', batch.colorLevels, batch.colorLevelData.subarray(0, colorCount), 4, upload);
+        this.bindBatchAttribute(program, 'a_colorTint', batch.colorTints, batch.colorTintData.subarray(0, colorCount), 4, upload);
+        this.bindBatchAttribute(program, 'a_colorMultiply', batch.colorMultiplies, batch.colorMultiplyData.subarray(0, colorCount), 4, upload);
+        this.bindBatchAttribute(program, 'a_colorAdd', batch.colorAdds, batch.colorAddData.subarray(0, colorCount), 4, upload);
+
+        // Set basic uniforms
+        const resolutionLoc = gl.getUniformLocation(program, 'u_resolution');
+        if (resolutionLoc !== null) {
+            gl.uniform2f(resolutionLoc, this.width, this.height);
+        }
+
+        const globalAlphaLoc = gl.getUniformLocation(program, 'u_globalAlpha');
+        if (globalAlphaLoc !== null) {
+            gl.uniform1f(globalAlphaLoc, command.params.globalAlpha);
+        }
+
+        // Draw all batched quads of this run in one call
+        this.drawIndexedRun(batch, command, upload);
+
+        // Check for errors
+        this.checkGLError('drawImageRun');
 
         // Clean up
         gl.bindBuffer(gl.ARRAY_BUFFER, null);
@@ -2145,7 +3991,7 @@ class WebGLCanvas {
     flushImagesForTexture(texture) {
         const batch = this.batchBuffers.images;
         if (batch.currentTexture === texture && batch.currentQuads > 0) {
-            this.flushImages();
+            this.flushDrawQueue();
         }
     }
 
@@ -2164,176 +4010,118 @@ class WebGLCanvas {
     }
 
     /*
-     * Flush ellipse batch
+     * Draw a run of batched ellipses
      */
-    flushEllipses() {
+    drawEllipseRun(command) {
         const batch = this.batchBuffers.ellipses;
-        if (batch.currentVertices === 0) return;
-
         const gl = this.gl;
         const program = this.shaders.batchedEllipse;
+        const upload = !batch.uploaded;
+        const vertexCount = batch.currentVertices;
 
         gl.useProgram(program);
 
-        // Upload vertex data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertices);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.vertexData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
-
-        const positionLoc = gl.getAttribLocation(program, 'a_position');
-        gl.enableVertexAttribArray(positionLoc);
-        gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-
-        // Upload color data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.colors);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.colorData.subarray(0, batch.currentVertices * 4), gl.DYNAMIC_DRAW);
-
-        const colorLoc = gl.getAttribLocation(program, 'a_color');
-        gl.enableVertexAttribArray(colorLoc);
-        gl.vertexAttribPointer(colorLoc, 4, gl.FLOAT, false, 0, 0);
-
-        // Upload center data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.centers);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.centerData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
-
-        const centerLoc = gl.getAttribLocation(program, 'a_center');
-        gl.enableVertexAttribArray(centerLoc);
-        gl.vertexAttribPointer(centerLoc, 2, gl.FLOAT, false, 0, 0);
-
-        // Upload radius data (radiusX, radiusY)
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.radii);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.radiusData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
-
-        const radiusLoc = gl.getAttribLocation(program, 'a_radius');
-        gl.enableVertexAttribArray(radiusLoc);
-        gl.vertexAttribPointer(radiusLoc, 2, gl.FLOAT, false, 0, 0);
-
-        // Upload index data
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indices);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, batch.indexData.subarray(0, batch.currentIndices), gl.DYNAMIC_DRAW);
+        // Upload vertex, color, center and radius (radiusX, radiusY) data
+        this.bindBatchAttribute(program, 'a_position', batch.vertices, batch.vertexData.subarray(0, vertexCount * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_color', batch.colors, batch.colorData.subarray(0, vertexCount * 4), 4, upload);
+        this.bindBatchAttribute(program, 'a_center', batch.centers, batch.centerData.subarray(0, vertexCount * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_radius', batch.radii, batch.radiusData.subarray(0, vertexCount * 2), 2, upload);
 
         // Set uniforms
         const resolutionLoc = gl.getUniformLocation(program, 'u_resolution');
         gl.uniform2f(resolutionLoc, this.width, this.height);
+        this.setPaintUniforms(program, command.params.paint);
+        this.setShadowUniforms(program, command);
 
-        // Draw all ellipses
-        gl.drawElements(gl.TRIANGLES, batch.currentIndices, gl.UNSIGNED_SHORT, 0);
-
-        // Reset batch
-        batch.currentVertices = 0;
-        batch.currentIndices = 0;
+        // Draw the ellipses of this run
+        this.drawIndexedRun(batch, command, upload);
     }
 
     /*
-     * Flush rectangle batch
+     * Draw a run of batched rectangles (also used for thick lines and path triangles)
      */
-    flushRectangles() {
+    drawRectangleRun(command) {
         const batch = this.batchBuffers.rectangles;
-        if (batch.currentVertices === 0) return;
-
         const gl = this.gl;
         const program = this.shaders.batchedRect;
+        const upload = !batch.uploaded;
+        const vertexCount = batch.currentVertices;
 
         gl.useProgram(program);
 
-        // Upload vertex data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertices);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.vertexData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
-
-        const positionLoc = gl.getAttribLocation(program, 'a_position');
-        gl.enableVertexAttribArray(positionLoc);
-        gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-
-        // Upload color data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.colors);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.colorData.subarray(0, batch.currentVertices * 4), gl.DYNAMIC_DRAW);
-
-        const colorLoc = gl.getAttribLocation(program, 'a_color');
-        gl.enableVertexAttribArray(colorLoc);
-        gl.vertexAttribPointer(colorLoc, 4, gl.FLOAT, false, 0, 0);
-
-        // Upload index data
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indices);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, batch.indexData.subarray(0, batch.currentIndices), gl.DYNAMIC_DRAW);
+        // Upload vertex and color data
+        this.bindBatchAttribute(program, 'a_position', batch.vertices, batch.vertexData.subarray(0, vertexCount * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_color', batch.colors, batch.colorData.subarray(0, vertexCount * 4), 4, upload);
 
         // Set uniforms
         const resolutionLoc = gl.getUniformLocation(program, 'u_resolution');
         gl.uniform2f(resolutionLoc, this.width, this.height);
+        this.setPaintUniforms(program, command.params.paint);
+        this.setShadowUniforms(program, command);
 
-        // Draw all rectangles in one call!
-        gl.drawElements(gl.TRIANGLES, batch.currentIndices, gl.UNSIGNED_SHORT, 0);
-
-        // Reset batch after flushing
-        batch.currentVertices = 0;
-        batch.currentIndices = 0;
+        // Draw all rectangles of this run in one call!
+        this.drawIndexedRun(batch, command, upload);
 
         gl.bindBuffer(gl.ARRAY_BUFFER, null);
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
     }
 
     /*
-     * Flush circle batch using instanced rendering
+     * Draw a translucent stroke so that every pixel it covers blends once
+     * Joins and caps overlap the segment quads. Stencil bit 0x01 marks the pixels already drawn,
+     * inside the clip bit 0x80 when there is a clip, and is cleared by a second pass over the mesh.
+     * @param {Object} command - Queued rectangles command of one stroke
      */
-    flushCircles() {
-        const batch = this.batchBuffers.circles;
-        if (batch.currentVertices === 0) return;
+    drawStrokeRun(command) {
+        const gl = this.gl;
+        const clipped = gl.isEnabled(gl.STENCIL_TEST);
+
+        // Draw where the bit isn't set yet and set it
+        gl.enable(gl.STENCIL_TEST);
+        gl.stencilMask(0x01);
+        gl.stencilFunc(gl.EQUAL, clipped ? 0x80 : 0x00, clipped ? 0x81 : 0x01);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.INCR);
+        this.drawRectangleRun(command);
+
+        // Clear the bit again, the batch is uploaded by now
+        gl.colorMask(false, false, false, false);
+        gl.stencilFunc(gl.ALWAYS, 0, 0xFF);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.ZERO);
+        this.drawRectangleRun(command);
+        gl.colorMask(true, true, true, true);
+
+        if (clipped) {
+            gl.stencilMask(0x00);
+            gl.stencilFunc(gl.EQUAL, 0x80, 0x80);
+            gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+        } else {
+            gl.disable(gl.STENCIL_TEST);
+        }
+    }
 
+    /*
+     * Draw a run of batched circles (filled or stroked)
+     */
+    drawCircleRun(command) {
+        const batch = this.batchBuffers.circles;
         const gl = this.gl;
         const program = this.shaders.batchedCircle;
+        const upload = !batch.uploaded;
+        const vertexCount = batch.currentVertices;
 
         // Check if program exists and is valid
         if (!program || !gl.isProgram(program)) {
             // console.error('Circle shader program not available or invalid');
-            // Reset batch to prevent infinite loop
-            batch.currentVertices = 0;
-            batch.currentIndices = 0;
             return;
         }
 
-        gl.useProgram(program);
-
-        // Upload vertex data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertices);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.vertexData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
-
-        const positionLoc = gl.getAttribLocation(program, 'a_position');
-        if (positionLoc >= 0) {
-            gl.enableVertexAttribArray(positionLoc);
-            gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-        }
-
-        // Upload color data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.colors);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.colorData.subarray(0, batch.currentVertices * 4), gl.DYNAMIC_DRAW);
-
-        const colorLoc = gl.getAttribLocation(program, 'a_color');
-        if (colorLoc >= 0) {
-            gl.enableVertexAttribArray(colorLoc);
-            gl.vertexAttribPointer(colorLoc, 4, gl.FLOAT, false, 0, 0);
-        }
-
-        // Upload center data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.centers);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.centerData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
-
-        const centerLoc = gl.getAttribLocation(program, 'a_center');
-        if (centerLoc >= 0) {
-            gl.enableVertexAttribArray(centerLoc);
-            gl.vertexAttribPointer(centerLoc, 2, gl.FLOAT, false, 0, 0);
-        }
-
-        // Upload radius data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.radii);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.radiusData.subarray(0, batch.currentVertices), gl.DYNAMIC_DRAW);
-
-        const radiusLoc = gl.getAttribLocation(program, 'a_radius');
-        if (radiusLoc >= 0) {
-            gl.enableVertexAttribArray(radiusLoc);
-            gl.vertexAttribPointer(radiusLoc, 1, gl.FLOAT, false, 0, 0);
-        }
-
-        // Upload index data
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.indices);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, batch.indexData.subarray(0, batch.currentIndices), gl.DYNAMIC_DRAW);
+        gl.useProgram(program);
+
+        // Upload vertex, color, center and radius data
+        this.bindBatchAttribute(program, 'a_position', batch.vertices, batch.vertexData.subarray(0, vertexCount * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_color', batch.colors, batch.colorData.subarray(0, vertexCount * 4), 4, upload);
+        this.bindBatchAttribute(program, 'a_center', batch.centers, batch.centerData.subarray(0, vertexCount * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_radius', batch.radii, batch.radiusData.subarray(0, vertexCount), 1, upload);
 
         // Set uniforms
         const resolutionLoc = gl.getUniformLocation(program, 'u_resolution');
@@ -2341,25 +4129,22 @@ class WebGLCanvas {
             gl.uniform2f(resolutionLoc, this.width, this.height);
         }
 
-        // Add stroke uniforms
+        // Stroke uniforms come from the run, so fills and rings can share the batch
         const strokeWidthLoc = gl.getUniformLocation(program, 'u_strokeWidth');
         if (strokeWidthLoc !== null) {
-            gl.uniform1f(strokeWidthLoc, this.state.lineWidth);
+            gl.uniform1f(strokeWidthLoc, command.params.strokeWidth);
         }
 
         const isStrokeLoc = gl.getUniformLocation(program, 'u_isStroke');
         if (isStrokeLoc !== null) {
-            // This would need to be set based on whether we're drawing fill or stroke circles
-            // For now, default to fill (0)
-            gl.uniform1i(isStrokeLoc, 0);
+            gl.uniform1i(isStrokeLoc, command.params.isStroke);
         }
 
-        // Draw all circles in one call!
-        gl.drawElements(gl.TRIANGLES, batch.currentIndices, gl.UNSIGNED_SHORT, 0);
+        this.setPaintUniforms(program, command.params.paint);
+        this.setShadowUniforms(program, command);
 
-        // Reset batch after flushing
-        batch.currentVertices = 0;
-        batch.currentIndices = 0;
+        // Draw all circles of this run in one call!
+        this.drawIndexedRun(batch, command, upload);
 
         // Clean up
         gl.bindBuffer(gl.ARRAY_BUFFER, null);
@@ -2367,42 +4152,40 @@ class WebGLCanvas {
     }
 
     /*
-     * Flush line batch
+     * Draw a run of batched glyphs
      */
-    flushLines() {
-        const batch = this.batchBuffers.lines;
-        if (batch.currentVertices === 0) return;
-
+    drawTextRun(command) {
+        const batch = this.batchBuffers.text;
         const gl = this.gl;
-        const program = this.shaders.batchedLine;
+        const program = this.shaders.text;
+        const upload = !batch.uploaded;
+        const vertexCount = batch.currentVertices;
 
         gl.useProgram(program);
 
-        // Upload vertex data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.vertices);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.vertexData.subarray(0, batch.currentVertices * 2), gl.DYNAMIC_DRAW);
-
-        const positionLoc = gl.getAttribLocation(program, 'a_position');
-        gl.enableVertexAttribArray(positionLoc);
-        gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-
-        // Upload color data
-        gl.bindBuffer(gl.ARRAY_BUFFER, batch.colors);
-        gl.bufferData(gl.ARRAY_BUFFER, batch.colorData.subarray(0, batch.currentVertices * 4), gl.DYNAMIC_DRAW);
-
-        const colorLoc = gl.getAttribLocation(program, 'a_color');
-        gl.enableVertexAttribArray(colorLoc);
-        gl.vertexAttribPointer(colorLoc, 4, gl.FLOAT, false, 0, 0);
+        // Upload vertex, texture coordinate, color and SDF parameter data
+        this.bindBatchAttribute(program, 'a_position', batch.vertices, batch.vertexData.subarray(0, vertexCount * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_texCoord', batch.texCoords, batch.texCoordData.subarray(0, vertexCount * 2), 2, upload);
+        this.bindBatchAttribute(program, 'a_color', batch.colors, batch.colorData.subarray(0, vertexCount * 4), 4, upload);
+        this.bindBatchAttribute(program, 'a_sdf', batch.sdfParams, batch.sdfParamData.subarray(0, vertexCount * 2), 2, upload);
 
         // Set uniforms
         const resolutionLoc = gl.getUniformLocation(program, 'u_resolution');
         gl.uniform2f(resolutionLoc, this.width, this.height);
+        this.setPaintUniforms(program, command.params.paint);
+        this.setShadowUniforms(program, command);
+
+        // The glyph atlas goes on unit 1, unit 0 belongs to the paint
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.uploadGlyphAtlas());
+        gl.uniform1i(gl.getUniformLocation(program, 'u_glyphAtlas'), 1);
+        gl.activeTexture(gl.TEXTURE0);
 
-        // Draw all lines
-        gl.drawArrays(gl.LINES, 0, batch.currentVertices);
+        // Draw all glyphs of this run in one call
+        this.drawIndexedRun(batch, command, upload);
 
-        // Reset batch after flushing
-        batch.currentVertices = 0;
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
     }
 
     /*
@@ -2416,20 +4199,28 @@ class WebGLCanvas {
             return;
         }
 
+        // Gradients and patterns are evaluated per fragment, the vertex color only carries globalAlpha
+        if (this.isGradient(color) || this.isPattern(color)) {
+            this.state.fillPaint = color;
+            this.state.fillStyle = [1, 1, 1, 1];
+            return;
+        }
+
+        this.state.fillPaint = null;
         this.state.fillStyle = this.parseColor(color);
     }
 
     /*
         * Get current fill style
-        * Returns the fill style as an RGBA array
-        * @return {Array}
+        * Returns the fill style as an RGBA array, or the gradient/pattern object if one is set
+        * @return {Array|Object}
     */
     get fillStyle() {
         if (!this.useWebGL) {
             return this.ctx.fillStyle;
         }
 
-        return this.state.fillStyle;
+        return this.state.fillPaint || this.state.fillStyle;
     }
 
     /*
@@ -2470,16 +4261,6 @@ class WebGLCanvas {
         }
 
         this.state.lineWidth = Math.max(0, width);
-
-        // Try to set WebGL line width for thin lines (fallback)
-        if (this.gl && width <= 1) {
-            try {
-                this.gl.lineWidth(width);
-            } catch (e) {
-                // Some browsers/drivers don't support this
-                // console.warn('WebGL lineWidth not supported, using rectangle-based rendering');
-            }
-        }
     }
 
     /*
@@ -2575,21 +4356,8 @@ class WebGLCanvas {
             return;
         }
 
+        // Applies to images drawn from now on, textures are filtered when their run is drawn
         this.state.imageSmoothingEnabled = enabled;
-
-        // Update existing textures
-        this.textureCache.forEach((texture) => {
-            const gl = this.gl;
-            gl.bindTexture(gl.TEXTURE_2D, texture);
-
-            if (enabled) {
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            } else {
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-            }
-        });
     }
 
     get imageSmoothingEnabled() {
@@ -2640,7 +4408,8 @@ class WebGLCanvas {
             'destination-over', 'destination-in', 'destination-out', 'destination-atop',
             'lighter', 'copy', 'xor', 'multiply', 'screen', 'overlay',
             'darken', 'lighten', 'color-dodge', 'color-burn',
-            'hard-light', 'soft-light', 'difference', 'exclusion'
+            'hard-light', 'soft-light', 'difference', 'exclusion',
+            'hue', 'saturation', 'color', 'luminosity'
         ];
 
         if (validOperations.includes(operation)) {
@@ -2905,38 +4674,192 @@ class WebGLCanvas {
 
     /*
     * Update WebGL blend mode based on composite operation
+    * Shaders output unpremultiplied colors into a premultiplied target. The operations of
+    * needsPremultipliedSource can only be blended from a premultiplied source, batch shaders
+    * premultiply for them. Operations that need a read-back (see needsReadback) draw source-over
+    * into a layer that the composite shader combines with the destination
+    * @param {string} operation - Composite operation
+    * @param {boolean} premultiplied - Whether the source colors are premultiplied
     */
-    updateBlendMode(operation) {
+    updateBlendMode(operation, premultiplied = false) {
         const gl = this.gl;
+        const source = premultiplied ? gl.ONE : gl.SRC_ALPHA;
 
         switch (operation) {
-            case 'source-over':
-                gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            case 'destination-out':
+                gl.blendFuncSeparate(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
                 break;
-            case 'source-in':
-                gl.blendFunc(gl.DST_ALPHA, gl.ZERO);
-                break;
-            case 'source-out':
-                gl.blendFunc(gl.ONE_MINUS_DST_ALPHA, gl.ZERO);
+            case 'lighter':
+                gl.blendFuncSeparate(source, gl.ONE, gl.ONE, gl.ONE);
                 break;
             case 'destination-over':
                 gl.blendFunc(gl.ONE_MINUS_DST_ALPHA, gl.ONE);
                 break;
-            case 'lighter':
-                gl.blendFunc(gl.ONE, gl.ONE);
+            case 'source-atop':
+                gl.blendFunc(gl.DST_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+                break;
+            case 'xor':
+                gl.blendFunc(gl.ONE_MINUS_DST_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
                 break;
             case 'multiply':
-                gl.blendFunc(gl.DST_COLOR, gl.ZERO);
+                // Exact over opaque destinations, translucent ones miss the source they don't cover
+                gl.blendFuncSeparate(gl.DST_COLOR, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
                 break;
             case 'screen':
-                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+                gl.blendFuncSeparate(gl.ONE, gl.ONE_MINUS_SRC_COLOR, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
                 break;
             default:
-                gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+                gl.blendFuncSeparate(source, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
                 break;
         }
     }
 
+    /*
+    * Check if a composite operation blends with functions that expect a premultiplied source
+    * @param {string} operation - Composite operation
+    * @returns {boolean} True for destination-over, source-atop, xor, multiply and screen
+    */
+    needsPremultipliedSource(operation) {
+        return operation === 'destination-over' || operation === 'source-atop' || operation === 'xor' ||
+            operation === 'multiply' || operation === 'screen';
+    }
+
+    /*
+    * Composite operations in the order of the composite shader's u_mode
+    */
+    getCompositeModes() {
+        return [
+            'source-over', 'source-in', 'source-out', 'source-atop',
+            'destination-over', 'destination-in', 'destination-out', 'destination-atop',
+            'copy', 'xor', 'lighter',
+            'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+            'hard-light', 'soft-light', 'difference', 'exclusion',
+            'hue', 'saturation', 'color', 'luminosity'
+        ];
+    }
+
+    /*
+    * Check if a composite operation needs the framebuffer read-back shader
+    * Operations that clear the destination outside the shape, and blend modes that blend
+    * functions can't express. The others map to blend functions (see updateBlendMode)
+    */
+    needsReadback(operation) {
+        return operation !== 'source-over' && operation !== 'destination-out' && operation !== 'lighter' &&
+            !this.needsPremultipliedSource(operation);
+    }
+
+    /*
+    * Get the offscreen targets for read-back compositing, created on first use
+    * @returns {Object} Source layer framebuffer, texture and stencil, and the destination copy texture
+    */
+    getCompositeLayer() {
+        if (this.compositeLayer) return this.compositeLayer;
+
+        const gl = this.gl;
+        const createTexture = () => {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            return texture;
+        };
+
+        const layer = {
+            framebuffer: gl.createFramebuffer(),
+            texture: createTexture(),
+            destinationTexture: createTexture(),
+            stencilBuffer: gl.createRenderbuffer() // For strokes drawn through the stencil
+        };
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, layer.stencilBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, this.width, this.height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+        const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, layer.texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, layer.stencilBuffer);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+
+        this.compositeLayer = layer;
+        return layer;
+    }
+
+    /*
+    * Release the read-back compositing targets
+    */
+    deleteCompositeLayer() {
+        const layer = this.compositeLayer;
+        if (!layer) return;
+
+        this.gl.deleteFramebuffer(layer.framebuffer);
+        this.gl.deleteTexture(layer.texture);
+        this.gl.deleteTexture(layer.destinationTexture);
+        this.gl.deleteRenderbuffer(layer.stencilBuffer);
+        this.compositeLayer = null;
+    }
+
+    /*
+    * Draw with a composite operation that needs the destination in the shader
+    * The source is drawn alone into a layer, then combined with a copy of the
+    * destination across the whole target, since operations like source-in and copy
+    * also change pixels outside the shape. The clip still limits the result
+    * @param {string} operation - Composite operation
+    * @param {Object|null} clip - Clip of the draw, its mask must be in the target's stencil
+    * @param {Function} drawSource - Draws the source with the layer bound
+    */
+    drawWithReadback(operation, clip, drawSource) {
+        const gl = this.gl;
+        const target = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        const layer = this.getCompositeLayer();
+
+        // Copy the destination before the source is composited over it
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, layer.destinationTexture);
+        gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 0, 0, this.width, this.height);
+
+        // Draw the source on its own
+        gl.disable(gl.STENCIL_TEST);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+
+        this.updateBlendMode('source-over');
+        drawSource();
+
+        // Combine source and destination into the target
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target);
+        gl.viewport(0, 0, this.width, this.height);
+        if (clip) {
+            gl.enable(gl.STENCIL_TEST);
+        }
+        gl.disable(gl.BLEND);
+
+        const program = this.shaders.composite;
+        gl.useProgram(program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_source'), 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, layer.destinationTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_destination'), 1);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_mode'), this.getCompositeModes().indexOf(operation));
+
+        this.renderFullscreenQuad(program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.enable(gl.BLEND);
+        this.checkGLError('drawWithReadback');
+    }
+
     /*
     * Add color stop to gradient
     * @param {number} offset - Position (0-1)
@@ -2948,8 +4871,10 @@ class WebGLCanvas {
                 offset: Math.max(0, Math.min(1, offset)),
                 color: this.parseColor(color)
             });
-            // Sort by offset
+            // Sort by offset (stable, so later stops at the same offset stay last)
             gradient.colorStops.sort((a, b) => a.offset - b.offset);
+            // Bump version so cached paints pick up the new stop
+            gradient.version = (gradient.version || 0) + 1;
         }
     }
 
@@ -2964,7 +4889,7 @@ class WebGLCanvas {
 
         // Handle gradient objects
         if (color && typeof color === 'object' && color.type) {
-            if (color.type === 'linear' || color.type === 'radial') {
+            if (this.isGradient(color)) {
                 return this.evaluateGradient(color, 0.5, 0.5); // Default to middle
             }
             if (color.type === 'pattern') {
@@ -3090,6 +5015,11 @@ class WebGLCanvas {
             const dy = y - gradient.y0;
             const dist = Math.sqrt(dx * dx + dy * dy);
             t = dist / gradient.r1;
+        } else if (gradient.type === 'conic') {
+            // Angle around the center, starting at startAngle
+            const angle = Math.atan2(y - gradient.y, x - gradient.x) - gradient.startAngle;
+            t = angle / (Math.PI * 2);
+            t -= Math.floor(t);
         }
 
         t = Math.max(0, Math.min(1, t));
@@ -3120,6 +5050,252 @@ class WebGLCanvas {
         ];
     }
 
+    /*
+     * Check if a style value is a gradient object
+     * @param {*} style - Fill or stroke style
+     * @return {boolean}
+     */
+    isGradient(style) {
+        return !!style && typeof style === 'object' && !Array.isArray(style) &&
+            (style.type === 'linear' || style.type === 'radial' || style.type === 'conic');
+    }
+
+    /*
+     * Check if a style value is a pattern object
+     * @param {*} style - Fill or stroke style
+     * @return {boolean}
+     */
+    isPattern(style) {
+        return !!style && typeof style === 'object' && style.type === 'pattern';
+    }
+
+    /*
+     * Get the paint for the current fill
+     * Snapshots the gradient or pattern and the inverse of the current transform,
+     * so later changes don't leak into queued draws. The snapshot is reused while nothing
+     * changes, which keeps consecutive gradient and pattern fills in one run.
+     * @return {Object|null} - Paint object, or null for solid colors
+     */
+    getFillPaint() {
+        const style = this.state.fillPaint;
+        if (!style) return null;
+
+        const cache = this.fillPaintCache;
+        if (cache &&
+            cache.style === style &&
+            cache.transform === this.state.transform &&
+            cache.colorStops === style.colorStops && // Stops may be assigned directly
+            cache.version === style.version) {
+            return cache.paint;
+        }
+
+        const paint = this.isPattern(style) ? this.createPatternPaint(style) : this.createGradientPaint(style);
+
+        this.fillPaintCache = {
+            style,
+            transform: this.state.transform,
+            colorStops: style.colorStops,
+            version: style.version,
+            paint
+        };
+        return paint;
+    }
+
+    /*
+     * Build a paint snapshot for a gradient
+     * @param {Object} gradient - Gradient from createLinearGradient/createRadialGradient/createConicGradient
+     * @return {Object} - Paint object
+     */
+    createGradientPaint(gradient) {
+        const isConic = gradient.type === 'conic';
+        const colorStops = gradient.colorStops.map(stop => ({ offset: stop.offset, color: [...stop.color] }));
+
+        return {
+            type: { linear: 1, radial: 2, conic: 3 }[gradient.type],
+            matrix: this.getPaintMatrix(this.state.transform),
+            points: isConic ? [gradient.x, gradient.y, 0, 0] : [gradient.x0, gradient.y0, gradient.x1, gradient.y1],
+            radii: isConic ? [gradient.startAngle, 0] : [gradient.r0 || 0, gradient.r1 || 0],
+            colorStops,
+            rampKey: colorStops.map(stop => `${stop.offset}:${stop.color.join(',')}`).join('|')
+        };
+    }
+
+    /*
+     * Build a paint snapshot for a pattern
+     * The matrix maps device pixels to image tiles: one unit per image width/height
+     * @param {Object} pattern - Pattern from createPattern
+     * @return {Object} - Paint object
+     */
+    createPatternPaint(pattern) {
+        const image = pattern.image;
+        const width = image.width || image.videoWidth || image.naturalWidth || 1;
+        const height = image.height || image.videoHeight || image.naturalHeight || 1;
+        const repetition = pattern.repetition;
+
+        const matrix = this.getPaintMatrix(this.multiplyMatrix(this.state.transform, pattern.transform));
+        matrix[0] /= width;
+        matrix[3] /= width;
+        matrix[6] /= width;
+        matrix[1] /= height;
+        matrix[4] /= height;
+        matrix[7] /= height;
+
+        return {
+            type: 4,
+            matrix,
+            image,
+            smoothing: this.state.imageSmoothingEnabled,
+            radii: [
+                repetition === 'repeat' || repetition === 'repeat-x' ? 1 : 0,
+                repetition === 'repeat' || repetition === 'repeat-y' ? 1 : 0
+            ]
+        };
+    }
+
+    /*
+     * Invert a transform to map device pixels back into gradient space
+     * @param {Array} m - Row-major 3x3 transform
+     * @return {Float32Array} - Column-major inverse, ready for uniformMatrix3fv
+     */
+    getPaintMatrix(m) {
+        const det = m[0] * m[4] - m[1] * m[3];
+
+        if (det === 0) {
+            // Degenerate transform - the geometry collapses too, so anything works
+            return new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+        }
+
+        const a = m[4] / det;
+        const b = -m[1] / det;
+        const c = -m[3] / det;
+        const d = m[0] / det;
+        const e = -(a * m[2] + b * m[5]);
+        const f = -(c * m[2] + d * m[5]);
+
+        return new Float32Array([a, c, 0, b, d, 0, e, f, 1]);
+    }
+
+    /*
+     * Set paint uniforms for a fill run
+     * Binds the gradient ramp or pattern image on texture unit 0
+     * @param {WebGLProgram} program - Fill shader program
+     * @param {Object|null} paint - Paint from getFillPaint(), null for solid colors
+     */
+    setPaintUniforms(program, paint) {
+        const gl = this.gl;
+
+        gl.uniform1i(gl.getUniformLocation(program, 'u_paintType'), paint ? paint.type : 0);
+        if (!paint) return;
+
+        let texture;
+        let points = paint.points;
+
+        if (paint.type === 4) {
+            // Patterns share the image texture cache (and the atlas for small images)
+            texture = this.getOrCreateTexture(paint.image);
+            const cached = this.textureCache.get(paint.image);
+            const region = cached && cached.atlas;
+            points = region ? [region.u1, region.v1, region.u2, region.v2] : [0, 0, 1, 1];
+            gl.activeTexture(gl.TEXTURE0);
+            this.setTextureSmoothing(texture, this.getTextureSmoothing(cached, paint.smoothing));
+        } else {
+            texture = this.getGradientRamp(paint);
+        }
+
+        gl.uniformMatrix3fv(gl.getUniformLocation(program, 'u_paintMatrix'), false, paint.matrix);
+        gl.uniform4fv(gl.getUniformLocation(program, 'u_paintPoints'), points);
+        gl.uniform2fv(gl.getUniformLocation(program, 'u_paintRadii'), paint.radii);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture || null);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_paintTexture'), 0);
+    }
+
+    /*
+     * Get the ramp texture for a paint's color stops, creating it if needed
+     * Ramps are shared by gradients with the same stops, so gradients rebuilt every frame stay cheap
+     * @param {Object} paint - Paint from getFillPaint()
+     * @return {WebGLTexture}
+     */
+    getGradientRamp(paint) {
+        const gl = this.gl;
+        const ramps = this.gradientRamps;
+        let texture = ramps.get(paint.rampKey);
+
+        if (texture) {
+            // Re-insert so the map stays in least recently used order
+            ramps.delete(paint.rampKey);
+            ramps.set(paint.rampKey, texture);
+            return texture;
+        }
+
+        texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, this.createGradientRamp(paint.colorStops));
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        ramps.set(paint.rampKey, texture);
+
+        // Drop the least recently used ramp
+        if (ramps.size > 64) {
+            const oldestKey = ramps.keys().next().value;
+            gl.deleteTexture(ramps.get(oldestKey));
+            ramps.delete(oldestKey);
+        }
+
+        return texture;
+    }
+
+    /*
+     * Bake color stops into 256 RGBA texels
+     * Colors are interpolated with premultiplied alpha like Canvas 2D, then stored unpremultiplied.
+     * A stop sharing its offset with an earlier one takes over from that offset on.
+     * @param {Array} colorStops - Sorted color stops
+     * @return {Uint8Array}
+     */
+    createGradientRamp(colorStops) {
+        const pixels = new Uint8Array(256 * 4);
+        if (colorStops.length === 0) return pixels; // Transparent black
+
+        for (let i = 0; i < 256; i++) {
+            const t = i / 255;
+
+            // First stop past t
+            let next = 0;
+            while (next < colorStops.length && colorStops[next].offset <= t) next++;
+
+            let color;
+            if (next === 0) {
+                color = colorStops[0].color;
+            } else if (next === colorStops.length) {
+                color = colorStops[colorStops.length - 1].color;
+            } else {
+                const from = colorStops[next - 1];
+                const to = colorStops[next];
+                const factor = (t - from.offset) / (to.offset - from.offset);
+                const alpha = from.color[3] + (to.color[3] - from.color[3]) * factor;
+
+                color = [0, 0, 0, alpha];
+                if (alpha > 0) {
+                    for (let c = 0; c < 3; c++) {
+                        const premultiplied = from.color[c] * from.color[3] +
+                            (to.color[c] * to.color[3] - from.color[c] * from.color[3]) * factor;
+                        color[c] = premultiplied / alpha;
+                    }
+                }
+            }
+
+            for (let c = 0; c < 4; c++) {
+                pixels[i * 4 + c] = Math.round(Math.max(0, Math.min(1, color[c])) * 255);
+            }
+        }
+
+        return pixels;
+    }
+
     /*
         * Transfer current state to 2D context
         * Applies the current state properties to the 2D canvas context
@@ -3210,6 +5386,238 @@ class WebGLCanvas {
         this.addPostEffect('pixelate', { pixelSize });
     }
 
+    // Add 3D LUT color grading
+    addLUT(lut, intensity = 1.0) {
+        this.addPostEffect('lut', { lut, intensity });
+    }
+
+    // Add feedback trails, options are the other feedback parameters
+    addFeedback(decay = 0.9, options = {}) {
+        this.addPostEffect('feedback', { ...options, decay });
+    }
+
+    // Clear the trails of the feedback effects, e.g. on a scene change
+    clearFeedback() {
+        this.getPostProcessing().effects.forEach(effect => this.releaseFeedbackHistory(effect));
+    }
+
+    /*
+     * Create a 3D lookup table for the 'lut' post effect
+     * Accepts the text of a .cube file, or an image of the LUT laid out as square tiles, one per
+     * blue slice, with red running right and green down each tile: a 256x16 strip holds a 16³ LUT,
+     * a 512x512 grid of 8x8 tiles a 64³ one.
+     * @param {string|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source - .cube text or LUT image
+     * @param {Object} options - LUT options
+     * @param {boolean} options.flipY - Green runs up the tiles of the image instead of down
+     * @returns {Object} LUT handle for addLUT, transitionLUT and the lut/blendLut effect parameters
+     */
+    createLUT(source, options = {}) {
+        let lut;
+
+        if (typeof source === 'string') {
+            lut = this.parseCubeLUT(source);
+        } else {
+            const width = source.naturalWidth || source.width;
+            const height = source.naturalHeight || source.height;
+            const size = Math.round(Math.cbrt(width * height));
+
+            if (!width || size * size * size !== width * height || width % size !== 0 || height % size !== 0) {
+                throw new Error(`LUT image of ${width}x${height} is not a grid of square tiles`);
+            }
+
+            lut = {
+                size,
+                tilesPerRow: width / size,
+                width,
+                height,
+                domainMin: [0, 0, 0],
+                domainMax: [1, 1, 1],
+                image: source
+            };
+        }
+
+        lut.flipY = !!options.flipY;
+        lut.texture = null;
+        this.uploadLUT(lut);
+        this.luts.add(lut);
+        return lut;
+    }
+
+    /*
+     * Load a LUT from a .cube file or an image
+     * @param {string} url - URL of the file, .cube files are recognized by their extension
+     * @param {Object} options - Options for createLUT
+     * @returns {Promise<Object>} Promise resolving to the LUT handle
+     */
+    loadLUT(url, options = {}) {
+        if (/\.cube([?#]|$)/i.test(url)) {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load LUT ${url}: ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(text => this.createLUT(text, options));
+        }
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                try {
+                    resolve(this.createLUT(image, options));
+                } catch (e) {
+                    reject(e);
+                }
+            };
+            image.onerror = () => reject(new Error(`Failed to load LUT ${url}`));
+            image.src = url;
+        });
+    }
+
+    /*
+     * Parse the text of a .cube file into the tiled layout of an image LUT
+     * @param {string} text - File contents
+     * @returns {Object} LUT without its texture, the texels in pixels
+     */
+    parseCubeLUT(text) {
+        let size = 0;
+        let domainMin = [0, 0, 0];
+        let domainMax = [1, 1, 1];
+        const values = [];
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (line === '' || line[0] === '#') continue;
+
+            const parts = line.split(/\s+/);
+            const keyword = parts[0].toUpperCase();
+
+            if (keyword === 'TITLE') {
+                continue;
+            } else if (keyword === 'LUT_3D_SIZE') {
+                size = parseInt(parts[1], 10);
+            } else if (keyword === 'LUT_1D_SIZE') {
+                throw new Error('1D .cube LUTs are not supported');
+            } else if (keyword === 'DOMAIN_MIN') {
+                domainMin = parts.slice(1, 4).map(Number);
+            } else if (keyword === 'DOMAIN_MAX') {
+                domainMax = parts.slice(1, 4).map(Number);
+            } else if (keyword === 'LUT_3D_INPUT_RANGE') {
+                domainMin = [Number(parts[1]), Number(parts[1]), Number(parts[1])];
+                domainMax = [Number(parts[2]), Number(parts[2]), Number(parts[2])];
+            } else if (parts.length === 3 && !isNaN(parseFloat(parts[0]))) {
+                values.push(Number(parts[0]), Number(parts[1]), Number(parts[2]));
+            }
+        }
+
+        if (!(size >= 2 && size <= 256)) {
+            throw new Error('Missing or invalid LUT_3D_SIZE in .cube file');
+        }
+        if (values.length !== size * size * size * 3) {
+            throw new Error(`Expected ${size * size * size} entries in .cube file, found ${values.length / 3}`);
+        }
+
+        const tilesPerRow = Math.ceil(Math.sqrt(size));
+        const width = tilesPerRow * size;
+        const height = Math.ceil(size / tilesPerRow) * size;
+        const pixels = new Uint8Array(width * height * 4);
+
+        // Entries run red fastest, then green, then blue
+        for (let i = 0; i < size * size * size; i++) {
+            const r = i % size;
+            const g = Math.floor(i / size) % size;
+            const b = Math.floor(i / (size * size));
+            const x = (b % tilesPerRow) * size + r;
+            const y = Math.floor(b / tilesPerRow) * size + g;
+            const offset = (y * width + x) * 4;
+
+            for (let c = 0; c < 3; c++) {
+                pixels[offset + c] = Math.round(Math.max(0, Math.min(1, values[i * 3 + c])) * 255);
+            }
+            pixels[offset + 3] = 255;
+        }
+
+        return { size, tilesPerRow, width, height, domainMin, domainMax, pixels };
+    }
+
+    /*
+     * Upload the texels of a LUT into its texture
+     * @param {Object} lut - LUT handle
+     */
+    uploadLUT(lut) {
+        const gl = this.gl;
+        if (!gl || this.isContextLost()) return;
+
+        lut.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, lut.texture);
+        if (lut.pixels) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, lut.width, lut.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, lut.pixels);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, lut.image);
+        }
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    /*
+     * Delete a LUT's texture
+     * Effects still referencing it leave the color ungraded.
+     * @param {Object} lut - LUT handle
+     */
+    deleteLUT(lut) {
+        if (lut.texture && this.gl && !this.isContextLost()) {
+            this.gl.deleteTexture(lut.texture);
+        }
+        lut.texture = null;
+        this.luts.delete(lut);
+    }
+
+    /*
+     * Blend the 'lut' effect of the drawing target towards another LUT
+     * Adds the effect, fading in from the ungraded image, when there is none yet. A transition
+     * started during another one carries on from whichever of its two LUTs is further along.
+     * @param {Object|null} lut - LUT to end up with, null to fade the grading out
+     * @param {number} duration - Transition length in milliseconds
+     */
+    transitionLUT(lut, duration = 1000) {
+        const post = this.getPostProcessing();
+        let effect = post.effects.find(e => e.name === 'lut');
+
+        if (!effect) {
+            this.addPostEffect('lut');
+            effect = post.effects[post.effects.length - 1];
+        }
+
+        const params = effect.parameters;
+        if (params.transition && performance.now() - params.transition.start >= params.transition.duration / 2) {
+            params.lut = params.blendLut;
+        }
+
+        if (duration <= 0) {
+            Object.assign(params, { lut, blendLut: null, blend: 0.0, transition: null });
+        } else {
+            Object.assign(params, { blendLut: lut, blend: 0.0, transition: { start: performance.now(), duration } });
+        }
+        post.version++;
+    }
+
+    /*
+     * Upload the LUTs created before the context was lost
+     */
+    restoreLUTs() {
+        for (const lut of this.luts) {
+            try {
+                this.uploadLUT(lut);
+            } catch (e) {
+                // console.warn('Failed to restore LUT:', e);
+            }
+        }
+    }
+
     /*
         * Save the current state
         * Saves all drawing state to the state stack
@@ -3224,6 +5632,7 @@ class WebGLCanvas {
 
         this.stateStack.push({
             fillStyle: [...this.state.fillStyle],
+            fillPaint: this.state.fillPaint,
             strokeStyle: [...this.state.strokeStyle],
             lineWidth: this.state.lineWidth,
             lineCap: this.state.lineCap,
@@ -3242,6 +5651,7 @@ class WebGLCanvas {
             shadowOffsetY: this.state.shadowOffsetY,
             imageSmoothingEnabled: this.state.imageSmoothingEnabled,
             transform: [...this.state.transform],
+            clip: this.state.clip,
 
             // Image color properties
             imageHue: this.state.imageHue,
@@ -3278,7 +5688,7 @@ class WebGLCanvas {
     /*
      * Add rectangle to batch
      */
-    addRectangleToBatch(x, y, width, height, color) {
+    addRectangleToBatch(x, y, width, height, color, paint = null) {
         if (!this.useWebGL) {
             return;
             this.transferContextState();
@@ -3287,9 +5697,7 @@ class WebGLCanvas {
         const batch = this.batchBuffers.rectangles;
 
         if (batch.currentVertices + 4 > batch.maxVertices) {
-            this.flushRectangles();
-            batch.currentVertices = 0;
-            batch.currentIndices = 0;
+            this.flushDrawQueue();
         }
 
         // Transform rectangle vertices properly
@@ -3336,6 +5744,8 @@ class WebGLCanvas {
         batch.indexData[indexOffset + 4] = indexBase + 2;
         batch.indexData[indexOffset + 5] = indexBase + 3;
 
+        this.queueDraw('rectangles', indexOffset, 6, { paint });
+
         batch.currentVertices += 4;
         batch.currentIndices += 6;
     }
@@ -3351,9 +5761,7 @@ class WebGLCanvas {
         const batch = this.batchBuffers.circles;
 
         if (batch.currentVertices + 4 > batch.maxVertices) {
-            this.flushCircles();
-            batch.currentVertices = 0;
-            batch.currentIndices = 0;
+            this.flushDrawQueue();
         }
 
         const [cx, cy] = this.transformPoint(x, y);
@@ -3393,9 +5801,7 @@ class WebGLCanvas {
             batch.radiusData[vertexIndex + i] = outerRadius;
         }
 
-        // We need to modify the circle shader to handle stroke circles
-        // For now, let's store the inner radius in a separate way
-        // This is a workaround - ideally we'd have a separate stroke circle shader
+        // The ring's inner edge comes from the run's stroke width (outerRadius - lineWidth)
 
         // Add indices
         const indexBase = batch.currentVertices;
@@ -3407,6 +5813,8 @@ class WebGLCanvas {
         batch.indexData[indexOffset + 4] = indexBase + 2;
         batch.indexData[indexOffset + 5] = indexBase + 3;
 
+        this.queueDraw('circles', indexOffset, 6, { isStroke: 1, strokeWidth: lineWidth, paint: null });
+
         batch.currentVertices += 4;
         batch.currentIndices += 6;
     }
@@ -3414,7 +5822,7 @@ class WebGLCanvas {
     /*
      * Add circle to batch
      */
-    addCircleToBatch(x, y, radius, color) {
+    addCircleToBatch(x, y, radius, color, paint = null) {
         if (!this.useWebGL) {
             return;
             this.transferContextState();
@@ -3423,9 +5831,7 @@ class WebGLCanvas {
         const batch = this.batchBuffers.circles;
 
         if (batch.currentVertices + 4 > batch.maxVertices) {
-            this.flushCircles();
-            batch.currentVertices = 0;
-            batch.currentIndices = 0;
+            this.flushDrawQueue();
         }
 
         const [cx, cy] = this.transformPoint(x, y);
@@ -3472,6 +5878,8 @@ class WebGLCanvas {
         batch.indexData[indexOffset + 4] = indexBase + 2;
         batch.indexData[indexOffset + 5] = indexBase + 3;
 
+        this.queueDraw('circles', indexOffset, 6, { isStroke: 0, strokeWidth: 0, paint });
+
         batch.currentVertices += 4;
         batch.currentIndices += 6;
     }
@@ -3479,7 +5887,7 @@ class WebGLCanvas {
     /*
      * Add ellipse to batch
      */
-    addEllipseToBatch(x, y, radiusX, radiusY, color) {
+    addEllipseToBatch(x, y, radiusX, radiusY, color, paint = null) {
         if (!this.useWebGL) {
             return;
             this.transferContextState();
@@ -3488,9 +5896,7 @@ class WebGLCanvas {
         const batch = this.batchBuffers.ellipses;
 
         if (batch.currentVertices + 4 > batch.maxVertices) {
-            this.flushEllipses();
-            batch.currentVertices = 0;
-            batch.currentIndices = 0;
+            this.flushDrawQueue();
         }
 
         const [cx, cy] = this.transformPoint(x, y);
@@ -3538,24 +5944,33 @@ class WebGLCanvas {
         batch.indexData[indexOffset + 4] = indexBase + 2;
         batch.indexData[indexOffset + 5] = indexBase + 3;
 
+        this.queueDraw('ellipses', indexOffset, 6, { paint });
+
         batch.currentVertices += 4;
         batch.currentIndices += 6;
     }
 
     /*
      * Add image to batch
+     * @param {WebGLTexture} texture - Texture to sample
+     * @param {number} sx - Source x in texture pixels, from the top
+     * @param {number} sy - Source y in texture pixels, from the top
+     * @param {number} sWidth - Source width
+     * @param {number} sHeight - Source height
+     * @param {number} dx - Destination x
+     * @param {number} dy - Destination y
+     * @param {number} dWidth - Destination width
+     * @param {number} dHeight - Destination height
+     * @param {Object} frame - Texture size, flipY for bottom-up textures rendered by WebGL, mirrorY to draw the
+     *                         source rectangle bottom row first, smoothing, and rotated for sprites stored
+     *                         turned 90° clockwise (the source rectangle is then as stored)
      */
-    addImageToBatch(texture, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight) {
+    addImageToBatch(texture, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight, frame) {
         const batch = this.batchBuffers.images;
 
-        // If different texture, flush current batch
-        if (batch.currentTexture && batch.currentTexture !== texture) {
-            this.flushImages();
-        }
-
-        // If batch is full, flush it
+        // If batch is full, flush queued draws (texture changes just start a new run)
         if (batch.currentQuads >= batch.maxQuads) {
-            this.flushImages();
+            this.flushDrawQueue();
         }
 
         batch.currentTexture = texture;
@@ -3579,20 +5994,32 @@ class WebGLCanvas {
         batch.vertexData[vertexIndex * 2 + 6] = x4;
         batch.vertexData[vertexIndex * 2 + 7] = y4;
 
-        // Calculate texture coordinates (assuming full texture for now)
-        const imgWidth = texture.width || sWidth || dWidth;
-        const imgHeight = texture.height || sHeight || dHeight;
-
-        const u1 = sx / imgWidth;
-        const v1 = 1.0 - (sy + sHeight) / imgHeight; // Flip Y
-        const u2 = (sx + sWidth) / imgWidth;
-        const v2 = 1.0 - sy / imgHeight; // Flip Y
+        // Calculate texture coordinates, uploaded images have their first row at v = 0
+        const u1 = sx / frame.width;
+        const u2 = (sx + sWidth) / frame.width;
+        let v1 = sy / frame.height;
+        let v2 = (sy + sHeight) / frame.height;
+        if (frame.flipY) {
+            v1 = 1.0 - v1;
+            v2 = 1.0 - v2;
+        }
+        if (frame.mirrorY) {
+            [v1, v2] = [v2, v1];
+        }
 
         // Add texture coordinates
-        batch.texCoordData[vertexIndex * 2 + 0] = u1; batch.texCoordData[vertexIndex * 2 + 1] = v2; // TL
-        batch.texCoordData[vertexIndex * 2 + 2] = u2; batch.texCoordData[vertexIndex * 2 + 3] = v2; // TR
-        batch.texCoordData[vertexIndex * 2 + 4] = u1; batch.texCoordData[vertexIndex * 2 + 5] = v1; // BL
-        batch.texCoordData[vertexIndex * 2 + 6] = u2; batch.texCoordData[vertexIndex * 2 + 7] = v1; // BR
+        if (frame.rotated) {
+            // The sprite's top edge runs down the right side of the stored rectangle
+            batch.texCoordData[vertexIndex * 2 + 0] = u2; batch.texCoordData[vertexIndex * 2 + 1] = v1; // TL
+            batch.texCoordData[vertexIndex * 2 + 2] = u2; batch.texCoordData[vertexIndex * 2 + 3] = v2; // TR
+            batch.texCoordData[vertexIndex * 2 + 4] = u1; batch.texCoordData[vertexIndex * 2 + 5] = v1; // BL
+            batch.texCoordData[vertexIndex * 2 + 6] = u1; batch.texCoordData[vertexIndex * 2 + 7] = v2; // BR
+        } else {
+            batch.texCoordData[vertexIndex * 2 + 0] = u1; batch.texCoordData[vertexIndex * 2 + 1] = v1; // TL
+            batch.texCoordData[vertexIndex * 2 + 2] = u2; batch.texCoordData[vertexIndex * 2 + 3] = v1; // TR
+            batch.texCoordData[vertexIndex * 2 + 4] = u1; batch.texCoordData[vertexIndex * 2 + 5] = v2; // BL
+            batch.texCoordData[vertexIndex * 2 + 6] = u2; batch.texCoordData[vertexIndex * 2 + 7] = v2; // BR
+        }
 
         // Add indices (two triangles)
         const indexBase = batch.currentVertices;
@@ -3604,35 +6031,63 @@ class WebGLCanvas {
         batch.indexData[indexOffset + 4] = indexBase + 2;
         batch.indexData[indexOffset + 5] = indexBase + 3;
 
+        const command = this.queueDraw('images', indexOffset, 6, { texture, globalAlpha: this.state.globalAlpha, smoothing: frame.smoothing });
+
+        // Which of the run's textures the quad samples, and the image colors it's drawn with
+        const textureIndex = command.params.textures.indexOf(texture);
+        this.addImageColorsToBatch(batch, vertexIndex, textureIndex);
+
         batch.currentVertices += 4;
         batch.currentIndices += 6;
         batch.currentQuads += 1;
     }
 
+    /*
+     * Write the current image color properties to the four vertices of a quad
+     * @param {Object} batch - Image batch
+     * @param {number} vertexIndex - First vertex of the quad
+     * @param {number} textureIndex - Texture of the run the quad samples
+     */
+    addImageColorsToBatch(batch, vertexIndex, textureIndex) {
+        const state = this.state;
+
+        for (let i = vertexIndex; i < vertexIndex + 4; i++) {
+            batch.imageIndexData[i * 2 + 0] = textureIndex;
+            batch.imageIndexData[i * 2 + 1] = state.imageColorMode;
+
+            const offset = i * 4;
+            batch.colorAdjustData[offset + 0] = state.imageHue;
+            batch.colorAdjustData[offset + 1] = state.imageSaturation;
+            batch.colorAdjustData[offset + 2] = state.imageLightness;
+            batch.colorAdjustData[offset + 3] = state.imageBrightness;
+            batch.colorLevelData[offset + 0] = state.imageContrast;
+            batch.colorLevelData[offset + 1] = state.imageOpacity;
+            batch.colorLevelData[offset + 2] = state.imageGamma;
+            batch.colorLevelData[offset + 3] = state.imageExposure;
+            batch.colorTintData.set(state.imageColorTint, offset);
+            batch.colorMultiplyData.set(state.imageColorMultiply, offset);
+            batch.colorAddData.set(state.imageColorAdd, offset);
+        }
+    }
+
     /*
     * Enhanced image batch system with texture atlas support
     */
     createImageBatchSystem() {
-        // Create texture atlas for small images
+        // Create texture atlas for small images: pages are added as needed, up to maxPages
+        const options = this.options.atlas || {};
         this.textureAtlas = {
-            canvas: document.createElement('canvas'),
-            ctx: null,
-            width: 2048,
-            height: 2048,
+            pageSize: options.pageSize || 2048,
+            maxPages: options.maxPages || 4,
+            maxImageSize: options.maxImageSize || 512,
+            padding: options.padding !== undefined ? options.padding : 2,
+            // Images drawn in this many flushes survive a repack
+            keepFlushes: options.keepFlushes || 120,
+            pages: [],
             regions: new Map(),
-            currentX: 0,
-            currentY: 0,
-            rowHeight: 0,
-            needsUpdate: false
+            stats: { evictions: 0, repacks: 0, fallbacks: 0 }
         };
 
-        this.textureAtlas.canvas.width = this.textureAtlas.width;
-        this.textureAtlas.canvas.height = this.textureAtlas.height;
-        this.textureAtlas.ctx = this.textureAtlas.canvas.getContext('2d');
-
-        // Create atlas texture
-        this.atlasTexture = null;
-
         // Improved batch buffer for images
         const gl = this.gl;
         const maxQuads = 5000; // Reduced for better stability
@@ -3771,13 +6226,17 @@ class WebGLCanvas {
 
     /*
      * Add image to texture atlas for small images
+     * Images are packed into the first page with room, a new page while there are fewer than maxPages,
+     * or room made by repacking an idle page. Returns null when every page is in use this frame.
+     * @param {*} image - Image source
+     * @returns {Object|null} Region with its page, the image position, size and texture coordinates
      */
     addToTextureAtlas(image) {
         const atlas = this.textureAtlas;
-        const maxSize = 256; // Only atlas images smaller than this
+        const { width, height } = this.getImageSourceSize(image);
 
         // Check if image is too large for atlas
-        if (image.width > maxSize || image.height > maxSize) {
+        if (!width || !height || width > atlas.maxImageSize || height > atlas.maxImageSize) {
             return null;
         }
 
@@ -3786,152 +6245,855 @@ class WebGLCanvas {
             return atlas.regions.get(image);
         }
 
-        // Check if there's space
-        if (atlas.currentX + image.width > atlas.width) {
-            // Move to next row
-            atlas.currentX = 0;
-            atlas.currentY += atlas.rowHeight;
-            atlas.rowHeight = 0;
-        }
+        // Padding on every side holds the extruded edge pixels
+        const paddedWidth = width + atlas.padding * 2;
+        const paddedHeight = height + atlas.padding * 2;
 
-        if (atlas.currentY + image.height > atlas.height) {
-            // Atlas is full
+        let place = null;
+        for (const page of atlas.pages) {
+            place = this.packAtlasRegion(page, paddedWidth, paddedHeight);
+            if (place) break;
+        }
+        if (!place && atlas.pages.length < atlas.maxPages) {
+            place = this.packAtlasRegion(this.createAtlasPage(), paddedWidth, paddedHeight);
+        }
+        if (!place) {
+            place = this.makeAtlasRoom(paddedWidth, paddedHeight);
+        }
+        if (!place) {
+            // Atlas is full of images drawn this frame
+            atlas.stats.fallbacks++;
             return null;
         }
 
-        // Add image to atlas
+        const page = place.page;
         const region = {
-            x: atlas.currentX,
-            y: atlas.currentY,
-            width: image.width,
-            height: image.height,
-            u1: atlas.currentX / atlas.width,
-            v1: atlas.currentY / atlas.height,
-            u2: (atlas.currentX + image.width) / atlas.width,
-            v2: (atlas.currentY + image.height) / atlas.height
+            image,
+            page,
+            width,
+            height,
+            usedFlush: this.flushCount
         };
+        this.setAtlasRegionPosition(region, place.x + atlas.padding, place.y + atlas.padding);
 
-        atlas.ctx.drawImage(image, atlas.currentX, atlas.currentY);
+        this.drawAtlasImage(page, image, region.x, region.y, width, height);
+        page.regions.add(region);
         atlas.regions.set(image, region);
-        atlas.needsUpdate = true;
-
-        // Update position
-        atlas.currentX += image.width;
-        atlas.rowHeight = Math.max(atlas.rowHeight, image.height);
 
         return region;
     }
 
     /*
-     * Update atlas texture
+     * Create an empty atlas page
+     * @returns {Object} Page with its canvas, skyline and regions
+     */
+    createAtlasPage() {
+        const atlas = this.textureAtlas;
+        const canvas = document.createElement('canvas');
+        canvas.width = atlas.pageSize;
+        canvas.height = atlas.pageSize;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        const page = {
+            canvas,
+            ctx,
+            texture: null,
+            // Top edge of the packed area, as runs of { x, y, width } from left to right
+            skyline: [{ x: 0, y: 0, width: atlas.pageSize }],
+            regions: new Set(),
+            usedFlush: -1,
+            // Area left behind by removed images, reclaimed when the page is repacked
+            freedArea: 0,
+            dirty: null
+        };
+        atlas.pages.push(page);
+        return page;
+    }
+
+    /*
+     * Find the lowest place on a page's skyline for a rectangle and reserve it
+     * @param {Object} page - Atlas page
+     * @param {number} width - Rectangle width, padding included
+     * @param {number} height - Rectangle height, padding included
+     * @returns {Object|null} page, x and y of the rectangle, or null if it doesn't fit
+     */
+    packAtlasRegion(page, width, height) {
+        const size = this.textureAtlas.pageSize;
+        const skyline = page.skyline;
+        let best = -1;
+        let bestX = 0;
+        let bestY = Infinity;
+
+        for (let i = 0; i < skyline.length; i++) {
+            const x = skyline[i].x;
+            if (x + width > size) break;
+
+            // The rectangle rests on the highest run it spans
+            let y = 0;
+            let spanned = 0;
+            for (let j = i; spanned < width; j++) {
+                y = Math.max(y, skyline[j].y);
+                spanned += skyline[j].width;
+            }
+
+            if (y + height <= size && y < bestY) {
+                best = i;
+                bestX = x;
+                bestY = y;
+            }
+        }
+        if (best < 0) return null;
+
+        // Raise the skyline under the rectangle, trimming the runs it covers
+        const top = { x: bestX, y: bestY + height, width };
+        skyline.splice(best, 0, top);
+        for (let i = best + 1; i < skyline.length; i++) {
+            const run = skyline[i];
+            const overlap = top.x + top.width - run.x;
+            if (overlap <= 0) break;
+
+            if (overlap >= run.width) {
+                skyline.splice(i--, 1);
+            } else {
+                run.x += overlap;
+                run.width -= overlap;
+                break;
+            }
+        }
+
+        // Merge neighbouring runs at the same height
+        for (let i = 0; i < skyline.length - 1; i++) {
+            if (skyline[i].y === skyline[i + 1].y) {
+                skyline[i].width += skyline[i + 1].width;
+                skyline.splice(i + 1, 1);
+                i--;
+            }
+        }
+
+        return { page, x: bestX, y: bestY };
+    }
+
+    /*
+     * Make room for a rectangle by repacking idle pages
+     * Pages drawn from since the last flush, or sampled by a queued run, are skipped: queued quads have
+     * the positions of their regions baked into their texture coordinates. Pattern fills add their
+     * images while the queue is drawn, so both checks are needed: a pattern reaching a full atlas
+     * mid-flush must not move an image that a queued quad still samples, it becomes a fallback
+     * texture instead. Repacking first keeps the images
+     * drawn in the last keepFlushes flushes. If that isn't enough, the least recently used page is emptied.
+     * @param {number} width - Rectangle width, padding included
+     * @param {number} height - Rectangle height, padding included
+     * @returns {Object|null} Place of the rectangle, as from packAtlasRegion
+     */
+    makeAtlasRoom(width, height) {
+        const atlas = this.textureAtlas;
+        const queued = this.getQueuedTextures();
+        const idle = atlas.pages
+            .filter(page => page.usedFlush !== this.flushCount && !queued.has(page.texture))
+            .sort((a, b) => a.usedFlush - b.usedFlush);
+
+        const keepFrom = this.flushCount - atlas.keepFlushes;
+        for (const page of idle) {
+            let droppable = page.freedArea > 0;
+            for (const region of page.regions) {
+                if (region.usedFlush < keepFrom) {
+                    droppable = true;
+                    break;
+                }
+            }
+            if (!droppable) continue;
+
+            this.repackAtlasPage(page, keepFrom);
+            const place = this.packAtlasRegion(page, width, height);
+            if (place) return place;
+        }
+
+        if (idle.length > 0) {
+            this.repackAtlasPage(idle[0], Infinity);
+            return this.packAtlasRegion(idle[0], width, height);
+        }
+        return null;
+    }
+
+    /*
+     * Repack the regions of a page drawn since a flush, dropping the others
+     * Regions keep their objects, so cache entries pointing at them stay valid. Dropped images are
+     * added to the atlas again when they are drawn.
+     * @param {Object} page - Atlas page, not used by queued draws
+     * @param {number} keepFrom - First flush count of the regions to keep
      */
-    updateAtlasTexture() {
+    repackAtlasPage(page, keepFrom) {
         const atlas = this.textureAtlas;
-        if (!atlas.needsUpdate) return;
+        const padding = atlas.padding;
+        const kept = [...page.regions]
+            .filter(region => region.usedFlush >= keepFrom)
+            .sort((a, b) => b.height - a.height);
+
+        // Copy the page aside, the kept regions are drawn back from the copy with their padding
+        const copy = document.createElement('canvas');
+        copy.width = atlas.pageSize;
+        copy.height = atlas.pageSize;
+        copy.getContext('2d').drawImage(page.canvas, 0, 0);
+
+        page.ctx.clearRect(0, 0, atlas.pageSize, atlas.pageSize);
+        page.skyline = [{ x: 0, y: 0, width: atlas.pageSize }];
+        page.freedArea = 0;
+
+        const previous = page.regions;
+        page.regions = new Set();
+        for (const region of kept) {
+            const place = this.packAtlasRegion(page, region.width + padding * 2, region.height + padding * 2);
+            if (!place) continue;
+
+            page.ctx.drawImage(copy,
+                region.x - padding, region.y - padding, region.width + padding * 2, region.height + padding * 2,
+                place.x, place.y, region.width + padding * 2, region.height + padding * 2);
+            this.setAtlasRegionPosition(region, place.x + padding, place.y + padding);
+            page.regions.add(region);
+        }
+
+        for (const region of previous) {
+            if (!page.regions.has(region)) {
+                this.forgetAtlasRegion(region);
+                atlas.stats.evictions++;
+            }
+        }
+
+        page.dirty = { x: 0, y: 0, width: atlas.pageSize, height: atlas.pageSize };
+        atlas.stats.repacks++;
+    }
+
+    /*
+     * Remove an image from the atlas, its space is reclaimed when the page is repacked
+     * @param {*} image - Image source
+     */
+    removeFromTextureAtlas(image) {
+        const region = this.textureAtlas && this.textureAtlas.regions.get(image);
+        if (!region) return;
+
+        const padding = this.textureAtlas.padding;
+        region.page.regions.delete(region);
+        region.page.freedArea += (region.width + padding * 2) * (region.height + padding * 2);
+        this.forgetAtlasRegion(region);
+    }
+
+    /*
+     * Drop the references to a region that is no longer on its page
+     * @param {Object} region - Atlas region
+     */
+    forgetAtlasRegion(region) {
+        this.textureAtlas.regions.delete(region.image);
+
+        const cached = this.textureCache.get(region.image);
+        if (cached && cached.atlas === region) {
+            this.textureCache.delete(region.image);
+        }
+    }
+
+    /*
+     * Set where a region's image is on its page
+     * @param {Object} region - Atlas region
+     * @param {number} x - Left of the image, inside the padding
+     * @param {number} y - Top of the image, inside the padding
+     */
+    setAtlasRegionPosition(region, x, y) {
+        const size = this.textureAtlas.pageSize;
+        region.x = x;
+        region.y = y;
+        region.u1 = x / size;
+        region.v1 = y / size;
+        region.u2 = (x + region.width) / size;
+        region.v2 = (y + region.height) / size;
+    }
+
+    /*
+     * Draw an image onto an atlas page, extruding its edge pixels into the padding
+     * so filtering at the edges never picks up a neighbouring image
+     * @param {Object} page - Atlas page
+     * @param {*} image - Image source
+     * @param {number} x - Left of the image
+     * @param {number} y - Top of the image
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     */
+    drawAtlasImage(page, image, x, y, width, height) {
+        const ctx = page.ctx;
+        const padding = this.textureAtlas.padding;
+
+        ctx.clearRect(x - padding, y - padding, width + padding * 2, height + padding * 2);
+        ctx.drawImage(image, x, y, width, height);
+
+        if (padding > 0) {
+            // Top and bottom rows, then the left and right columns with the corners
+            ctx.drawImage(image, 0, 0, width, 1, x, y - padding, width, padding);
+            ctx.drawImage(image, 0, height - 1, width, 1, x, y + height, width, padding);
+            ctx.drawImage(page.canvas, x, y - padding, 1, height + padding * 2, x - padding, y - padding, padding, height + padding * 2);
+            ctx.drawImage(page.canvas, x + width - 1, y - padding, 1, height + padding * 2, x + width, y - padding, padding, height + padding * 2);
+        }
+
+        this.addAtlasDirtyRect(page, x - padding, y - padding, width + padding * 2, height + padding * 2);
+    }
 
-        if (!this.atlasTexture) {
-            this.atlasTexture = this.gl.createTexture();
+    /*
+     * Grow the area of a page to upload on next use
+     */
+    addAtlasDirtyRect(page, x, y, width, height) {
+        const dirty = page.dirty;
+        if (!dirty) {
+            page.dirty = { x, y, width, height };
+            return;
         }
 
+        const right = Math.max(dirty.x + dirty.width, x + width);
+        const bottom = Math.max(dirty.y + dirty.height, y + height);
+        dirty.x = Math.min(dirty.x, x);
+        dirty.y = Math.min(dirty.y, y);
+        dirty.width = right - dirty.x;
+        dirty.height = bottom - dirty.y;
+    }
+
+    /*
+     * Upload the changed area of an atlas page, creating its texture on first use
+     * @param {Object} page - Atlas page
+     */
+    updateAtlasPage(page) {
         const gl = this.gl;
-        gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, atlas.canvas);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
-        atlas.needsUpdate = false;
+        if (!page.texture) {
+            page.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, page.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, page.canvas);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            page.texture.smoothing = true;
+            page.dirty = null;
+            return;
+        }
+        if (!page.dirty) return;
+
+        // Only the changed pixels, instead of the whole page
+        const { x, y, width, height } = page.dirty;
+        gl.bindTexture(gl.TEXTURE_2D, page.texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, gl.RGBA, gl.UNSIGNED_BYTE, page.ctx.getImageData(x, y, width, height));
+        page.dirty = null;
+    }
+
+    /*
+     * Get statistics of the texture atlas
+     * @returns {Object} Page size and count, per page occupancy, and counts of regions, evicted images,
+     *                   repacks and images that didn't fit
+     */
+    getAtlasStats() {
+        const atlas = this.textureAtlas;
+        const padding = atlas.padding;
+        const pageArea = atlas.pageSize * atlas.pageSize;
+
+        const pages = atlas.pages.map(page => {
+            let usedArea = 0;
+            page.regions.forEach(region => {
+                usedArea += (region.width + padding * 2) * (region.height + padding * 2);
+            });
+            return {
+                regions: page.regions.size,
+                usedArea,
+                occupancy: usedArea / pageArea,
+                lastUsedFlush: page.usedFlush
+            };
+        });
+
+        return {
+            pageSize: atlas.pageSize,
+            maxPages: atlas.maxPages,
+            pages,
+            regions: atlas.regions.size,
+            bytes: atlas.pages.length * pageArea * 4,
+            evictions: atlas.stats.evictions,
+            repacks: atlas.stats.repacks,
+            fallbacks: atlas.stats.fallbacks
+        };
     }
 
     /*
      * Get or create texture from image
+     * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap} image - Image to upload
+     * @param {boolean} allowAtlas - Small images may share the atlas texture, false for a texture of their own
      */
-    getOrCreateTexture(image) {
+    getOrCreateTexture(image, allowAtlas = true) {
+        // Sources that change are uploaded again in place, which the atlas can't do
+        if (this.isDynamicImageSource(image)) {
+            allowAtlas = false;
+        }
+
         // Check cache first
         if (this.textureCache.has(image)) {
             const cached = this.textureCache.get(image);
-            if (this.gl.isTexture(cached.texture || cached)) {
-                if (cached.lastUsed !== undefined) {
-                    cached.lastUsed = performance.now();
+            if (this.gl.isTexture(cached.texture) && (allowAtlas || !cached.atlas)) {
+                // Re-insert so the cache stays in least recently used order
+                this.textureCache.delete(image);
+                this.textureCache.set(image, cached);
+                cached.lastUsed = performance.now();
+                cached.usedFlush = this.flushCount;
+                if (cached.atlas) {
+                    // Repacking may have moved the image since its page was uploaded
+                    cached.atlas.usedFlush = this.flushCount;
+                    cached.atlas.page.usedFlush = this.flushCount;
+                    this.updateAtlasPage(cached.atlas.page);
                 }
-                return cached.texture || cached;
+
+                this.updateCachedTexture(image, cached);
+                return cached.texture;
+            }
+            // Remove invalid texture, or the atlas one when a texture of its own is needed
+            this.deleteCachedTexture(image);
+        }
+
+        // Try to add to atlas first (for small images) - only if atlas is available
+        if (this.textureAtlas && allowAtlas) {
+            const atlasRegion = this.addToTextureAtlas(image);
+            if (atlasRegion) {
+                const page = atlasRegion.page;
+                page.usedFlush = this.flushCount;
+                this.updateAtlasPage(page);
+                this.textureCache.set(image, {
+                    source: image,
+                    texture: page.texture,
+                    atlas: atlasRegion,
+                    filter: 'auto',
+                    bytes: 0, // Counted with the atlas
+                    lastUsed: performance.now(),
+                    usedFlush: this.flushCount
+                });
+                return page.texture;
+            }
+        }
+
+        // Create individual texture for large images
+        return this.safeWebGLOperation(() => {
+            const entry = { source: image, filter: 'auto', wrap: 'clamp', pinned: false };
+            this.uploadTextureEntry(entry);
+            this.textureCache.set(image, entry);
+            this.evictTextures();
+
+            return entry.texture;
+        }, 'optimized texture creation');
+    }
+
+    /*
+     * Create the texture of a cache entry from its source
+     * Used for new entries, and to upload texture handles again after a context loss.
+     * @param {Object} entry - Cache entry with source, filter and wrap
+     */
+    uploadTextureEntry(entry) {
+        const gl = this.gl;
+        const image = entry.source;
+        const { width, height } = this.getImageSourceSize(image);
+        const wrap = this.getTextureWrap(entry.wrap, width, height);
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        this.setTextureSmoothing(texture, this.getTextureSmoothing(entry, this.state.imageSmoothingEnabled));
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+
+        // Use efficient texture upload
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+
+        Object.assign(entry, {
+            texture,
+            width,
+            height,
+            bytes: width * height * 4,
+            atlas: null,
+            lastUsed: performance.now(),
+            usedFlush: this.flushCount,
+            // What was uploaded, to tell when a video or canvas has changed since
+            frameTime: image.currentTime,
+            uploadedFlush: this.flushCount,
+            stale: false
+        });
+        this.textureMemory += entry.bytes;
+    }
+
+    /*
+     * Delete the texture of an image from the cache
+     * @param {*} image - Cache key: the image source
+     */
+    deleteCachedTexture(image) {
+        const entry = this.textureCache.get(image);
+        if (!entry) return;
+
+        if (!entry.atlas && entry.texture && this.gl && this.gl.isTexture(entry.texture)) {
+            this.gl.deleteTexture(entry.texture);
+        }
+        if (!entry.atlas) {
+            this.textureMemory -= entry.bytes || 0;
+        }
+        entry.texture = null;
+        this.textureCache.delete(image);
+    }
+
+    /*
+     * Get the GL wrap mode of a texture
+     * WebGL 1 only repeats textures with power of two sizes.
+     * @param {string} wrap - 'clamp', 'repeat' or 'mirror'
+     * @param {number} width - Texture width
+     * @param {number} height - Texture height
+     * @returns {number} GL wrap mode
+     */
+    getTextureWrap(wrap, width, height) {
+        const gl = this.gl;
+        if (wrap === 'clamp') return gl.CLAMP_TO_EDGE;
+
+        const powerOfTwo = value => value > 0 && (value & (value - 1)) === 0;
+        if (!powerOfTwo(width) || !powerOfTwo(height)) {
+            throw new Error(`Texture wrap '${wrap}' needs a power of two size, not ${width}x${height}`);
+        }
+        return wrap === 'mirror' ? gl.MIRRORED_REPEAT : gl.REPEAT;
+    }
+
+    /*
+     * Get whether a texture is drawn smoothed
+     * @param {Object} entry - Cache entry, or undefined for layers
+     * @param {boolean} smoothing - imageSmoothingEnabled of the draw, used by 'auto' textures
+     * @returns {boolean}
+     */
+    getTextureSmoothing(entry, smoothing) {
+        if (entry && entry.filter === 'linear') return true;
+        if (entry && entry.filter === 'nearest') return false;
+        return smoothing;
+    }
+
+    /*
+     * Set the filtering of a texture, binding it to the active unit
+     * The filter is kept on the texture so draws with the same setting don't change it again.
+     * @param {WebGLTexture} texture - Texture
+     * @param {boolean} smoothing - Linear filtering, or nearest
+     */
+    setTextureSmoothing(texture, smoothing) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (texture.smoothing === smoothing) return;
+
+        const filter = smoothing ? gl.LINEAR : gl.NEAREST;
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        texture.smoothing = smoothing;
+    }
+
+    /*
+     * Get the pixel size of an image source, as it is uploaded
+     * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap|OffscreenCanvas|ImageData} image - Image source
+     * @returns {Object} width and height
+     */
+    getImageSourceSize(image) {
+        return {
+            width: image.videoWidth || image.naturalWidth || image.width || 0,
+            height: image.videoHeight || image.naturalHeight || image.height || 0
+        };
+    }
+
+    /*
+     * Check whether an image source has pixels to draw yet
+     * Images must have loaded and videos must have a current frame, like drawImage in Canvas 2D.
+     * @param {*} image - Image source
+     * @returns {boolean}
+     */
+    isImageSourceReady(image) {
+        if (!image || typeof image !== 'object') return false;
+
+        if ('readyState' in image && 'videoWidth' in image) {
+            // HTMLVideoElement: HAVE_CURRENT_DATA or later
+            return image.readyState >= 2 && image.videoWidth > 0;
+        }
+        if ('complete' in image) {
+            return image.complete && image.naturalWidth > 0;
+        }
+
+        // Canvases, OffscreenCanvas and ImageBitmap (which has no size once closed)
+        const { width, height } = this.getImageSourceSize(image);
+        return width > 0 && height > 0;
+    }
+
+    /*
+     * Check whether an image source can change after it was uploaded
+     * @param {*} image - Image source
+     * @returns {boolean} true for videos and canvases
+     */
+    isDynamicImageSource(image) {
+        return !!image && ('videoWidth' in image || typeof image.getContext === 'function');
+    }
+
+    /*
+     * Upload the current contents of a cached image again if they may have changed
+     * Invalidated textures are always uploaded. In 'auto' mode videos are also uploaded when they show
+     * a new frame and canvases once per flush they're drawn in.
+     * @param {*} image - Image source
+     * @param {Object} cached - Texture cache entry of the source
+     */
+    updateCachedTexture(image, cached) {
+        let stale = cached.stale;
+        if (!stale && this.isDynamicImageSource(image) && this.textureUpdateModes.get(image) !== 'manual') {
+            stale = 'videoWidth' in image
+                ? image.currentTime !== cached.frameTime
+                : cached.uploadedFlush !== this.flushCount;
+        }
+        if (!stale || !this.isImageSourceReady(image)) return;
+
+        const gl = this.gl;
+        const { width, height } = this.getImageSourceSize(image);
+        gl.bindTexture(gl.TEXTURE_2D, cached.texture);
+
+        if (width === cached.width && height === cached.height) {
+            // Same size: overwrite the pixels instead of reallocating the texture
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        } else {
+            this.getTextureWrap(cached.wrap, width, height);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+            this.textureMemory += width * height * 4 - cached.bytes;
+            cached.width = width;
+            cached.height = height;
+            cached.bytes = width * height * 4;
+        }
+
+        cached.frameTime = image.currentTime;
+        cached.uploadedFlush = this.flushCount;
+        cached.stale = false;
+    }
+
+    /*
+     * Set when the texture of a video or canvas is uploaded again
+     * @param {HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas} source - Image source
+     * @param {string} mode - 'auto' to follow new video frames and redraw canvases every flush,
+     *                        'manual' to upload only after invalidateTexture()
+     */
+    setTextureUpdateMode(source, mode) {
+        if (mode !== 'auto' && mode !== 'manual') {
+            throw new Error(`Unknown texture update mode: ${mode}`);
+        }
+        this.textureUpdateModes.set(source, mode);
+    }
+
+    /*
+     * Load an image into a texture handle that stays uploaded until releaseTexture()
+     * Handles are drawn with drawImage() and bound as drawWithShader() samplers like images, and
+     * aren't evicted from the texture cache.
+     * @param {string|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap|OffscreenCanvas} src - URL or image source
+     * @param {Object} options - Texture options
+     * @param {string} options.filter - 'auto' to follow imageSmoothingEnabled, 'linear' or 'nearest'
+     * @param {string} options.wrap - 'clamp', or 'repeat' and 'mirror' for power of two sizes
+     * @returns {Promise<Object>} Texture handle with source, texture, width and height
+     */
+    loadTexture(src, options = {}) {
+        const filter = options.filter || 'auto';
+        const wrap = options.wrap || 'clamp';
+        if (!['auto', 'linear', 'nearest'].includes(filter)) {
+            return Promise.reject(new Error(`Unknown texture filter: ${filter}`));
+        }
+        if (!['clamp', 'repeat', 'mirror'].includes(wrap)) {
+            return Promise.reject(new Error(`Unknown texture wrap: ${wrap}`));
+        }
+
+        return this.loadImageSource(src).then(source => {
+            const cached = this.textureCache.get(source);
+            if (cached && cached.pinned) {
+                return cached;
+            }
+
+            // An image drawn before is uploaded again with the options of the handle
+            this.deleteCachedTexture(source);
+            this.removeFromTextureAtlas(source);
+
+            const handle = { source, texture: null, width: 0, height: 0, bytes: 0, filter, wrap, pinned: true };
+            if (this.gl && !this.isContextLost()) {
+                this.uploadTextureEntry(handle);
+                this.textureCache.set(source, handle);
+                this.evictTextures();
+            } else {
+                const { width, height } = this.getImageSourceSize(source);
+                Object.assign(handle, { width, height });
+            }
+
+            this.textureHandles.add(handle);
+            return handle;
+        });
+    }
+
+    /*
+     * Wait until an image source has pixels, loading it first when given a URL
+     * @param {string|Object} src - URL or image source
+     * @returns {Promise<Object>} The image source
+     */
+    loadImageSource(src) {
+        return new Promise((resolve, reject) => {
+            let image = src;
+            if (typeof src === 'string') {
+                image = new Image();
+                image.crossOrigin = 'anonymous';
+            } else if (this.isImageSourceReady(image)) {
+                resolve(image);
+                return;
+            } else if (!image || typeof image.addEventListener !== 'function') {
+                reject(new Error('Texture source has no pixels'));
+                return;
+            }
+
+            const onLoad = () => resolve(image);
+            const onError = () => reject(new Error(`Failed to load texture ${typeof src === 'string' ? src : ''}`.trim()));
+            image.addEventListener('videoWidth' in image ? 'loadeddata' : 'load', onLoad, { once: true });
+            image.addEventListener('error', onError, { once: true });
+
+            if (typeof src === 'string') {
+                image.src = src;
+            }
+        });
+    }
+
+    /*
+     * Upload new contents to a texture handle
+     * Without a region the source replaces the texture, resizing it if needed, and is the one uploaded
+     * again after a context loss. With a region it is copied in at region.x, region.y, and the copy is
+     * lost with the context.
+     * @param {Object} handle - Handle from loadTexture
+     * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap|OffscreenCanvas|ImageData} source - New contents
+     * @param {Object} region - Optional position of the source in the texture
+     * @returns {Object} The handle
+     */
+    updateTexture(handle, source, region) {
+        if (!this.textureHandles.has(handle)) {
+            throw new Error('updateTexture() needs a handle from loadTexture()');
+        }
+
+        const gl = this.gl;
+        const { width, height } = this.getImageSourceSize(source);
+
+        if (region) {
+            const x = region.x || 0;
+            const y = region.y || 0;
+            if (x < 0 || y < 0 || x + width > handle.width || y + height > handle.height) {
+                throw new Error(`Region ${x},${y} ${width}x${height} is outside the ${handle.width}x${handle.height} texture`);
             }
-            // Remove invalid texture
-            this.textureCache.delete(image);
+            if (handle.texture) {
+                gl.bindTexture(gl.TEXTURE_2D, handle.texture);
+                gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, gl.RGBA, gl.UNSIGNED_BYTE, source);
+            }
+            return handle;
         }
 
-        // Try to add to atlas first (for small images) - only if atlas is available
-        if (this.textureAtlas) {
-            const atlasRegion = this.addToTextureAtlas(image);
-            if (atlasRegion) {
-                this.updateAtlasTexture();
-                this.textureCache.set(image, {
-                    texture: this.atlasTexture,
-                    atlas: atlasRegion,
-                    lastUsed: performance.now()
-                });
-                return this.atlasTexture;
+        if (source !== handle.source) {
+            // The new source is drawn with this texture from now on
+            this.textureCache.delete(handle.source);
+            this.deleteCachedTexture(source);
+            handle.source = source;
+            if (handle.texture) {
+                this.textureCache.set(source, handle);
             }
         }
 
-        // Create individual texture for large images
-        return this.safeWebGLOperation(() => {
-            const gl = this.gl;
-            const texture = gl.createTexture();
+        if (handle.texture) {
+            handle.stale = true;
+            this.updateCachedTexture(source, handle);
+            this.evictTextures();
+        } else {
+            Object.assign(handle, { width, height });
+        }
+        return handle;
+    }
 
-            gl.bindTexture(gl.TEXTURE_2D, texture);
+    /*
+     * Upload the texture of an image again the next time it is drawn
+     * Use it after an image's pixels changed, e.g. a canvas in 'manual' update mode or an image whose
+     * src was replaced. Atlas images are given a new atlas region.
+     * @param {Object} image - Image source, or a handle from loadTexture
+     */
+    invalidateTexture(image) {
+        if (this.textureHandles.has(image)) {
+            image = image.source;
+        }
 
-            // Use more efficient texture parameters
-            const smoothing = this.state.imageSmoothingEnabled;
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, smoothing ? gl.LINEAR : gl.NEAREST);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, smoothing ? gl.LINEAR : gl.NEAREST);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        const cached = this.textureCache.get(image);
+        if (!cached || !cached.texture) return;
 
-            // Use efficient texture upload
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        if (cached.atlas) {
+            this.removeFromTextureAtlas(image);
+        } else {
+            cached.stale = true;
+        }
+    }
 
-            // Cache with metadata
-            this.textureCache.set(image, {
-                texture: texture,
-                width: image.width || image.videoWidth || image.naturalWidth,
-                height: image.height || image.videoHeight || image.naturalHeight,
-                lastUsed: performance.now(),
-                atlas: null
-            });
+    /*
+     * Delete the texture of a handle, or of an image in the texture cache
+     * A released handle has no texture and a size of 0, so it draws nothing.
+     * @param {Object} handle - Handle from loadTexture, or an image source
+     */
+    releaseTexture(handle) {
+        if (this.textureHandles.has(handle)) {
+            this.textureHandles.delete(handle);
+            this.deleteCachedTexture(handle.source);
+            Object.assign(handle, { texture: null, width: 0, height: 0, bytes: 0 });
+            return;
+        }
 
-            return texture;
-        }, 'optimized texture creation');
+        const cached = this.textureCache.get(handle);
+        if (cached && cached.pinned) {
+            this.releaseTexture(cached);
+        } else if (cached && cached.atlas) {
+            this.removeFromTextureAtlas(handle);
+        } else if (cached) {
+            this.deleteCachedTexture(handle);
+        }
     }
 
     /*
-     * Clean up old textures when cache gets too large
+     * Set the memory budget of the texture cache
+     * @param {number} bytes - Bytes of image textures (4 per pixel) to keep before evicting
      */
-    cleanupOldTextures() {
-        if (this.textureCache.size <= 50) return;
+    setTextureMemoryBudget(bytes) {
+        if (!(bytes >= 0)) {
+            throw new Error(`Invalid texture memory budget: ${bytes}`);
+        }
+        this.textureMemoryBudget = bytes;
+        this.evictTextures();
+    }
 
-        let count = 0;
-        const toDelete = [];
+    /*
+     * Get the memory used by image textures
+     * @returns {Object} bytes used, the budget, and the number of cached textures and handles
+     */
+    getTextureMemory() {
+        return {
+            bytes: this.textureMemory,
+            budget: this.textureMemoryBudget,
+            textures: this.textureCache.size,
+            handles: this.textureHandles.size
+        };
+    }
 
-        for (const [image, texture] of this.textureCache.entries()) {
-            if (count++ > 25) break; // Keep only the first 25
-            toDelete.push([image, texture]);
-        }
+    /*
+     * Evict least recently used textures until the cache fits its memory budget
+     * Atlas images share one texture, handles stay until released, and textures drawn since the
+     * last flush are still needed by the draw queue. Pattern fills upload their images while the queue
+     * is drawn, so textures of queued runs are also kept.
+     */
+    evictTextures() {
+        if (this.textureMemory <= this.textureMemoryBudget) return;
 
-        toDelete.forEach(([image, texture]) => {
-            if (this.gl && this.gl.isTexture(texture)) {
-                this.gl.deleteTexture(texture);
-            }
-            this.textureCache.delete(image);
-        });
+        const queued = this.getQueuedTextures();
+        for (const [image, entry] of this.textureCache) {
+            if (this.textureMemory <= this.textureMemoryBudget) break;
+            if (entry.atlas || entry.pinned || entry.usedFlush === this.flushCount || queued.has(entry.texture)) continue;
 
-        // console.log(`Cleaned up ${toDelete.length} old textures`);
+            this.deleteCachedTexture(image);
+            // console.log('Evicted texture', entry.width, entry.height);
+        }
     }
 
     /*
      * Draw image
-     * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image - Image to draw
+     * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap|OffscreenCanvas} image - Image to draw
      * @param {number} sx - Source x (optional)
      * @param {number} sy - Source y (optional)  
      * @param {number} sWidth - Source width (optional)
@@ -3942,8 +7104,9 @@ class WebGLCanvas {
      * @param {number} dHeight - Destination height (optional)
      */
     drawImage(image, ...args) {
-        // Check if image is loaded
-        if (!image || !image.complete || image.naturalWidth === 0) {
+        const source = this.getImageTexture(image);
+        if (!source) {
+            // Check if image is loaded
             //// console.warn('Image not loaded or invalid');
             return;
         }
@@ -3955,8 +7118,8 @@ class WebGLCanvas {
             [dx, dy] = args;
             sx = 0;
             sy = 0;
-            sWidth = image.width || image.videoWidth || image.naturalWidth;
-            sHeight = image.height || image.videoHeight || image.naturalHeight;
+            sWidth = source.width;
+            sHeight = source.height;
             dWidth = sWidth;
             dHeight = sHeight;
         } else if (args.length === 4) {
@@ -3964,8 +7127,8 @@ class WebGLCanvas {
             [dx, dy, dWidth, dHeight] = args;
             sx = 0;
             sy = 0;
-            sWidth = image.width || image.videoWidth || image.naturalWidth;
-            sHeight = image.height || image.videoHeight || image.naturalHeight;
+            sWidth = source.width;
+            sHeight = source.height;
         } else if (args.length === 8) {
             // drawImage(image, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)
             [sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight] = args;
@@ -3973,9 +7136,495 @@ class WebGLCanvas {
             throw new Error('Invalid number of arguments for drawImage');
         }
 
-        const texture = this.getOrCreateTexture(image);
         // Now just add to batch instead of rendering immediately
-        this.addImageToBatch(texture, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight);
+        const frame = source.frame;
+        if (!frame.flipY) {
+            // drawImage keeps the orientation it always had for images: sy counts from the bottom row
+            // and the rectangle is drawn bottom row first. Layers are flipped as a whole instead
+            sy = source.height - sy - sHeight;
+            frame.mirrorY = true;
+        }
+        this.addImageToBatch(source.texture, sx + frame.x, sy + frame.y, sWidth, sHeight, dx, dy, dWidth, dHeight, frame);
+    }
+
+    /*
+     * Get the texture to draw an image from
+     * @param {*} image - Image source, texture handle or layer
+     * @returns {Object|null} texture, the image width and height, and the frame addImageToBatch maps
+     *                        source rectangles through, offset by frame.x and frame.y in atlas pages.
+     *                        null when there is nothing to draw yet.
+     */
+    getImageTexture(image) {
+        if (this.textureHandles.has(image)) {
+            image = image.source;
+        }
+        const layer = this.layers.get(image);
+
+        if (layer) {
+            // A layer can't sample its own texture while it is the target
+            if (!layer.texture || layer === this.drawTarget) return null;
+
+            // Layers are rendered by WebGL, bottom row first
+            const texture = this.getLayerTexture(layer);
+            return {
+                texture,
+                width: layer.width,
+                height: layer.height,
+                frame: { x: 0, y: 0, width: texture.width, height: texture.height, flipY: true, smoothing: this.state.imageSmoothingEnabled }
+            };
+        }
+
+        if (!this.isImageSourceReady(image)) return null;
+
+        const size = this.getImageSourceSize(image);
+        const texture = this.getOrCreateTexture(image);
+        const cached = this.textureCache.get(image);
+        const region = cached && cached.atlas;
+        const smoothing = this.getTextureSmoothing(cached, this.state.imageSmoothingEnabled);
+
+        let frame;
+        if (region) {
+            frame = { x: region.x, y: region.y, width: this.textureAtlas.pageSize, height: this.textureAtlas.pageSize, flipY: false, smoothing };
+        } else {
+            frame = { x: 0, y: 0, width: (cached && cached.width) || size.width, height: (cached && cached.height) || size.height, flipY: false, smoothing };
+        }
+        return { texture, width: size.width, height: size.height, frame };
+    }
+
+    /*
+     * Create a sprite sheet from TexturePacker (JSON hash or array) or Aseprite JSON
+     * Frames keep their rectangle in the image, whether they were trimmed or stored rotated 90° clockwise,
+     * their untrimmed size and pivot, and the Aseprite duration. Aseprite frame tags become named
+     * ranges of frames.
+     * @param {Object|string} data - Parsed or raw JSON
+     * @param {*} image - The sheet image, a texture handle or any image drawImage accepts
+     * @param {Object} options - Sheet options
+     * @param {Array<number>} options.pivot - Default pivot of frames without one, 0..1 of the untrimmed size
+     * @returns {Object} Sprite sheet for drawSprite
+     */
+    createSpriteSheet(data, image, options = {}) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || !data.frames) {
+            throw new Error('Sprite sheet JSON has no frames');
+        }
+
+        // Array exports name frames by filename, hash exports by key, in sheet order either way
+        const entries = Array.isArray(data.frames)
+            ? data.frames.map(frame => [frame.filename, frame])
+            : Object.keys(data.frames).map(name => [name, data.frames[name]]);
+
+        const frames = new Map();
+        const frameList = entries.map(([name, source], index) => {
+            const rect = source.frame;
+            if (!rect) {
+                throw new Error(`Sprite frame ${name} has no frame rectangle`);
+            }
+
+            const trimmed = source.trimmed !== false && source.spriteSourceSize && source.sourceSize;
+            const frame = {
+                name,
+                index,
+                // Rectangle in the image, with the sprite's own width and height even when it's stored rotated
+                x: rect.x,
+                y: rect.y,
+                width: rect.w,
+                height: rect.h,
+                rotated: !!source.rotated,
+                trimmed: !!source.trimmed,
+                // Where the trimmed rectangle sits in the untrimmed sprite
+                offsetX: trimmed ? source.spriteSourceSize.x : 0,
+                offsetY: trimmed ? source.spriteSourceSize.y : 0,
+                sourceWidth: trimmed ? source.sourceSize.w : rect.w,
+                sourceHeight: trimmed ? source.sourceSize.h : rect.h,
+                pivot: source.pivot ? [source.pivot.x, source.pivot.y] : null,
+                duration: source.duration
+            };
+            frames.set(name, frame);
+            return frame;
+        });
+
+        // Aseprite tags: 'forward', 'reverse', 'pingpong' or 'pingpong_reverse' over frames from..to
+        const meta = data.meta || {};
+        const tags = new Map();
+        (meta.frameTags || []).forEach(tag => {
+            tags.set(tag.name, {
+                name: tag.name,
+                from: tag.from,
+                to: tag.to,
+                direction: tag.direction || 'forward',
+                repeat: tag.repeat ? Number(tag.repeat) : 0,
+                frames: frameList.slice(tag.from, tag.to + 1)
+            });
+        });
+
+        return {
+            image,
+            frames,
+            frameList,
+            tags,
+            pivot: options.pivot || [0, 0],
+            meta
+        };
+    }
+
+    /*
+     * Load a sprite sheet JSON file and its image
+     * The image named in meta.image is loaded relative to the JSON into a texture handle.
+     * @param {string} url - URL of the JSON
+     * @param {Object} options - createSpriteSheet options, and:
+     * @param {string|Object} options.image - Image URL or source to use instead of meta.image
+     * @param {string} options.filter - Texture filter, 'nearest' for pixel art
+     * @returns {Promise<Object>} Sprite sheet for drawSprite
+     */
+    loadSpriteSheet(url, options = {}) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load sprite sheet ${url}: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const meta = data.meta || {};
+                const image = options.image || (meta.image && url.split(/[?#]/)[0].replace(/[^/]*$/, '') + meta.image);
+                if (!image) {
+                    throw new Error(`Sprite sheet ${url} names no image`);
+                }
+
+                return this.loadTexture(image, { filter: options.filter })
+                    .then(texture => this.createSpriteSheet(data, texture, options));
+            });
+    }
+
+    /*
+     * Look up a frame of a sprite sheet
+     * @param {Object} sheet - Sprite sheet
+     * @param {string|number|Object} frame - Frame name, index, or the frame itself
+     * @returns {Object} Frame
+     */
+    getSpriteFrame(sheet, frame) {
+        if (frame !== null && typeof frame === 'object') return frame;
+
+        const found = typeof frame === 'number' ? sheet.frameList[frame] : sheet.frames.get(frame);
+        if (!found) {
+            throw new Error(`Unknown sprite frame: ${frame}`);
+        }
+        return found;
+    }
+
+    /*
+     * Draw a frame of a sprite sheet
+     * The frame is placed as if untrimmed, with its pivot at x, y. Flips, scale and rotation are around
+     * the pivot. Sprites are batched like images, so a sheet draws in one call.
+     * @param {Object} sheet - Sprite sheet from createSpriteSheet or loadSpriteSheet
+     * @param {string|number|Object} frameName - Frame name, index, or frame
+     * @param {number} x - X of the pivot
+     * @param {number} y - Y of the pivot
+     * @param {Object} options - Drawing options
+     * @param {Array<number>} options.pivot - Pivot, 0..1 of the untrimmed size, overriding the frame's
+     * @param {boolean} options.flipX - Mirror horizontally
+     * @param {boolean} options.flipY - Mirror vertically
+     * @param {number} options.rotation - Rotation in radians
+     * @param {number|Array<number>} options.scale - Scale, or [x, y] scales
+     */
+    drawSprite(sheet, frameName, x, y, options = {}) {
+        const frame = this.getSpriteFrame(sheet, frameName);
+        const source = this.getImageTexture(sheet.image);
+        if (!source) return;
+
+        const pivot = options.pivot || frame.pivot || sheet.pivot;
+        const scale = options.scale === undefined ? 1 : options.scale;
+        const scaleX = (Array.isArray(scale) ? scale[0] : scale) * (options.flipX ? -1 : 1);
+        const scaleY = (Array.isArray(scale) ? scale[1] : scale) * (options.flipY ? -1 : 1);
+        const rotation = options.rotation || 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        // Translate to x, y, rotate, scale, then move the pivot of the untrimmed sprite to the origin
+        const px = pivot[0] * frame.sourceWidth;
+        const py = pivot[1] * frame.sourceHeight;
+        const local = [
+            cos * scaleX, -sin * scaleY, x - cos * scaleX * px + sin * scaleY * py,
+            sin * scaleX, cos * scaleY, y - sin * scaleX * px - cos * scaleY * py,
+            0, 0, 1
+        ];
+
+        // Rotated frames are stored with width and height swapped
+        const drawFrame = source.frame;
+        drawFrame.rotated = frame.rotated;
+        const storedWidth = frame.rotated ? frame.height : frame.width;
+        const storedHeight = frame.rotated ? frame.width : frame.height;
+
+        const transform = this.state.transform;
+        this.state.transform = this.multiplyMatrix(transform, local);
+        try {
+            this.addImageToBatch(source.texture, frame.x + drawFrame.x, frame.y + drawFrame.y, storedWidth, storedHeight,
+                frame.offsetX, frame.offsetY, frame.width, frame.height, drawFrame);
+        } finally {
+            this.state.transform = transform;
+        }
+    }
+
+    /*
+     * Create an animation controller for a sprite sheet
+     * Aseprite frame tags become clips with the tag's direction and repeat count. Animations only advance
+     * in updateSpriteAnimation, by the time passed to it, so playback is deterministic.
+     * @param {Object} sheet - Sprite sheet
+     * @param {Object} options - Animation options
+     * @param {Object} options.clips - Clips by name, see addSpriteClip
+     * @param {string} options.play - Clip to start with
+     * @param {number} options.speed - Playback speed of all clips (default 1)
+     * @param {Function} options.onEvent - Called with each event of an update
+     * @returns {Object} Animation handle
+     */
+    createSpriteAnimation(sheet, options = {}) {
+        const animation = {
+            sheet,
+            clips: new Map(),
+            speed: options.speed !== undefined ? options.speed : 1,
+            current: null,   // Playback of the clip shown
+            previous: null,  // Playback of the clip faded out by a crossfade
+            fade: null,
+            onEvent: options.onEvent || null
+        };
+
+        sheet.tags.forEach(tag => {
+            const reverse = tag.direction === 'reverse' || tag.direction === 'pingpong_reverse';
+            this.addSpriteClip(animation, tag.name, {
+                frames: reverse ? [...tag.frames].reverse() : tag.frames,
+                mode: tag.direction === 'pingpong' || tag.direction === 'pingpong_reverse' ? 'pingpong' : 'loop',
+                repeat: tag.repeat
+            });
+        });
+
+        Object.keys(options.clips || {}).forEach(name => {
+            this.addSpriteClip(animation, name, options.clips[name]);
+        });
+
+        if (options.play) {
+            this.playSpriteAnimation(animation, options.play);
+        }
+
+        return animation;
+    }
+
+    /*
+     * Add or replace a clip of an animation
+     * Frame durations come from durations, then frameRate, then the frames' Aseprite durations, then 100ms.
+     * @param {Object} animation - Animation handle
+     * @param {string} name - Clip name
+     * @param {Object} clip - Clip settings
+     * @param {Array} clip.frames - Frame names, indices or frames, in playing order
+     * @param {number|Array<number>} clip.durations - Milliseconds per frame, or for each frame
+     * @param {number} clip.frameRate - Frames per second
+     * @param {string} clip.mode - 'loop' (default), 'pingpong' or 'once'
+     * @param {number} clip.repeat - Passes to play before stopping, 0 to repeat forever
+     * @param {number} clip.speed - Playback speed of the clip (default 1)
+     * @param {Object} clip.events - Event names, or arrays of them, by index of the frame in the clip
+     * @returns {Object} The clip
+     */
+    addSpriteClip(animation, name, clip) {
+        const frames = (clip.frames || []).map(frame => this.getSpriteFrame(animation.sheet, frame));
+        if (frames.length === 0) {
+            throw new Error(`Sprite clip ${name} has no frames`);
+        }
+
+        const durations = frames.map((frame, i) => {
+            let duration = frame.duration !== undefined ? frame.duration : 100;
+            if (Array.isArray(clip.durations)) {
+                duration = clip.durations[i];
+            } else if (clip.durations !== undefined) {
+                duration = clip.durations;
+            } else if (clip.frameRate) {
+                duration = 1000 / clip.frameRate;
+            }
+
+            if (!(duration > 0)) {
+                throw new Error(`Sprite clip ${name} has a frame without a positive duration`);
+            }
+            return duration;
+        });
+
+        const mode = clip.mode || 'loop';
+        if (mode !== 'loop' && mode !== 'pingpong' && mode !== 'once') {
+            throw new Error(`Unknown sprite clip mode: ${mode}`);
+        }
+
+        const events = frames.map(() => []);
+        Object.keys(clip.events || {}).forEach(index => {
+            if (!events[index]) {
+                throw new Error(`Sprite clip ${name} has no frame ${index} for events`);
+            }
+            events[index].push(...[].concat(clip.events[index]));
+        });
+
+        const stored = {
+            name,
+            frames,
+            durations,
+            mode,
+            repeat: clip.repeat || 0,
+            speed: clip.speed !== undefined ? clip.speed : 1,
+            events
+        };
+        animation.clips.set(name, stored);
+        return stored;
+    }
+
+    /*
+     * Play a clip from its first frame
+     * Playing the clip that is already playing continues it, unless restart is set.
+     * @param {Object} animation - Animation handle
+     * @param {string} name - Clip name
+     * @param {Object} options - Playback options
+     * @param {number} options.crossfade - Milliseconds to fade from the clip playing before
+     * @param {boolean} options.restart - Start over when the clip is already playing
+     */
+    playSpriteAnimation(animation, name, options = {}) {
+        const clip = animation.clips.get(name);
+        if (!clip) {
+            throw new Error(`Unknown sprite clip: ${name}`);
+        }
+
+        const current = animation.current;
+        if (current && current.clip === clip && !options.restart) return;
+
+        if (current && options.crossfade > 0) {
+            animation.previous = current;
+            animation.fade = { duration: options.crossfade, time: 0 };
+        } else {
+            animation.previous = null;
+            animation.fade = null;
+        }
+
+        // The first frame's events fire on the next update
+        animation.current = { clip, index: 0, direction: 1, time: 0, passes: 0, entered: false, done: false };
+    }
+
+    /*
+     * Advance an animation
+     * Events are { type, name, clip, frame }: 'frame' when a frame with events is shown (name is the
+     * event), 'loop' when a clip starts another pass, and 'complete' when it stops.
+     * @param {Object} animation - Animation handle
+     * @param {number} deltaTime - Milliseconds since the last update
+     * @returns {Array<Object>} Events, in order
+     */
+    updateSpriteAnimation(animation, deltaTime) {
+        const events = [];
+        const delta = Math.max(0, deltaTime) * animation.speed;
+
+        if (animation.fade) {
+            animation.fade.time += delta;
+            if (animation.fade.time >= animation.fade.duration) {
+                animation.previous = null;
+                animation.fade = null;
+            }
+        }
+
+        // The clip fading out keeps moving, quietly
+        if (animation.previous) {
+            this.advanceSpritePlayback(animation.previous, delta, null);
+        }
+        if (animation.current) {
+            this.advanceSpritePlayback(animation.current, delta, events);
+        }
+
+        if (animation.onEvent) {
+            events.forEach(event => animation.onEvent(event));
+        }
+        return events;
+    }
+
+    /*
+     * Move a clip playback forward, frame by frame
+     * @param {Object} playback - Playback of a clip
+     * @param {number} delta - Milliseconds at animation speed
+     * @param {Array<Object>|null} events - Events to add to, or null to drop them
+     */
+    advanceSpritePlayback(playback, delta, events) {
+        const clip = playback.clip;
+        const emit = (type, name) => {
+            if (events) events.push({ type, name, clip: clip.name, frame: playback.index });
+        };
+        const enter = () => clip.events[playback.index].forEach(name => emit('frame', name));
+
+        if (!playback.entered) {
+            playback.entered = true;
+            enter();
+        }
+        if (playback.done) return;
+
+        playback.time += delta * clip.speed;
+        while (playback.time >= clip.durations[playback.index]) {
+            playback.time -= clip.durations[playback.index];
+
+            const last = clip.frames.length - 1;
+            let next = playback.index + playback.direction;
+            if (next < 0 || next > last) {
+                playback.passes++;
+                if (clip.mode === 'once' || (clip.repeat && playback.passes >= clip.repeat)) {
+                    // Hold the last frame
+                    playback.time = 0;
+                    playback.done = true;
+                    emit('complete');
+                    return;
+                }
+
+                if (clip.mode === 'pingpong') {
+                    playback.direction = -playback.direction;
+                    next = Math.max(0, Math.min(last, playback.index + playback.direction));
+                } else {
+                    next = 0;
+                }
+                emit('loop');
+            }
+
+            playback.index = next;
+            enter();
+        }
+    }
+
+    /*
+     * Get the frame an animation shows
+     * @param {Object} animation - Animation handle
+     * @returns {Object|null} Sprite frame, or null before a clip was played
+     */
+    getSpriteAnimationFrame(animation) {
+        const current = animation.current;
+        return current ? current.clip.frames[current.index] : null;
+    }
+
+    /*
+     * Draw the frame an animation shows, like drawSprite
+     * During a crossfade the previous clip is drawn as it is and the new one fades in over it, so
+     * opaque sprites stay opaque all the way through. Image color properties apply to each sprite,
+     * and the sprites still batch.
+     * @param {Object} animation - Animation handle
+     * @param {number} x - X of the pivot
+     * @param {number} y - Y of the pivot
+     * @param {Object} options - drawSprite options
+     */
+    drawSpriteAnimation(animation, x, y, options = {}) {
+        const current = animation.current;
+        if (!current) return;
+
+        const previous = animation.previous;
+        if (!previous) {
+            this.drawSprite(animation.sheet, current.clip.frames[current.index], x, y, options);
+            return;
+        }
+
+        const weight = animation.fade.time / animation.fade.duration;
+        const opacity = this.state.imageOpacity;
+        try {
+            this.drawSprite(animation.sheet, previous.clip.frames[previous.index], x, y, options);
+            this.state.imageOpacity = opacity * weight;
+            this.drawSprite(animation.sheet, current.clip.frames[current.index], x, y, options);
+        } finally {
+            this.state.imageOpacity = opacity;
+        }
     }
 
     /*
@@ -4011,14 +7660,30 @@ class WebGLCanvas {
      * @param {boolean} counterclockwise - Direction (optional)
      */
     fillEllipse(x, y, radiusX, radiusY, rotation = 0, startAngle = 0, endAngle = 2 * Math.PI, counterclockwise = false) {
-        this.addEllipseToBatch(x, y, radiusX, radiusY, this.state.fillStyle);
+        this.addEllipseToBatch(x, y, radiusX, radiusY, this.state.fillStyle, this.getFillPaint());
     }
 
     /*
      * Stroke ellipse
+     * Strokes the outline as a polyline, so line dashes and caps apply
      */
     strokeEllipse(x, y, radiusX, radiusY, rotation = 0, startAngle = 0, endAngle = 2 * Math.PI, counterclockwise = false) {
-        this.addEllipseToBatch(x, y, radiusX, radiusY, this.state.strokeStyle);
+        // Unit circle arc, then scaled, rotated and moved into place
+        const sweep = this.getArcSweep(startAngle, endAngle, counterclockwise);
+        const segments = this.getArcSegmentCount(Math.max(radiusX, radiusY), sweep);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const points = this.approximateArcPoints(0, 0, 1, startAngle, endAngle, counterclockwise, segments).map(point => {
+            const px = point.x * radiusX;
+            const py = point.y * radiusY;
+            return { x: x + px * cos - py * sin, y: y + px * sin + py * cos };
+        });
+
+        // A full turn is closed, so it has a join where it starts instead of two caps
+        const closed = Math.abs(sweep) >= 2 * Math.PI;
+        if (closed) points.pop();
+
+        this.strokePolylines([{ points, closed }]);
     }
 
     /*
@@ -4061,327 +7726,559 @@ class WebGLCanvas {
         * @param {number} height - Height of the rectangle
     */
     fillRect(x, y, width, height) {
-        this.addRectangleToBatch(x, y, width, height, this.state.fillStyle);
+        this.addRectangleToBatch(x, y, width, height, this.state.fillStyle, this.getFillPaint());
     }
 
     /*
-        * Stroke rectangle - adds to batch (not implemented in this version)
+        * Stroke rectangle - adds to batch
+        * The outline is a closed subpath, so corners follow lineJoin
         * @param {number} x - X coordinate of the rectangle
         * @param {number} y - Y coordinate of the rectangle
         * @param {number} width - Width of the rectangle    
         * @param {number} height - Height of the rectangle
     */
     strokeRect(x, y, width, height) {
+        // Clockwise from the top-left corner, like the rect() path
+        this.strokePolylines([{
+            points: [
+                { x, y },
+                { x: x + width, y },
+                { x: x + width, y: y + height },
+                { x, y: y + height }
+            ],
+            closed: true
+        }]);
+    }
+
+    /*
+        * Fill circle - adds to batch
+        * @param {number} x - X coordinate of the circle center
+        * @param {number} y - Y coordinate of the circle center
+        * @param {number} radius - Radius of the circle
+    */
+    fillCircle(x, y, radius) {
+        this.addCircleToBatch(x, y, radius, this.state.fillStyle, this.getFillPaint());
+    }
+
+    /*
+        * Stroke circle - adds to batch
+        * @param {number} x - X coordinate of the circle center
+        * @param {number} y - Y coordinate of the circle center
+        * @param {number} radius - Radius of the circle
+    */
+    strokeCircle(x, y, radius) {
+        // Clear any existing path to prevent unwanted connections
+        this.beginPath();
+
+        if (this.isLineDashed()) {
+            // Dashes start at angle 0 and run clockwise, like arc()
+            const points = this.approximateArcPoints(x, y, radius, 0, 2 * Math.PI, false);
+            points.pop();
+            this.strokePolylines([{ points, closed: true }]);
+            return;
+        }
+
+        // For stroke circle, we need to draw a ring (hollow circle)
+        // We can do this by drawing two circles: outer and inner
         const lineWidth = this.state.lineWidth;
-        const halfWidth = lineWidth / 2;
+        const outerRadius = radius + lineWidth / 2;
+        const innerRadius = Math.max(0, radius - lineWidth / 2);
+
+        if (innerRadius > 0) {
+            // Draw as a ring using a custom approach
+            this.addStrokeCircleToBatch(x, y, radius, lineWidth, this.state.strokeStyle);
+        } else {
+            // If inner radius is 0, just draw a filled circle
+            this.addCircleToBatch(x, y, outerRadius, this.state.strokeStyle);
+        }
+    }
+
+    /*
+        * Enhanced drawLine method with proper line width support
+        * Lines of every width go through the stroker, so they get the current lineCap and dash
+        * @param {number} x1 - X coordinate of the first point
+        * @param {number} y1 - Y coordinate of the first point
+        * @param {number} x2 - X coordinate of the second point
+        * @param {number} y2 - Y coordinate of the second point
+    */
+    drawLine(x1, y1, x2, y2) {
+        this.strokePolylines([{ points: [{ x: x1, y: y1 }, { x: x2, y: y2 }], closed: false }]);
+    }
+
+    /*
+    * Set line dash pattern
+    * @param {Array} segments - Array of line and gap lengths
+    */
+    setLineDash(segments) {
+        // Like Canvas 2D, ignore lists with negative or non-finite values
+        if (segments.some(value => !Number.isFinite(value) || value < 0)) {
+            return;
+        }
+
+        // Odd length lists are repeated to get an even number of entries
+        this.state.lineDash = segments.length % 2 === 1 ? [...segments, ...segments] : [...segments];
+    }
+
+    /*
+    * Get current line dash pattern
+    * @return {Array} - Current dash pattern
+    */
+    getLineDash() {
+        return [...this.state.lineDash];
+    }
+
+    /*
+     * Check if strokes are currently dashed
+     * @return {boolean}
+     */
+    isLineDashed() {
+        return this.state.lineDash.some(value => value > 0);
+    }
+
+    /*
+     * Number of line segments that keep an arc within curveTolerance of its polyline
+     * @param {number} radius - Arc radius
+     * @param {number} angle - Angle the arc sweeps, in radians
+     * @return {number}
+     */
+    getArcSegmentCount(radius, angle) {
+        const deviceRadius = Math.abs(radius) * this.getTransformScale();
+        if (deviceRadius <= this.curveTolerance) return 1;
+
+        // Largest step whose chord stays within tolerance of the arc
+        const step = 2 * Math.acos(1 - this.curveTolerance / deviceRadius);
+        return Math.min(1024, Math.max(1, Math.ceil(Math.abs(angle) / step)));
+    }
+
+    /*
+     * Number of line segments that keep a bezier curve within curveTolerance of its polyline (Wang's formula)
+     * @param {Array} points - Control points as [x0, y0, x1, y1, ...], three for quadratic and four for cubic curves
+     * @return {number}
+     */
+    getBezierSegmentCount(points) {
+        const degree = points.length / 2 - 1;
+        let bend = 0;
+
+        for (let i = 0; i + 4 < points.length; i += 2) {
+            const ddx = points[i] - 2 * points[i + 2] + points[i + 4];
+            const ddy = points[i + 1] - 2 * points[i + 3] + points[i + 5];
+            bend = Math.max(bend, Math.hypot(ddx, ddy));
+        }
 
-        // Draw four rectangles to form the stroke
-        // Top
-        this.addRectangleToBatch(x - halfWidth, y - halfWidth, width + lineWidth, lineWidth, this.state.strokeStyle);
-        // Bottom  
-        this.addRectangleToBatch(x - halfWidth, y + height - halfWidth, width + lineWidth, lineWidth, this.state.strokeStyle);
-        // Left
-        this.addRectangleToBatch(x - halfWidth, y + halfWidth, lineWidth, height - lineWidth, this.state.strokeStyle);
-        // Right
-        this.addRectangleToBatch(x + width - halfWidth, y + halfWidth, lineWidth, height - lineWidth, this.state.strokeStyle);
+        const deviation = bend * this.getTransformScale() * degree * (degree - 1) / 8;
+        return Math.min(256, Math.max(1, Math.ceil(Math.sqrt(deviation / this.curveTolerance))));
     }
 
     /*
-        * Fill circle - adds to batch
-        * @param {number} x - X coordinate of the circle center
-        * @param {number} y - Y coordinate of the circle center
-        * @param {number} radius - Radius of the circle
-    */
-    fillCircle(x, y, radius) {
-        this.addCircleToBatch(x, y, radius, this.state.fillStyle);
+     * Largest scale factor of the current transform
+     * Curves are tessellated in device pixels, so zooming in adds segments
+     * @return {number}
+     */
+    getTransformScale() {
+        const t = this.state.transform;
+        return Math.max(Math.hypot(t[0], t[3]), Math.hypot(t[1], t[4]));
     }
 
     /*
-        * Stroke circle - adds to batch
-        * @param {number} x - X coordinate of the circle center
-        * @param {number} y - Y coordinate of the circle center
-        * @param {number} radius - Radius of the circle
-    */
-    strokeCircle(x, y, radius) {
-        // Clear any existing path to prevent unwanted connections
-        this.beginPath();
-
-        // For stroke circle, we need to draw a ring (hollow circle)
-        // We can do this by drawing two circles: outer and inner
-        const lineWidth = this.state.lineWidth;
-        const outerRadius = radius + lineWidth / 2;
-        const innerRadius = Math.max(0, radius - lineWidth / 2);
+     * Angle swept by an arc, following the arc() rules for direction and full turns
+     * @return {number} - Signed angle in radians, negative for counterclockwise arcs
+     */
+    getArcSweep(startAngle, endAngle, counterclockwise) {
+        const fullTurn = 2 * Math.PI;
+        let sweep = endAngle - startAngle;
 
-        if (innerRadius > 0) {
-            // Draw as a ring using a custom approach
-            this.addStrokeCircleToBatch(x, y, radius, lineWidth, this.state.strokeStyle);
+        if (counterclockwise) {
+            if (sweep <= -fullTurn) return -fullTurn;
+            sweep %= fullTurn;
+            if (sweep > 0) sweep -= fullTurn;
         } else {
-            // If inner radius is 0, just draw a filled circle
-            this.addCircleToBatch(x, y, outerRadius, this.state.strokeStyle);
+            if (sweep >= fullTurn) return fullTurn;
+            sweep %= fullTurn;
+            if (sweep < 0) sweep += fullTurn;
         }
+
+        return sweep;
     }
 
     /*
-        * Enhanced drawLine method with proper line width support
-        * Draws thick lines as rectangles for consistent cross-browser support
-        * @param {number} x1 - X coordinate of the first point
-        * @param {number} y1 - Y coordinate of the first point
-        * @param {number} x2 - X coordinate of the second point
-        * @param {number} y2 - Y coordinate of the second point
-    */
-    drawLine(x1, y1, x2, y2) {
-        const lineWidth = this.state.lineWidth;
+     * Stroke polylines with the current line style
+     * Applies the line dash pattern first, then builds one triangle mesh for every dash and subpath.
+     * Joins and caps overlap the segments, so translucent strokes are drawn through the stencil.
+     * @param {Array} subpaths - {points, closed} per subpath, points are {x, y}
+     */
+    strokePolylines(subpaths) {
+        // Zero width strokes cover nothing
+        if (this.state.lineWidth <= 0) return;
 
-        // For line width of 1 or less, use the simple line rendering
-        if (lineWidth <= 1) {
-            this.drawThinLine(x1, y1, x2, y2);
-            return;
+        const pieces = this.isLineDashed() ? this.dashPolylines(subpaths) : subpaths;
+
+        const mesh = { positions: [], indices: [] };
+        for (const piece of pieces) {
+            this.strokePolyline(piece, mesh);
         }
 
-        // For thick lines, draw as rectangles
-        this.drawThickLine(x1, y1, x2, y2, lineWidth);
+        this.addTriangleMesh(mesh.positions, mesh.indices, this.state.strokeStyle, null, true);
     }
 
     /*
-    * Draw line join between two segments
-    * @param {Object} seg1 - First segment
-    * @param {Object} seg2 - Second segment
-    * @param {number} width - Line width
-    */
-    drawLineJoin(seg1, seg2, width) {
-        const joinX = seg1.x2;
-        const joinY = seg1.y2;
-        const halfWidth = width / 2;
+     * Split polylines into dashes following lineDash and lineDashOffset
+     * The dash pattern carries on across the segments of a polyline and restarts for each polyline.
+     * @param {Array} subpaths - {points, closed} per subpath
+     * @return {Array} - Open dashes as {points, closed, dirX, dirY}, dir is the segment direction the dash started on
+     */
+    dashPolylines(subpaths) {
+        const pattern = this.state.lineDash;
+        const patternLength = pattern.reduce((sum, value) => sum + value, 0);
+        const dashes = [];
+
+        for (const subpath of subpaths) {
+            // Closed subpaths are dashed along their closing segment too
+            const points = subpath.closed ? [...subpath.points, subpath.points[0]] : subpath.points;
+            if (points.length < 2) continue;
+
+            // Find where lineDashOffset puts us in the pattern
+            let offset = this.state.lineDashOffset % patternLength;
+            if (offset < 0) offset += patternLength;
+
+            let index = 0;
+            while (offset >= pattern[index]) {
+                offset -= pattern[index];
+                index = (index + 1) % pattern.length;
+            }
+
+            let remaining = pattern[index] - offset; // Length left in the current dash or gap
+            let dash = null;
+
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length === 0) continue;
+
+                const dirX = (b.x - a.x) / length;
+                const dirY = (b.y - a.y) / length;
+
+                // Even pattern entries are dashes, odd ones are gaps
+                if (index % 2 === 0 && !dash) {
+                    dash = { points: [a], closed: false, dirX, dirY };
+                }
+
+                let travelled = 0;
+                while (length - travelled >= remaining) {
+                    travelled += remaining;
+                    const point = { x: a.x + dirX * travelled, y: a.y + dirY * travelled };
+
+                    if (dash) {
+                        dash.points.push(point);
+                        dashes.push(dash);
+                        dash = null;
+                    } else {
+                        dash = { points: [point], closed: false, dirX, dirY };
+                    }
+
+                    index = (index + 1) % pattern.length;
+                    remaining = pattern[index];
+                }
+
+                remaining -= length - travelled;
+                if (dash) {
+                    dash.points.push(b);
+                }
+            }
 
-        if (this.state.lineJoin === 'round') {
-            // Draw a circle at the join point
-            this.fillCircle(joinX, joinY, halfWidth);
-        } else if (this.state.lineJoin === 'bevel') {
-            // Calculate bevel join geometry (simplified)
-            // This is complex geometry, so for now just draw a circle
-            this.fillCircle(joinX, joinY, halfWidth);
+            if (dash && dash.points.length > 1) {
+                dashes.push(dash);
+            }
         }
-        // For 'miter', we don't need to do anything extra as the rectangles will overlap
+
+        return dashes;
     }
 
     /*
-     * Draw thin line using GL_LINES (original implementation)
+     * Add the stroke of one polyline to a triangle mesh
+     * Segments are quads that meet at the inside corner of each join. The outside of the join
+     * is filled with a miter, bevel or round wedge, and open ends get caps.
+     * @param {Object} piece - {points, closed, dirX, dirY}, dir is used for caps of zero length dashes
+     * @param {Object} mesh - {positions, indices} to add to, positions are x, y pairs in user space
      */
-    drawThinLine(x1, y1, x2, y2) {
-        const batch = this.batchBuffers.lines;
+    strokePolyline(piece, mesh) {
+        // A lone moveTo draws nothing
+        if (piece.points.length < 2) return;
 
-        // Check if batch is full
-        if (batch.currentVertices + 2 > batch.maxVertices) {
-            this.flushLines();
-            batch.currentVertices = 0;
+        const halfWidth = this.state.lineWidth / 2;
+
+        // Repeated points have no direction to join or cap
+        const points = [];
+        for (const point of piece.points) {
+            const last = points[points.length - 1];
+            if (!last || Math.abs(point.x - last.x) > 1e-6 || Math.abs(point.y - last.y) > 1e-6) {
+                points.push(point);
+            }
         }
 
-        // Transform line endpoints
-        const [tx1, ty1] = this.transformPoint(x1, y1);
-        const [tx2, ty2] = this.transformPoint(x2, y2);
+        const first = points[0];
+        if (piece.closed && points.length > 1) {
+            const last = points[points.length - 1];
+            if (Math.abs(first.x - last.x) <= 1e-6 && Math.abs(first.y - last.y) <= 1e-6) {
+                points.pop();
+            }
+        }
 
-        const vertexIndex = batch.currentVertices;
-        const color = this.state.strokeStyle;
+        // A closed subpath of two points doubles back on itself, its joins look like caps
+        let closed = piece.closed;
+        let lineCap = this.state.lineCap;
+        if (closed && points.length === 2) {
+            closed = false;
+            lineCap = this.state.lineJoin === 'round' ? 'round' : 'butt';
+        }
 
-        // Apply global alpha to line colors
-        const finalColor = [
-            color[0],
-            color[1],
-            color[2],
-            color[3] * this.state.globalAlpha
-        ];
+        const segments = [];
 
-        // Add vertices
-        batch.vertexData[vertexIndex * 2 + 0] = tx1;
-        batch.vertexData[vertexIndex * 2 + 1] = ty1;
-        batch.vertexData[vertexIndex * 2 + 2] = tx2;
-        batch.vertexData[vertexIndex * 2 + 3] = ty2;
+        if (points.length === 1) {
+            // Zero length lines still get caps, facing along the line they sit on
+            if (closed || lineCap === 'butt') return;
 
-        // Add colors with global alpha
-        for (let i = 0; i < 2; i++) {
-            batch.colorData[(vertexIndex + i) * 4 + 0] = finalColor[0];
-            batch.colorData[(vertexIndex + i) * 4 + 1] = finalColor[1];
-            batch.colorData[(vertexIndex + i) * 4 + 2] = finalColor[2];
-            batch.colorData[(vertexIndex + i) * 4 + 3] = finalColor[3];
+            const dirX = piece.dirX !== undefined ? piece.dirX : 1;
+            const dirY = piece.dirY !== undefined ? piece.dirY : 0;
+            segments.push({ dx: dirX, dy: dirY, nx: -dirY, ny: dirX, length: 0 });
+            points.push(first);
+        } else {
+            const count = closed ? points.length : points.length - 1;
+            for (let i = 0; i < count; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                const dx = (b.x - a.x) / length;
+                const dy = (b.y - a.y) / length;
+                segments.push({ dx, dy, nx: -dy, ny: dx, length, used: 0, start: null, end: null });
+            }
+
+            // Joins at every inner point, and at the first point of closed subpaths
+            for (let i = closed ? 0 : 1; i < segments.length; i++) {
+                const before = segments[(i + segments.length - 1) % segments.length];
+                this.addStrokeJoin(mesh, points[i], before, segments[i], halfWidth);
+            }
+        }
+
+        if (!closed) {
+            const last = segments[segments.length - 1];
+            segments[0].start = this.addStrokeCap(mesh, points[0], segments[0], halfWidth, lineCap, false);
+            last.end = this.addStrokeCap(mesh, points[points.length - 1], last, halfWidth, lineCap, true);
         }
 
-        batch.currentVertices += 2;
+        // Segment bodies, between the [left, right] corners at both ends
+        for (const segment of segments) {
+            const [startLeft, startRight] = segment.start;
+            const [endLeft, endRight] = segment.end;
+            mesh.indices.push(startLeft, startRight, endLeft, startRight, endRight, endLeft);
+        }
     }
 
     /*
-     * Draw thick line as a rectangle
-     * @param {number} x1 - Start X
-     * @param {number} y1 - Start Y
-     * @param {number} x2 - End X
-     * @param {number} y2 - End Y
-     * @param {number} width - Line width
+     * Add the join between two segments to a stroke mesh
+     * Sets before.end and after.start to the [left, right] corners the segment bodies end on.
+     * @param {Object} mesh - Stroke mesh
+     * @param {Object} point - Point the segments meet at
+     * @param {Object} before - Segment ending at the point
+     * @param {Object} after - Segment starting at the point
+     * @param {number} halfWidth - Half the line width
      */
-    drawThickLine(x1, y1, x2, y2, width) {
-        // Calculate line direction and perpendicular
-        const dx = x2 - x1;
-        const dy = y2 - y1;
-        const length = Math.sqrt(dx * dx + dy * dy);
-
-        if (length === 0) {
-            // Draw a small circle for zero-length lines
-            this.fillCircle(x1, y1, width / 2);
+    addStrokeJoin(mesh, point, before, after, halfWidth) {
+        const { x, y } = point;
+        const cross = before.dx * after.dy - before.dy * after.dx;
+        const dot = before.dx * after.dx + before.dy * after.dy;
+        const turn = Math.atan2(cross, dot); // Signed angle from one segment direction to the next
+
+        // Nearly straight - both bodies share corners
+        if (Math.abs(turn) < 1e-3) {
+            const left = this.addMeshVertex(mesh, x + before.nx * halfWidth, y + before.ny * halfWidth);
+            const right = this.addMeshVertex(mesh, x - before.nx * halfWidth, y - before.ny * halfWidth);
+            before.end = after.start = [left, right];
             return;
         }
 
-        // Normalized perpendicular vector
-        const perpX = -dy / length;
-        const perpY = dx / length;
+        // The path turns towards the inside, which is the left side (+normal) for positive turns
+        const side = turn > 0 ? 1 : -1;
+        const cosHalf = Math.cos(turn / 2);
 
-        // Half width offset
-        const halfWidth = width / 2;
-        const offsetX = perpX * halfWidth;
-        const offsetY = perpY * halfWidth;
+        // Where the offset edges cross, as a distance from the point along the bisector of the normals
+        const miterLength = cosHalf > 1e-6 ? halfWidth / cosHalf : Infinity;
+        const bisectorX = (before.nx + after.nx) / (2 * cosHalf);
+        const bisectorY = (before.ny + after.ny) / (2 * cosHalf);
 
-        // Calculate the four corners of the line rectangle
-        const corners = [
-            { x: x1 - offsetX, y: y1 - offsetY }, // Bottom-left of line start
-            { x: x1 + offsetX, y: y1 + offsetY }, // Top-left of line start
-            { x: x2 + offsetX, y: y2 + offsetY }, // Top-right of line end
-            { x: x2 - offsetX, y: y2 - offsetY }  // Bottom-right of line end
-        ];
+        // The inside corner moves along both segments, it can be shared while they are long enough
+        const innerShift = halfWidth * Math.tan(Math.abs(turn) / 2);
+        const sharedInner = cosHalf > 1e-6 &&
+            innerShift <= before.length - before.used &&
+            innerShift <= after.length - after.used;
 
-        // Handle line caps
-        if (this.state.lineCap !== 'butt') {
-            this.drawLineWithCaps(corners, x1, y1, x2, y2, width, dx, dy, length);
+        if (sharedInner) {
+            before.used += innerShift;
+            after.used += innerShift;
+        }
+
+        const miter = this.state.lineJoin === 'miter' && 1 / cosHalf <= this.state.miterLimit;
+        const miterX = x - side * bisectorX * miterLength;
+        const miterY = y - side * bisectorY * miterLength;
+
+        let innerBefore, innerAfter, pivot;
+        if (sharedInner) {
+            innerBefore = innerAfter = pivot = this.addMeshVertex(mesh, x + side * bisectorX * miterLength, y + side * bisectorY * miterLength);
+
+            // A miter within the limit closes the outside with a shared corner too
+            if (miter) {
+                const outer = this.addMeshVertex(mesh, miterX, miterY);
+                before.end = side > 0 ? [pivot, outer] : [outer, pivot];
+                after.start = before.end;
+                return;
+            }
         } else {
-            this.drawLineRectangle(corners);
+            // Short segments - bodies overlap on the inside and the join fans out from the point
+            innerBefore = this.addMeshVertex(mesh, x + side * before.nx * halfWidth, y + side * before.ny * halfWidth);
+            innerAfter = this.addMeshVertex(mesh, x + side * after.nx * halfWidth, y + side * after.ny * halfWidth);
+            pivot = this.addMeshVertex(mesh, x, y);
+        }
+
+        const outerBefore = this.addMeshVertex(mesh, x - side * before.nx * halfWidth, y - side * before.ny * halfWidth);
+        const outerAfter = this.addMeshVertex(mesh, x - side * after.nx * halfWidth, y - side * after.ny * halfWidth);
+        before.end = side > 0 ? [innerBefore, outerBefore] : [outerBefore, innerBefore];
+        after.start = side > 0 ? [innerAfter, outerAfter] : [outerAfter, innerAfter];
+
+        if (miter) {
+            const outer = this.addMeshVertex(mesh, miterX, miterY);
+            mesh.indices.push(pivot, outerBefore, outer, pivot, outer, outerAfter);
+        } else if (this.state.lineJoin === 'round') {
+            // The outside normal turns with the path, so the arc sweeps the same angle
+            const startAngle = Math.atan2(-side * before.ny, -side * before.nx);
+            this.addMeshFan(mesh, pivot, x, y, halfWidth, startAngle, turn, outerBefore, outerAfter);
+        } else {
+            // Bevel, and miters over the limit
+            mesh.indices.push(pivot, outerBefore, outerAfter);
         }
     }
 
     /*
-     * Draw line rectangle using the rectangle batch
-     * @param {Array} corners - Four corner points
+     * Add a line cap to a stroke mesh
+     * @param {Object} mesh - Stroke mesh
+     * @param {Object} point - End of the line
+     * @param {Object} segment - Segment the cap is on
+     * @param {number} halfWidth - Half the line width
+     * @param {string} lineCap - 'butt', 'round' or 'square'
+     * @param {boolean} atEnd - True for the cap after the segment, false for the one before it
+     * @return {Array} - [left, right] corners for the segment body
      */
-    drawLineRectangle(corners) {
-        const batch = this.batchBuffers.rectangles;
+    addStrokeCap(mesh, point, segment, halfWidth, lineCap, atEnd) {
+        const direction = atEnd ? 1 : -1;
+        const extend = lineCap === 'square' ? halfWidth * direction : 0;
+        const x = point.x + segment.dx * extend;
+        const y = point.y + segment.dy * extend;
+        const offsetX = segment.nx * halfWidth;
+        const offsetY = segment.ny * halfWidth;
 
-        if (batch.currentVertices + 4 > batch.maxVertices) {
-            this.flushRectangles();
-            batch.currentVertices = 0;
-            batch.currentIndices = 0;
-        }
+        const left = this.addMeshVertex(mesh, x + offsetX, y + offsetY);
+        const right = this.addMeshVertex(mesh, x - offsetX, y - offsetY);
 
-        // Transform corners
-        const transformedCorners = corners.map(corner =>
-            this.transformPoint(corner.x, corner.y)
-        );
-
-        const vertexIndex = batch.currentVertices;
-        const color = this.state.strokeStyle;
+        if (lineCap === 'round') {
+            // Half circle from the left corner to the right one, around the outside of the end
+            const center = this.addMeshVertex(mesh, x, y);
+            const startAngle = Math.atan2(segment.ny, segment.nx);
+            this.addMeshFan(mesh, center, x, y, halfWidth, startAngle, -Math.PI * direction, left, right);
+        }
 
-        // Apply global alpha
-        const finalColor = [
-            color[0],
-            color[1],
-            color[2],
-            color[3] * this.state.globalAlpha
-        ];
+        return [left, right];
+    }
 
-        // Add vertices (reorder for proper triangle winding)
-        batch.vertexData[vertexIndex * 2 + 0] = transformedCorners[0][0]; // Bottom-left
-        batch.vertexData[vertexIndex * 2 + 1] = transformedCorners[0][1];
-        batch.vertexData[vertexIndex * 2 + 2] = transformedCorners[3][0]; // Bottom-right
-        batch.vertexData[vertexIndex * 2 + 3] = transformedCorners[3][1];
-        batch.vertexData[vertexIndex * 2 + 4] = transformedCorners[1][0]; // Top-left
-        batch.vertexData[vertexIndex * 2 + 5] = transformedCorners[1][1];
-        batch.vertexData[vertexIndex * 2 + 6] = transformedCorners[2][0]; // Top-right
-        batch.vertexData[vertexIndex * 2 + 7] = transformedCorners[2][1];
+    /*
+     * Add a triangle fan along an arc to a mesh
+     * @param {Object} mesh - Mesh to add to
+     * @param {number} pivot - Vertex every triangle shares
+     * @param {number} cx - Arc center X
+     * @param {number} cy - Arc center Y
+     * @param {number} radius - Arc radius
+     * @param {number} startAngle - Angle of the first vertex
+     * @param {number} sweep - Signed angle of the arc
+     * @param {number} from - Existing vertex at the start of the arc
+     * @param {number} to - Existing vertex at the end of the arc
+     */
+    addMeshFan(mesh, pivot, cx, cy, radius, startAngle, sweep, from, to) {
+        const segments = this.getArcSegmentCount(radius, sweep);
+        let previous = from;
 
-        // Add colors for all 4 vertices
-        for (let i = 0; i < 4; i++) {
-            batch.colorData[(vertexIndex + i) * 4 + 0] = finalColor[0];
-            batch.colorData[(vertexIndex + i) * 4 + 1] = finalColor[1];
-            batch.colorData[(vertexIndex + i) * 4 + 2] = finalColor[2];
-            batch.colorData[(vertexIndex + i) * 4 + 3] = finalColor[3];
+        for (let i = 1; i < segments; i++) {
+            const angle = startAngle + sweep * i / segments;
+            const vertex = this.addMeshVertex(mesh, cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+            mesh.indices.push(pivot, previous, vertex);
+            previous = vertex;
         }
 
-        // Add indices (two triangles)
-        const indexBase = batch.currentVertices;
-        const indexOffset = batch.currentIndices;
-        batch.indexData[indexOffset + 0] = indexBase + 0;
-        batch.indexData[indexOffset + 1] = indexBase + 1;
-        batch.indexData[indexOffset + 2] = indexBase + 2;
-        batch.indexData[indexOffset + 3] = indexBase + 1;
-        batch.indexData[indexOffset + 4] = indexBase + 2;
-        batch.indexData[indexOffset + 5] = indexBase + 3;
+        mesh.indices.push(pivot, previous, to);
+    }
 
-        batch.currentVertices += 4;
-        batch.currentIndices += 6;
+    /*
+     * Add a vertex to a mesh
+     * @return {number} - Index of the vertex
+     */
+    addMeshVertex(mesh, x, y) {
+        mesh.positions.push(x, y);
+        return mesh.positions.length / 2 - 1;
     }
 
     /*
-     * Draw line with caps (round or square)
-     * @param {Array} corners - Base rectangle corners
-     * @param {number} x1 - Start X
-     * @param {number} y1 - Start Y
-     * @param {number} x2 - End X
-     * @param {number} y2 - End Y
-     * @param {number} width - Line width
-     * @param {number} dx - X direction
-     * @param {number} dy - Y direction
-     * @param {number} length - Line length
-     */
-    drawLineWithCaps(corners, x1, y1, x2, y2, width, dx, dy, length) {
-        // Draw the main line rectangle
-        this.drawLineRectangle(corners);
-
-        const halfWidth = width / 2;
-
-        if (this.state.lineCap === 'round') {
-            // Draw round caps as circles
-            this.fillCircle(x1, y1, halfWidth);
-            this.fillCircle(x2, y2, halfWidth);
-        } else if (this.state.lineCap === 'square') {
-            // Extend the line by half width on each end
-            const extendX = (dx / length) * halfWidth;
-            const extendY = (dy / length) * halfWidth;
-
-            // Extended corners
-            const perpX = -dy / length;
-            const perpY = dx / length;
-            const offsetX = perpX * halfWidth;
-            const offsetY = perpY * halfWidth;
-
-            // Start cap
-            const startCap = [
-                { x: x1 - extendX - offsetX, y: y1 - extendY - offsetY },
-                { x: x1 - extendX + offsetX, y: y1 - extendY + offsetY },
-                { x: x1 + offsetX, y: y1 + offsetY },
-                { x: x1 - offsetX, y: y1 - offsetY }
-            ];
+     * Add an indexed triangle mesh to the rectangle batch
+     * Vertices are transformed here. Meshes larger than the batch are split across flushes.
+     * @param {Array} positions - x, y pairs in user space
+     * @param {Array} indices - Three vertex indices per triangle
+     * @param {Array} color - RGBA color array
+     * @param {Object} paint - Gradient or pattern paint, or null
+     * @param {boolean} overlapping - Whether triangles of the mesh overlap, like those of strokes
+     */
+    addTriangleMesh(positions, indices, color, paint = null, overlapping = false) {
+        if (indices.length === 0) return;
 
-            // End cap
-            const endCap = [
-                { x: x2 - offsetX, y: y2 - offsetY },
-                { x: x2 + offsetX, y: y2 + offsetY },
-                { x: x2 + extendX + offsetX, y: y2 + extendY + offsetY },
-                { x: x2 + extendX - offsetX, y: y2 + extendY - offsetY }
-            ];
+        const batch = this.batchBuffers.rectangles;
+        const alpha = color[3] * this.state.globalAlpha;
+        const params = { paint };
 
-            this.drawLineRectangle(startCap);
-            this.drawLineRectangle(endCap);
+        // Overlaps show when the mesh blends with what is under it. Such a mesh gets runs of its
+        // own, drawn through the stencil, and the token keeps them from merging with other meshes.
+        if (overlapping && (alpha < 1 || paint || this.state.globalCompositeOperation !== 'source-over' || this.getShadowState())) {
+            params.stroke = {};
         }
-    }
 
-    /*
-    * Set line dash pattern
-    * @param {Array} segments - Array of line and gap lengths
-    */
-    setLineDash(segments) {
-        this.state.lineDash = [...segments];
-    }
+        // Batch slot of each mesh vertex in the current chunk, -1 if not added yet
+        const slots = new Int32Array(positions.length / 2).fill(-1);
+        let chunkStart = batch.currentIndices;
 
-    /*
-    * Get current line dash pattern
-    * @return {Array} - Current dash pattern
-    */
-    getLineDash() {
-        return [...this.state.lineDash];
+        for (let i = 0; i < indices.length; i += 3) {
+            if (batch.currentVertices + 3 > batch.maxVertices || batch.currentIndices + 3 > batch.maxIndices) {
+                if (batch.currentIndices > chunkStart) {
+                    this.queueDraw('rectangles', chunkStart, batch.currentIndices - chunkStart, params);
+                }
+                this.flushDrawQueue();
+                slots.fill(-1);
+                chunkStart = batch.currentIndices;
+            }
+
+            for (let j = i; j < i + 3; j++) {
+                const index = indices[j];
+
+                if (slots[index] < 0) {
+                    const vertex = batch.currentVertices++;
+                    const [x, y] = this.transformPoint(positions[index * 2], positions[index * 2 + 1]);
+                    batch.vertexData[vertex * 2] = x;
+                    batch.vertexData[vertex * 2 + 1] = y;
+                    batch.colorData[vertex * 4] = color[0];
+                    batch.colorData[vertex * 4 + 1] = color[1];
+                    batch.colorData[vertex * 4 + 2] = color[2];
+                    batch.colorData[vertex * 4 + 3] = alpha;
+                    slots[index] = vertex;
+                }
+
+                batch.indexData[batch.currentIndices++] = slots[index];
+            }
+        }
+
+        this.queueDraw('rectangles', chunkStart, batch.currentIndices - chunkStart, params);
     }
 
     /*
@@ -4519,32 +8416,8 @@ class WebGLCanvas {
     stroke() {
         if (this.currentPath.length === 0) return;
 
-        // If line width is thick, we need special handling
-        if (this.state.lineWidth > 1) {
-            this.renderThickStroke();
-        } else {
-            this.renderPath(false);
-        }
-    }
-
-    /*
-     * Render thick stroke for paths
-     */
-    renderThickStroke() {
-        const segments = this.pathToSegments(this.currentPath);
-        const lineWidth = this.state.lineWidth;
-
-        // Draw each segment as a thick line
-        for (let i = 0; i < segments.length; i++) {
-            const segment = segments[i];
-            this.drawThickLine(segment.x1, segment.y1, segment.x2, segment.y2, lineWidth);
-
-            // Handle line joins
-            if (i > 0 && this.state.lineJoin !== 'miter') {
-                const prevSegment = segments[i - 1];
-                this.drawLineJoin(prevSegment, segment, lineWidth);
-            }
-        }
+        // One mesh for the whole path - dashes follow each subpath across its segments and curves
+        this.strokePolylines(this.pathToSubpaths(this.currentPath));
     }
 
     /*
@@ -4576,10 +8449,8 @@ class WebGLCanvas {
 
         if (fill) {
             // For filling, we need to triangulate the path
-            const triangles = this.triangulatePath(this.currentPath, fillRule);
-            if (triangles.length > 0) {
-                this.renderTriangles(triangles, this.state.fillStyle);
-            }
+            const mesh = this.triangulatePath(this.currentPath, fillRule);
+            this.addTriangleMesh(mesh.positions, mesh.indices, this.state.fillStyle, this.getFillPaint());
         } else {
             // For stroking, convert path to line segments
             const segments = this.pathToSegments(this.currentPath);
@@ -4591,33 +8462,176 @@ class WebGLCanvas {
 
     /*
      * Triangulate a path for filling
-     * Uses ear clipping algorithm for simple polygons
+     * The path is cut into horizontal slabs at every vertex and edge crossing, so no edges cross
+     * inside a slab. Walking a slab's edges left to right with the same winding count as
+     * isPointInPath gives the filled spans. A span between the same two edges as the span above
+     * it extends that trapezoid, so the output grows with edges and crossings, not slabs.
+     * Holes, overlapping subpaths and self-intersections follow the fill rule.
      * @param {Array} path - Path commands
-     * @return {Array} - Array of triangles (each triangle is 6 values: x1,y1,x2,y2,x3,y3)
+     * @param {string} fillRule - 'nonzero' or 'evenodd'
+     * @return {Object} - Triangle mesh as {positions, indices}, positions are x, y pairs
      */
-    triangulatePath(path) {
-        // Convert path to polygon points
-        const polygons = this.pathToPolygons(path);
-        const triangles = [];
+    triangulatePath(path, fillRule = 'nonzero') {
+        const mesh = { positions: [], indices: [] };
+        const edges = [];
 
-        for (const polygon of polygons) {
+        for (const polygon of this.pathToPolygons(path)) {
             if (polygon.length < 3) continue;
 
-            // Simple ear clipping triangulation
-            const polyTriangles = this.earClipping(polygon);
-            triangles.push(...polyTriangles);
+            for (let i = 0; i < polygon.length; i++) {
+                const a = polygon[i];
+                const b = polygon[(i + 1) % polygon.length];
+
+                // Horizontal edges don't change the winding
+                if (a.y === b.y) continue;
+
+                // Stored top to bottom, winding +1 for edges going down
+                edges.push(a.y < b.y
+                    ? { x0: a.x, y0: a.y, x1: b.x, y1: b.y, winding: 1, x: 0 }
+                    : { x0: b.x, y0: b.y, x1: a.x, y1: a.y, winding: -1, x: 0 });
+            }
+        }
+
+        if (edges.length === 0) return mesh;
+
+        edges.sort((a, b) => a.y0 - b.y0);
+        const slabs = this.getSlabBoundaries(edges);
+
+        let active = [];
+        let next = 0;
+
+        // Trapezoids still growing downwards, keyed by their left edge
+        let open = new Map();
+
+        for (let i = 1; i < slabs.length; i++) {
+            const top = slabs[i - 1];
+            const bottom = slabs[i];
+
+            // Every vertex is a slab boundary, so the active edges span the whole slab
+            active = active.filter(edge => edge.y1 > top);
+            while (next < edges.length && edges[next].y0 <= top) {
+                active.push(edges[next++]);
+            }
+
+            const middle = (top + bottom) / 2;
+            for (const edge of active) {
+                edge.x = this.getEdgeX(edge, middle);
+            }
+            active.sort((a, b) => a.x - b.x);
+
+            const spans = new Map();
+            let winding = 0;
+            let left = null;
+            for (const edge of active) {
+                const wasInside = fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+                winding += edge.winding;
+                const inside = fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+
+                if (inside && !wasInside) {
+                    left = edge;
+                } else if (wasInside && !inside) {
+                    const span = open.get(left);
+                    if (span && span.right === edge) {
+                        open.delete(left);
+                        spans.set(left, span);
+                    } else {
+                        spans.set(left, { right: edge, top });
+                    }
+                }
+            }
+
+            // Trapezoids that didn't carry on into this slab end at its top
+            for (const [edge, span] of open) {
+                this.addTrapezoid(mesh, edge, span.right, span.top, top);
+            }
+            open = spans;
+        }
+
+        const bottom = slabs[slabs.length - 1];
+        for (const [edge, span] of open) {
+            this.addTrapezoid(mesh, edge, span.right, span.top, bottom);
+        }
+
+        return mesh;
+    }
+
+    /*
+     * Sorted, unique y values where the fill slabs of triangulatePath start and end
+     * These are every edge end and every point where two edges cross.
+     * @param {Array} edges - Edges sorted by their top y
+     * @return {Array}
+     */
+    getSlabBoundaries(edges) {
+        const ys = [];
+
+        for (let i = 0; i < edges.length; i++) {
+            const a = edges[i];
+            ys.push(a.y0, a.y1);
+
+            // Later edges start lower, stop once they start below this one
+            for (let j = i + 1; j < edges.length && edges[j].y0 < a.y1; j++) {
+                const b = edges[j];
+                const top = b.y0;
+                const bottom = Math.min(a.y1, b.y1);
+
+                // Edges cross if they swap sides over the y range they share
+                const before = this.getEdgeX(a, top) - this.getEdgeX(b, top);
+                const after = this.getEdgeX(a, bottom) - this.getEdgeX(b, bottom);
+                if (before * after < 0) {
+                    ys.push(top + (bottom - top) * before / (before - after));
+                }
+            }
         }
 
-        return triangles;
+        ys.sort((a, b) => a - b);
+        return ys.filter((y, index) => index === 0 || y !== ys[index - 1]);
+    }
+
+    /*
+     * X where an edge meets a horizontal line
+     * @param {Object} edge - {x0, y0, x1, y1} with y0 < y1
+     * @param {number} y - Y of the line
+     * @return {number}
+     */
+    getEdgeX(edge, y) {
+        return edge.x0 + (edge.x1 - edge.x0) * (y - edge.y0) / (edge.y1 - edge.y0);
+    }
+
+    /*
+     * Add the part of a slab between two edges to a mesh, as two triangles
+     * @param {Object} mesh - {positions, indices}
+     * @param {Object} left - Edge on the left
+     * @param {Object} right - Edge on the right
+     * @param {number} top - Top of the slab
+     * @param {number} bottom - Bottom of the slab
+     */
+    addTrapezoid(mesh, left, right, top, bottom) {
+        const topLeft = this.addMeshVertex(mesh, this.getEdgeX(left, top), top);
+        const topRight = this.addMeshVertex(mesh, this.getEdgeX(right, top), top);
+        const bottomRight = this.addMeshVertex(mesh, this.getEdgeX(right, bottom), bottom);
+        const bottomLeft = this.addMeshVertex(mesh, this.getEdgeX(left, bottom), bottom);
+
+        mesh.indices.push(topLeft, topRight, bottomRight, topLeft, bottomRight, bottomLeft);
     }
 
     /*
      * Convert path commands to polygon point arrays
      * @param {Array} path - Path commands
-     * @return {Array} - Array of polygons (each polygon is array of {x, y} points)
+     * @return {Array} - Array of polygons (each polygon is array of {x, y} points, implicitly closed)
      */
     pathToPolygons(path) {
-        const polygons = [];
+        return this.pathToSubpaths(path).map(subpath => subpath.points);
+    }
+
+    /*
+     * Flatten path commands into subpaths
+     * Curves and arcs get as many segments as their size on screen needs.
+     * Closed subpaths don't repeat their first point at the end.
+     * @param {Array} path - Path commands
+     * @return {Array} - Subpaths as {points, closed}
+     */
+    pathToSubpaths(path) {
+        const subpaths = [];
         let currentPolygon = [];
         let currentX = 0, currentY = 0;
         let startX = 0, startY = 0;
@@ -4627,7 +8641,7 @@ class WebGLCanvas {
                 case 'moveTo':
                     // Start new polygon if current one has points
                     if (currentPolygon.length > 0) {
-                        polygons.push([...currentPolygon]);
+                        subpaths.push({ points: currentPolygon, closed: false });
                         currentPolygon = [];
                     }
                     currentX = command.x;
@@ -4648,8 +8662,7 @@ class WebGLCanvas {
                     const quadPoints = this.approximateQuadraticPoints(
                         currentX, currentY,
                         command.cpx, command.cpy,
-                        command.x, command.y,
-                        16 // number of segments
+                        command.x, command.y
                     );
                     currentPolygon.push(...quadPoints.slice(1)); // Skip first point as it's current position
                     currentX = command.x;
@@ -4662,8 +8675,7 @@ class WebGLCanvas {
                         currentX, currentY,
                         command.cp1x, command.cp1y,
                         command.cp2x, command.cp2y,
-                        command.x, command.y,
-                        16 // number of segments
+                        command.x, command.y
                     );
                     currentPolygon.push(...bezierPoints.slice(1)); // Skip first point
                     currentX = command.x;
@@ -4676,8 +8688,7 @@ class WebGLCanvas {
                         command.radius,
                         command.startAngle,
                         command.endAngle,
-                        command.counterclockwise,
-                        32 // number of segments
+                        command.counterclockwise
                     );
                     if (arcPoints.length > 0) {
                         currentPolygon.push(...arcPoints);
@@ -4689,136 +8700,30 @@ class WebGLCanvas {
 
                 case 'close':
                     if (currentPolygon.length > 0) {
-                        // Close the polygon by ensuring it ends where it started
-                        const first = currentPolygon[0];
-                        const last = currentPolygon[currentPolygon.length - 1];
-                        if (Math.abs(first.x - last.x) > 0.001 || Math.abs(first.y - last.y) > 0.001) {
-                            currentPolygon.push({ x: startX, y: startY });
-                        }
+                        // Drawing after closePath() starts a new subpath at the same start point
+                        subpaths.push({ points: currentPolygon, closed: true });
+                        currentPolygon = [{ x: startX, y: startY }];
                     }
                     currentX = startX;
                     currentY = startY;
                     break;
             }
-        }
-
-        // Add final polygon if it has points
-        if (currentPolygon.length > 0) {
-            polygons.push(currentPolygon);
-        }
-
-        return polygons;
-    }
-
-    /*
-     * Simple ear clipping triangulation
-     * @param {Array} polygon - Array of {x, y} points
-     * @return {Array} - Array of triangles
-     */
-    earClipping(polygon) {
-        if (polygon.length < 3) return [];
-        if (polygon.length === 3) {
-            return [polygon[0], polygon[1], polygon[2]];
-        }
-
-        const triangles = [];
-        const vertices = [...polygon];
-
-        // Remove consecutive duplicate points
-        for (let i = vertices.length - 1; i >= 0; i--) {
-            const current = vertices[i];
-            const next = vertices[(i + 1) % vertices.length];
-            if (Math.abs(current.x - next.x) < 0.001 && Math.abs(current.y - next.y) < 0.001) {
-                vertices.splice(i, 1);
-            }
-        }
-
-        if (vertices.length < 3) return [];
-
-        // Simple fan triangulation for convex polygons
-        // This is a simplified version - full ear clipping is more complex
-        const center = vertices[0];
-        for (let i = 1; i < vertices.length - 1; i++) {
-            triangles.push(center, vertices[i], vertices[i + 1]);
-        }
-
-        return triangles;
-    }
-
-    /*
-     * Render triangles to the screen
-     * @param {Array} triangles - Array of triangle vertices
-     * @param {Array} color - RGBA color array
-     */
-    renderTriangles(triangles, color) {
-        const batch = this.batchBuffers.rectangles; // Reuse rectangle batch buffer
-
-        for (let i = 0; i < triangles.length; i += 3) {
-            const p1 = triangles[i];
-            const p2 = triangles[i + 1];
-            const p3 = triangles[i + 2];
-
-            // Check if batch is full (need 3 vertices, but buffer expects quads)
-            if (batch.currentVertices + 4 > batch.maxVertices) {
-                this.flushRectangles();
-                batch.currentVertices = 0;
-                batch.currentIndices = 0;
-            }
-
-            // Transform triangle vertices
-            const [x1, y1] = this.transformPoint(p1.x, p1.y);
-            const [x2, y2] = this.transformPoint(p2.x, p2.y);
-            const [x3, y3] = this.transformPoint(p3.x, p3.y);
-
-            // Create a degenerate quad by duplicating the third vertex
-            const vertexIndex = batch.currentVertices;
-
-            // Add vertices (triangle + duplicate third point to make quad)
-            batch.vertexData[vertexIndex * 2 + 0] = x1;
-            batch.vertexData[vertexIndex * 2 + 1] = y1;
-            batch.vertexData[vertexIndex * 2 + 2] = x2;
-            batch.vertexData[vertexIndex * 2 + 3] = y2;
-            batch.vertexData[vertexIndex * 2 + 4] = x3;
-            batch.vertexData[vertexIndex * 2 + 5] = y3;
-            batch.vertexData[vertexIndex * 2 + 6] = x3; // Duplicate third point
-            batch.vertexData[vertexIndex * 2 + 7] = y3;
-
-            // Apply global alpha to colors
-            const finalColor = [
-                color[0],
-                color[1],
-                color[2],
-                color[3] * this.state.globalAlpha
-            ];
-
-            // Add colors for all 4 vertices
-            for (let j = 0; j < 4; j++) {
-                batch.colorData[(vertexIndex + j) * 4 + 0] = finalColor[0];
-                batch.colorData[(vertexIndex + j) * 4 + 1] = finalColor[1];
-                batch.colorData[(vertexIndex + j) * 4 + 2] = finalColor[2];
-                batch.colorData[(vertexIndex + j) * 4 + 3] = finalColor[3];
-            }
-
-            // Add indices to form triangle (first 3 indices form the triangle)
-            const indexBase = batch.currentVertices;
-            const indexOffset = batch.currentIndices;
-            batch.indexData[indexOffset + 0] = indexBase + 0;
-            batch.indexData[indexOffset + 1] = indexBase + 1;
-            batch.indexData[indexOffset + 2] = indexBase + 2;
-            // Degenerate second triangle (all same point)
-            batch.indexData[indexOffset + 3] = indexBase + 2;
-            batch.indexData[indexOffset + 4] = indexBase + 3;
-            batch.indexData[indexOffset + 5] = indexBase + 2;
+        }
 
-            batch.currentVertices += 4;
-            batch.currentIndices += 6;
+        // Add final polygon if it has points - a lone point left by closePath() draws nothing
+        const closedLast = subpaths.length > 0 && subpaths[subpaths.length - 1].closed;
+        if (currentPolygon.length > 1 || (currentPolygon.length === 1 && !closedLast)) {
+            subpaths.push({ points: currentPolygon, closed: false });
         }
+
+        return subpaths;
     }
 
     /*
      * Approximate quadratic curve as points
+     * Segments default to what the curve's size on screen needs
      */
-    approximateQuadraticPoints(x0, y0, cx, cy, x1, y1, segments) {
+    approximateQuadraticPoints(x0, y0, cx, cy, x1, y1, segments = this.getBezierSegmentCount([x0, y0, cx, cy, x1, y1])) {
         const points = [];
         for (let i = 0; i <= segments; i++) {
             const t = i / segments;
@@ -4830,8 +8735,9 @@ class WebGLCanvas {
 
     /*
      * Approximate cubic bezier curve as points
+     * Segments default to what the curve's size on screen needs
      */
-    approximateBezierPoints(x0, y0, cx1, cy1, cx2, cy2, x1, y1, segments) {
+    approximateBezierPoints(x0, y0, cx1, cy1, cx2, cy2, x1, y1, segments = this.getBezierSegmentCount([x0, y0, cx1, cy1, cx2, cy2, x1, y1])) {
         const points = [];
         for (let i = 0; i <= segments; i++) {
             const t = i / segments;
@@ -4843,15 +8749,14 @@ class WebGLCanvas {
 
     /*
      * Approximate arc as points
+     * Segments default to what the arc's size on screen needs
      */
     approximateArcPoints(cx, cy, radius, startAngle, endAngle, counterclockwise, segments) {
         const points = [];
+        const totalAngle = this.getArcSweep(startAngle, endAngle, counterclockwise);
 
-        let totalAngle = endAngle - startAngle;
-        if (counterclockwise) {
-            if (totalAngle > 0) totalAngle -= 2 * Math.PI;
-        } else {
-            if (totalAngle < 0) totalAngle += 2 * Math.PI;
+        if (segments === undefined) {
+            segments = this.getArcSegmentCount(radius, totalAngle);
         }
 
         const angleStep = totalAngle / segments;
@@ -4981,6 +8886,301 @@ class WebGLCanvas {
         this.renderText(text, x, y, maxWidth, false);
     }
 
+    /*
+     * Fill wrapped text inside a box
+     * Lines are broken with the same glyph layout renderText draws, so measured widths match the drawn text
+     * @param {string|Array} text - Text, or an array of spans { text, font?, color? }
+     * @param {number} x - Left edge of the box
+     * @param {number} y - Top edge of the box
+     * @param {number} width - Box width, lines wrap to fit it
+     * @param {Object} options - Layout options, see measureTextBox()
+     * @return {Object} - Line metrics { lines, width, height, truncated } for hit-testing
+     */
+    fillTextBox(text, x, y, width, options = {}) {
+        const box = this.measureTextBox(text, x, y, width, options);
+        const state = this.state;
+        const saved = {
+            font: state.font,
+            textAlign: state.textAlign,
+            textBaseline: state.textBaseline,
+            fillStyle: state.fillStyle,
+            fillPaint: state.fillPaint
+        };
+
+        try {
+            state.textAlign = 'left';
+            state.textBaseline = 'alphabetic';
+
+            for (const line of box.lines) {
+                for (const run of line.runs) {
+                    state.font = run.font;
+                    if (run.color) {
+                        this.fillStyle = run.color;
+                    } else {
+                        state.fillStyle = saved.fillStyle;
+                        state.fillPaint = saved.fillPaint;
+                    }
+                    this.renderText(run.text, run.x, line.baseline, undefined, true);
+                }
+            }
+        } finally {
+            Object.assign(state, saved);
+        }
+
+        return box;
+    }
+
+    /*
+     * Lay out wrapped text inside a box without drawing it
+     * @param {string|Array} text - Text, or an array of spans { text, font?, color? }
+     * @param {number} x - Left edge of the box
+     * @param {number} y - Top edge of the box
+     * @param {number} width - Box width, lines wrap to fit it
+     * @param {Object} options - Layout options:
+     *   font - Font of spans without their own (default: current font)
+     *   color - Color of spans without their own (default: current fillStyle)
+     *   lineHeight - Line height as a multiple of the largest font size on the line (default: 1.2)
+     *   align - 'left', 'center', 'right', 'start' or 'end' (default: 'left')
+     *   wrap - 'word', 'char' or 'none' (default: 'word', words longer than the box break between characters)
+     *   height - Box height, lines that don't fit are dropped
+     *   verticalAlign - 'top', 'middle' or 'bottom' within height (default: 'top')
+     *   maxLines - Maximum number of lines
+     *   ellipsis - true for '…' or a string, marks truncated lines
+     * @return {Object} - { lines, width, height, truncated }. Each line has text, x, y, width, height,
+     *   baseline, ascent, descent and runs of { text, x, width, font, color }
+     */
+    measureTextBox(text, x, y, width, options = {}) {
+        const wrap = options.wrap || 'word';
+        const lineHeight = options.lineHeight || 1.2;
+        const ellipsis = options.ellipsis === true ? '…' : (options.ellipsis || '');
+        const baseFont = options.font || this.state.font;
+        const measure = (value, font) => this.layoutText(value, font).width;
+
+        // Split spans into words, spaces and line breaks (characters when wrapping anywhere)
+        const spans = Array.isArray(text) ? text : [{ text: String(text) }];
+        const pattern = wrap === 'char' ? /\n|[^\n]/gu : /\n|[^\S\n]+|\S+/g;
+        const tokens = [];
+
+        for (const span of spans) {
+            const font = span.font || baseFont;
+            const color = span.color || options.color || null;
+
+            for (const match of String(span.text).matchAll(pattern)) {
+                const value = match[0];
+                const type = value === '\n' ? 'newline' : value.trim() === '' ? 'space' : 'word';
+                tokens.push({ text: value, font, color, type });
+            }
+        }
+
+        // Break into lines greedily
+        const lines = [];
+        let line = { tokens: [], width: 0, font: baseFont, wrapped: false };
+
+        const endLine = (wrapped) => {
+            while (line.tokens.length > 0 && line.tokens[line.tokens.length - 1].type === 'space') {
+                line.width -= line.tokens.pop().width;
+            }
+            lines.push(line);
+            line = { tokens: [], width: 0, font: line.font, wrapped };
+        };
+
+        const addToken = (token, tokenWidth) => {
+            line.tokens.push({ ...token, width: tokenWidth });
+            line.width += tokenWidth;
+            line.font = token.font;
+        };
+
+        for (const token of tokens) {
+            if (token.type === 'newline') {
+                line.font = token.font;
+                endLine(false);
+                continue;
+            }
+
+            // Spaces where a line wrapped are dropped
+            if (token.type === 'space' && line.wrapped && line.tokens.length === 0) {
+                continue;
+            }
+
+            const tokenWidth = measure(token.text, token.font);
+            const hasContent = line.tokens.some(t => t.type !== 'space');
+
+            if (wrap === 'none' || token.type === 'space' || line.width + tokenWidth <= width) {
+                addToken(token, tokenWidth);
+                continue;
+            }
+
+            if (hasContent) {
+                endLine(true);
+            }
+
+            if (tokenWidth <= width) {
+                addToken(token, tokenWidth);
+                continue;
+            }
+
+            // Word wider than the box - break it between characters
+            for (const char of token.text) {
+                const charWidth = measure(char, token.font);
+                if (line.tokens.length > 0 && line.width + charWidth > width) {
+                    endLine(true);
+                }
+                addToken({ ...token, text: char }, charWidth);
+            }
+        }
+
+        if (line.tokens.length > 0 || lines.length === 0 || tokens[tokens.length - 1].type === 'newline') {
+            endLine(false);
+        }
+
+        // Drop lines past maxLines or the box height
+        let lineCount = Math.min(lines.length, options.maxLines || Infinity);
+        const lineHeights = lines.map(l => this.getTextBoxLineHeight(l, lineHeight));
+
+        if (options.height !== undefined) {
+            let total = 0;
+            for (let i = 0; i < lineCount; i++) {
+                total += lineHeights[i];
+                if (total > options.height && i > 0) {
+                    lineCount = i;
+                    break;
+                }
+            }
+        }
+
+        const truncated = lineCount < lines.length;
+        const visible = lines.slice(0, lineCount);
+
+        // Merge tokens of the same style into runs, measured as a whole so kerning matches the drawn text
+        const measured = visible.map((l, index) => {
+            let runs = [];
+            for (const token of l.tokens) {
+                const last = runs[runs.length - 1];
+                if (last && last.font === token.font && last.color === token.color) {
+                    last.text += token.text;
+                } else {
+                    runs.push({ text: token.text, font: token.font, color: token.color });
+                }
+            }
+
+            const needsEllipsis = ellipsis && ((truncated && index === lineCount - 1) ||
+                (wrap === 'none' && l.width > width));
+            if (needsEllipsis) {
+                runs = this.truncateTextRuns(runs, width, ellipsis, l.font);
+            }
+
+            runs.forEach(run => { run.width = measure(run.text, run.font); });
+            return { runs, font: l.font };
+        });
+
+        // Position lines and runs
+        const totalHeight = visible.reduce((sum, l, i) => sum + lineHeights[i], 0);
+        let top = y;
+        if (options.height !== undefined) {
+            if (options.verticalAlign === 'middle') top += (options.height - totalHeight) / 2;
+            else if (options.verticalAlign === 'bottom') top += options.height - totalHeight;
+        }
+
+        let maxWidth = 0;
+        const result = measured.map((l, i) => {
+            const lineWidth = l.runs.reduce((sum, run) => sum + run.width, 0);
+            const { ascent, descent } = this.getTextBoxLineMetrics(l);
+            const height = lineHeights[i];
+
+            let lineX = x;
+            switch (options.align) {
+                case 'center':
+                    lineX += (width - lineWidth) / 2;
+                    break;
+                case 'right':
+                case 'end':
+                    lineX += width - lineWidth;
+                    break;
+            }
+
+            let runX = lineX;
+            for (const run of l.runs) {
+                run.x = runX;
+                runX += run.width;
+            }
+
+            const lineTop = top;
+            top += height;
+            maxWidth = Math.max(maxWidth, lineWidth);
+
+            return {
+                text: l.runs.map(run => run.text).join(''),
+                x: lineX,
+                y: lineTop,
+                width: lineWidth,
+                height,
+                // Half leading above and below, like CSS line boxes
+                baseline: lineTop + (height - ascent - descent) / 2 + ascent,
+                ascent,
+                descent,
+                runs: l.runs
+            };
+        });
+
+        return { lines: result, width: maxWidth, height: totalHeight, truncated };
+    }
+
+    /*
+     * Height of a text box line from its largest font
+     */
+    getTextBoxLineHeight(line, lineHeight) {
+        const fonts = line.tokens.length > 0 ? line.tokens.map(t => t.font) : [line.font];
+        return Math.max(...fonts.map(font => this.parseFont(font).size)) * lineHeight;
+    }
+
+    /*
+     * Largest ascent and descent of the runs on a text box line
+     */
+    getTextBoxLineMetrics(line) {
+        const fonts = line.runs.length > 0 ? line.runs.map(run => run.font) : [line.font];
+        let ascent = 0;
+        let descent = 0;
+
+        for (const font of fonts) {
+            const layout = this.layoutText('', font);
+            ascent = Math.max(ascent, layout.ascent);
+            descent = Math.max(descent, layout.descent);
+        }
+
+        return { ascent, descent };
+    }
+
+    /*
+     * Shorten runs until they fit the width with an ellipsis appended
+     */
+    truncateTextRuns(runs, width, ellipsis, font) {
+        const measure = (value, runFont) => this.layoutText(value, runFont).width;
+        const lastFont = runs.length > 0 ? runs[runs.length - 1].font : font;
+        const ellipsisWidth = measure(ellipsis, lastFont);
+        const totalWidth = () => runs.reduce((sum, run) => sum + measure(run.text, run.font), 0);
+
+        while (runs.length > 0 && totalWidth() + ellipsisWidth > width) {
+            const last = runs[runs.length - 1];
+            const chars = Array.from(last.text);
+            chars.pop();
+            last.text = chars.join('');
+            if (last.text === '') runs.pop();
+        }
+
+        // Don't leave a space before the ellipsis
+        if (runs.length > 0) {
+            runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
+        }
+
+        if (runs.length > 0) {
+            runs[runs.length - 1].text += ellipsis;
+        } else {
+            runs.push({ text: ellipsis, font: lastFont, color: null });
+        }
+
+        return runs;
+    }
+
     /*
     * Create or get cached font canvas for text rendering
     */
@@ -4996,77 +9196,589 @@ class WebGLCanvas {
     }
 
     /*
- * Render text to texture and draw
- */
+     * Render text as signed distance field glyphs
+     * Glyphs are rasterized once into the glyph atlas and drawn as batched quads,
+     * so labels stay crisp under scale() and thousands of them share one draw call
+     */
     renderText(text, x, y, maxWidth, fill = true) {
-        const { canvas, ctx } = this.getFontCanvas(this.state.font);
-
-        // Measure text
-        const metrics = ctx.measureText(text);
-        let textWidth = metrics.width;
-
-        // Handle max width
-        if (maxWidth && textWidth > maxWidth) {
-            const scale = maxWidth / textWidth;
-            textWidth = maxWidth;
-        }
-
-        const textHeight = Math.abs(metrics.actualBoundingBoxAscent) + Math.abs(metrics.actualBoundingBoxDescent);
-
-        // Resize canvas to fit text with some padding
-        const padding = 4;
-        canvas.width = Math.ceil(textWidth) + padding * 2;
-        canvas.height = Math.ceil(textHeight) + padding * 2;
-
-        // Reset context after resize
-        ctx.font = this.state.font;
-        ctx.textAlign = this.state.textAlign;
-        ctx.textBaseline = this.state.textBaseline;
+        text = String(text);
 
-        // Set up rendering
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const layout = this.layoutText(text, this.state.font);
+        if (layout.glyphs.length === 0) return;
 
-        if (fill) {
-            const color = this.state.fillStyle;
-            ctx.fillStyle = `rgba(${Math.floor(color[0] * 255)}, ${Math.floor(color[1] * 255)}, ${Math.floor(color[2] * 255)}, ${color[3] * this.state.globalAlpha})`;
-            ctx.fillText(text, padding, padding + Math.abs(metrics.actualBoundingBoxAscent));
-        } else {
-            const color = this.state.strokeStyle;
-            ctx.strokeStyle = `rgba(${Math.floor(color[0] * 255)}, ${Math.floor(color[1] * 255)}, ${Math.floor(color[2] * 255)}, ${color[3] * this.state.globalAlpha})`;
-            ctx.lineWidth = this.state.lineWidth;
-            ctx.strokeText(text, padding, padding + Math.abs(metrics.actualBoundingBoxAscent));
+        // Condense horizontally to fit maxWidth, like Canvas 2D
+        let scaleX = 1;
+        if (maxWidth !== undefined && maxWidth > 0 && layout.width > maxWidth) {
+            scaleX = maxWidth / layout.width;
         }
 
-        // Calculate final position based on text alignment
-        let finalX = x;
-        let finalY = y;
+        const textWidth = layout.width * scaleX;
+        let originX = x;
+        let baselineY = y;
 
         // Adjust for text alignment
         switch (this.state.textAlign) {
             case 'center':
-                finalX -= textWidth / 2;
+                originX -= textWidth / 2;
                 break;
             case 'right':
             case 'end':
-                finalX -= textWidth;
+                originX -= textWidth;
                 break;
         }
 
         // Adjust for text baseline
         switch (this.state.textBaseline) {
             case 'top':
-                finalY -= Math.abs(metrics.actualBoundingBoxAscent);
+                baselineY += layout.ascent;
+                break;
+            case 'hanging':
+                baselineY += layout.ascent * 0.8;
                 break;
             case 'middle':
-                finalY -= textHeight / 2;
+                baselineY += (layout.ascent - layout.descent) / 2;
                 break;
+            case 'ideographic':
             case 'bottom':
-                finalY += Math.abs(metrics.actualBoundingBoxDescent);
+                baselineY -= layout.descent;
+                break;
+        }
+
+        const atlas = this.glyphAtlas;
+        const t = this.state.transform;
+        const transformScale = Math.sqrt(Math.abs(t[0] * t[4] - t[1] * t[3])) || 1;
+
+        // Half a screen pixel of anti-aliasing, in distance field units
+        const smoothing = 0.5 / (layout.scale * transformScale * atlas.radius * 2);
+        const color = fill ? this.state.fillStyle : this.state.strokeStyle;
+        const paint = fill ? this.getFillPaint() : null;
+
+        // Stroke half width in distance field units (limited by the field's radius)
+        const halfStroke = fill ? 0 : Math.min(0.5, (this.state.lineWidth / 2) / layout.scale / (atlas.radius * 2));
+
+        // The glyphs share one shadow pass, Canvas 2D shadows the text as a whole
+        const group = this.drawGroup;
+        this.drawGroup = {};
+        try {
+            for (const { glyph, x: penX } of layout.glyphs) {
+                this.addGlyphToBatch(glyph, originX + penX * scaleX, baselineY, layout.scale, scaleX, color, smoothing, halfStroke, paint);
+            }
+        } finally {
+            this.drawGroup = group;
+        }
+    }
+
+    /*
+     * Lay out a single line of text with glyphs from the glyph atlas
+     * Advances and kerning come from measureText at the atlas size, then scale to the font size
+     * @param {string} text - Text to lay out
+     * @param {string} font - CSS font
+     * @return {Object} - Glyphs with pen positions, width, ascent, descent and glyph scale
+     */
+    layoutText(text, font) {
+        const atlas = this.getGlyphAtlas();
+        const { size, key } = this.parseFont(font);
+        const cacheKey = key + '\u0000' + text;
+
+        const scale = size / atlas.fontSize;
+
+        const cached = atlas.layouts.get(cacheKey);
+        if (cached) {
+            return this.scaleLayout(cached, scale);
+        }
+
+        let glyphs = this.placeGlyphs(text, key);
+        if (!glyphs) {
+            // Atlas is full - draw what is queued with the current glyphs, then start over
+            this.flushDrawQueue();
+            this.resetGlyphAtlas();
+            glyphs = this.placeGlyphs(text, key) || { glyphs: [], width: 0 };
+        }
+
+        const metrics = this.getGlyphFontMetrics(key);
+        const layout = { glyphs: glyphs.glyphs, width: glyphs.width, ascent: metrics.ascent, descent: metrics.descent };
+
+        // Keep a bounded cache of layouts, labels are usually redrawn every frame
+        if (atlas.layouts.size >= 1024) {
+            atlas.layouts.delete(atlas.layouts.keys().next().value);
+        }
+        atlas.layouts.set(cacheKey, layout);
+
+        return this.scaleLayout(layout, scale);
+    }
+
+    /*
+     * Scale atlas-sized layout measurements to the font size
+     */
+    scaleLayout(layout, scale) {
+        return {
+            scale,
+            glyphs: scale === 1 ? layout.glyphs : layout.glyphs.map(g => ({ glyph: g.glyph, x: g.x * scale })),
+            width: layout.width * scale,
+            ascent: layout.ascent * scale,
+            descent: layout.descent * scale
+        };
+    }
+
+    /*
+     * Place the glyphs of a string at atlas size, adding missing glyphs to the atlas
+     * @return {Object|null} - Glyphs and total advance, or null when the atlas is full
+     */
+    placeGlyphs(text, fontKey) {
+        const glyphs = [];
+        let penX = 0;
+        let previous = null;
+
+        for (const char of text) {
+            const glyph = this.getGlyph(fontKey, char);
+            if (!glyph) return null;
+
+            if (previous !== null) {
+                penX += this.getKerning(fontKey, previous, char);
+            }
+
+            if (glyph.width > 0) {
+                glyphs.push({ glyph, x: penX });
+            }
+
+            penX += glyph.advance;
+            previous = char;
+        }
+
+        return { glyphs, width: penX };
+    }
+
+    /*
+     * Get the glyph atlas, creating it on first use
+     * A single channel texture of distance fields rendered at fontSize with a falloff of radius pixels
+     */
+    getGlyphAtlas() {
+        if (this.glyphAtlas) return this.glyphAtlas;
+
+        const size = 1024;
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 256;
+
+        this.glyphAtlas = {
+            size,
+            fontSize: 48,
+            radius: 8,
+            data: new Uint8Array(size * size),
+            canvas,
+            ctx: canvas.getContext('2d', { willReadFrequently: true }),
+            currentFont: null,
+            glyphs: new Map(),
+            kerning: new Map(),
+            fontMetrics: new Map(),
+            layouts: new Map(),
+            shelves: [],
+            nextShelfY: 0,
+            texture: null,
+            dirtyTop: size,
+            dirtyBottom: 0
+        };
+
+        return this.glyphAtlas;
+    }
+
+    /*
+     * Clear every glyph from the atlas
+     */
+    resetGlyphAtlas() {
+        const atlas = this.glyphAtlas;
+
+        atlas.data.fill(0);
+        atlas.glyphs.clear();
+        atlas.layouts.clear();
+        atlas.shelves = [];
+        atlas.nextShelfY = 0;
+        atlas.dirtyTop = 0;
+        atlas.dirtyBottom = atlas.size;
+    }
+
+    /*
+     * Upload the rows of the glyph atlas that changed since the last upload
+     * @return {WebGLTexture} - Glyph atlas texture
+     */
+    uploadGlyphAtlas() {
+        const gl = this.gl;
+        const atlas = this.getGlyphAtlas();
+
+        if (!atlas.texture) {
+            atlas.texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, atlas.texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.ALPHA, atlas.size, atlas.size, 0, gl.ALPHA, gl.UNSIGNED_BYTE, atlas.data);
+        } else if (atlas.dirtyTop < atlas.dirtyBottom) {
+            const rows = atlas.data.subarray(atlas.dirtyTop * atlas.size, atlas.dirtyBottom * atlas.size);
+            gl.bindTexture(gl.TEXTURE_2D, atlas.texture);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, atlas.dirtyTop, atlas.size, atlas.dirtyBottom - atlas.dirtyTop, gl.ALPHA, gl.UNSIGNED_BYTE, rows);
+        }
+
+        atlas.dirtyTop = atlas.size;
+        atlas.dirtyBottom = 0;
+
+        return atlas.texture;
+    }
+
+    /*
+     * Split a CSS font into its pixel size and an atlas key with the size replaced by the atlas size
+     * @param {string} font - CSS font, e.g. 'bold 16px Arial'
+     * @return {Object} - { size, key }
+     */
+    parseFont(font) {
+        const atlas = this.getGlyphAtlas();
+        const match = /(\d*\.?\d+)(px|pt|em|rem|%)/.exec(font);
+        if (!match) {
+            return { size: 10, key: `${atlas.fontSize}px sans-serif` };
+        }
+
+        let size = parseFloat(match[1]);
+        switch (match[2]) {
+            case 'pt':
+                size *= 4 / 3;
+                break;
+            case 'em':
+            case 'rem':
+                size *= 16;
                 break;
+            case '%':
+                size *= 0.16;
+                break;
+        }
+
+        // Drop a line height ('16px/1.5 Arial'), it doesn't affect glyph shapes
+        const rest = font.slice(match.index + match[0].length).replace(/^\s*\/\s*\S+/, '');
+        return { size, key: `${font.slice(0, match.index)}${atlas.fontSize}px${rest}` };
+    }
+
+    /*
+     * Set the glyph canvas font, skipping the costly font parse when it is unchanged
+     */
+    setGlyphFont(fontKey) {
+        const atlas = this.glyphAtlas;
+        if (atlas.currentFont !== fontKey) {
+            atlas.ctx.font = fontKey;
+            atlas.currentFont = fontKey;
+        }
+        return atlas.ctx;
+    }
+
+    /*
+     * Get ascent and descent of a font at atlas size
+     */
+    getGlyphFontMetrics(fontKey) {
+        const atlas = this.glyphAtlas;
+        let metrics = atlas.fontMetrics.get(fontKey);
+
+        if (!metrics) {
+            const m = this.setGlyphFont(fontKey).measureText('Hg');
+            metrics = {
+                ascent: m.fontBoundingBoxAscent !== undefined ? m.fontBoundingBoxAscent : Math.abs(m.actualBoundingBoxAscent || atlas.fontSize * 0.8),
+                descent: m.fontBoundingBoxDescent !== undefined ? m.fontBoundingBoxDescent : Math.abs(m.actualBoundingBoxDescent || atlas.fontSize * 0.2)
+            };
+            atlas.fontMetrics.set(fontKey, metrics);
+        }
+
+        return metrics;
+    }
+
+    /*
+     * Get the kerning adjustment between two characters at atlas size
+     * The pair's measured width minus the sum of both advances
+     */
+    getKerning(fontKey, previous, char) {
+        const atlas = this.glyphAtlas;
+        const key = fontKey + '\u0000' + previous + char;
+        let kerning = atlas.kerning.get(key);
+
+        if (kerning === undefined) {
+            const pairWidth = this.setGlyphFont(fontKey).measureText(previous + char).width;
+            kerning = pairWidth - atlas.glyphs.get(fontKey + '\u0000' + previous).advance - atlas.glyphs.get(fontKey + '\u0000' + char).advance;
+            // Ignore measurement noise
+            if (Math.abs(kerning) < 0.01) kerning = 0;
+
+            if (atlas.kerning.size >= 16384) {
+                atlas.kerning.clear();
+            }
+            atlas.kerning.set(key, kerning);
+        }
+
+        return kerning;
+    }
+
+    /*
+     * Get a glyph from the atlas, rasterizing it if needed
+     * @return {Object|null} - Glyph, or null when the atlas has no room for it
+     */
+    getGlyph(fontKey, char) {
+        const atlas = this.glyphAtlas;
+        const key = fontKey + '\u0000' + char;
+        let glyph = atlas.glyphs.get(key);
+
+        if (!glyph) {
+            glyph = this.rasterizeGlyph(fontKey, char);
+            if (!glyph) return null;
+            atlas.glyphs.set(key, glyph);
+        }
+
+        return glyph;
+    }
+
+    /*
+     * Rasterize a glyph and store its distance field in the atlas
+     * Coordinates are in atlas pixels: left/top place the quad relative to the pen on the baseline
+     */
+    rasterizeGlyph(fontKey, char) {
+        const atlas = this.glyphAtlas;
+        const ctx = this.setGlyphFont(fontKey);
+        const metrics = ctx.measureText(char);
+        const advance = metrics.width;
+
+        const left = Math.ceil(metrics.actualBoundingBoxLeft || 0);
+        const right = Math.ceil(metrics.actualBoundingBoxRight !== undefined ? metrics.actualBoundingBoxRight : advance);
+        const ascent = Math.ceil(metrics.actualBoundingBoxAscent || 0);
+        const descent = Math.ceil(metrics.actualBoundingBoxDescent || 0);
+        const glyphWidth = left + right;
+        const glyphHeight = ascent + descent;
+
+        // Whitespace only advances the pen
+        if (glyphWidth <= 0 || glyphHeight <= 0 || char.trim() === '') {
+            return { advance, width: 0, height: 0 };
+        }
+
+        const pad = atlas.radius;
+        const width = glyphWidth + pad * 2;
+        const height = glyphHeight + pad * 2;
+        const slot = this.allocateGlyph(width, height);
+        if (!slot) return null;
+
+        // Grow the scratch canvas for large glyphs (resizing resets the font)
+        const canvas = atlas.canvas;
+        if (canvas.width < width || canvas.height < height) {
+            canvas.width = Math.max(canvas.width, width);
+            canvas.height = Math.max(canvas.height, height);
+            atlas.currentFont = null;
+            this.setGlyphFont(fontKey);
+        }
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = 'black';
+        ctx.fillText(char, pad + left, pad + ascent);
+
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        this.writeGlyphDistanceField(pixels, width, height, slot.x, slot.y);
+
+        return {
+            x: slot.x,
+            y: slot.y,
+            width,
+            height,
+            left: left + pad,
+            top: ascent + pad,
+            advance
+        };
+    }
+
+    /*
+     * Find room for a glyph on a shelf of the atlas
+     * @return {Object|null} - Atlas position, or null when the atlas is full
+     */
+    allocateGlyph(width, height) {
+        const atlas = this.glyphAtlas;
+        let best = null;
+
+        // Best fitting shelf that still has room
+        for (const shelf of atlas.shelves) {
+            if (shelf.height >= height && shelf.x + width <= atlas.size &&
+                (!best || shelf.height < best.height)) {
+                best = shelf;
+            }
+        }
+
+        if (!best) {
+            if (atlas.nextShelfY + height > atlas.size || width > atlas.size) return null;
+            best = { y: atlas.nextShelfY, height, x: 0 };
+            atlas.shelves.push(best);
+            atlas.nextShelfY += height;
+        }
+
+        const slot = { x: best.x, y: best.y };
+        best.x += width;
+        return slot;
+    }
+
+    /*
+     * Compute the distance field of a rasterized glyph into the atlas
+     * Squared euclidean distance transforms of the outside and inside, seeded with
+     * sub-pixel distances from anti-aliased coverage. The edge maps to 0.5
+     */
+    writeGlyphDistanceField(pixels, width, height, atlasX, atlasY) {
+        const atlas = this.glyphAtlas;
+        const INF = 1e20;
+        const area = width * height;
+        const outer = new Float64Array(area);
+        const inner = new Float64Array(area);
+
+        for (let i = 0; i < area; i++) {
+            const a = pixels[i * 4 + 3] / 255;
+            if (a === 1) {
+                outer[i] = 0;
+                inner[i] = INF;
+            } else if (a === 0) {
+                outer[i] = INF;
+                inner[i] = 0;
+            } else {
+                const d = 0.5 - a;
+                outer[i] = d > 0 ? d * d : 0;
+                inner[i] = d < 0 ? d * d : 0;
+            }
+        }
+
+        const length = Math.max(width, height);
+        const f = new Float64Array(length);
+        const v = new Uint16Array(length);
+        const z = new Float64Array(length + 1);
+        this.distanceTransform(outer, width, height, f, v, z);
+        this.distanceTransform(inner, width, height, f, v, z);
+
+        const falloff = atlas.radius * 2;
+        for (let y = 0; y < height; y++) {
+            const row = (atlasY + y) * atlas.size + atlasX;
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const distance = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+                atlas.data[row + x] = Math.round(255 * Math.max(0, Math.min(1, 0.5 - distance / falloff)));
+            }
+        }
+
+        atlas.dirtyTop = Math.min(atlas.dirtyTop, atlasY);
+        atlas.dirtyBottom = Math.max(atlas.dirtyBottom, atlasY + height);
+    }
+
+    /*
+     * 2D squared distance transform, columns then rows (Felzenszwalb & Huttenlocher)
+     */
+    distanceTransform(grid, width, height, f, v, z) {
+        for (let x = 0; x < width; x++) {
+            this.distanceTransform1D(grid, x, width, height, f, v, z);
+        }
+        for (let y = 0; y < height; y++) {
+            this.distanceTransform1D(grid, y * width, 1, width, f, v, z);
+        }
+    }
+
+    /*
+     * 1D squared distance transform using the lower envelope of parabolas
+     */
+    distanceTransform1D(grid, offset, stride, length, f, v, z) {
+        const INF = 1e20;
+        v[0] = 0;
+        z[0] = -INF;
+        z[1] = INF;
+        f[0] = grid[offset];
+
+        for (let q = 1, k = 0, s = 0; q < length; q++) {
+            f[q] = grid[offset + q * stride];
+            const q2 = q * q;
+            do {
+                const r = v[k];
+                s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2;
+            } while (s <= z[k] && --k > -1);
+
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = INF;
+        }
+
+        for (let q = 0, k = 0; q < length; q++) {
+            while (z[k + 1] < q) k++;
+            const r = v[k];
+            const qr = q - r;
+            grid[offset + q * stride] = f[r] + qr * qr;
+        }
+    }
+
+    /*
+     * Add a glyph quad to the text batch
+     * @param {Object} glyph - Glyph from the atlas
+     * @param {number} penX - Pen position on the baseline
+     * @param {number} baselineY - Baseline position
+     * @param {number} scale - Font size over atlas font size
+     * @param {number} scaleX - Extra horizontal scale from maxWidth
+     * @param {Array} color - RGBA color
+     * @param {number} smoothing - Edge smoothing in distance field units
+     * @param {number} halfStroke - Half stroke width in distance field units, 0 to fill
+     * @param {Object|null} paint - Gradient or pattern paint
+     */
+    addGlyphToBatch(glyph, penX, baselineY, scale, scaleX, color, smoothing, halfStroke, paint = null) {
+        const batch = this.batchBuffers.text;
+
+        if (batch.currentVertices + 4 > batch.maxVertices) {
+            this.flushDrawQueue();
+        }
+
+        const atlasSize = this.glyphAtlas.size;
+        const x1 = penX - glyph.left * scale * scaleX;
+        const y1 = baselineY - glyph.top * scale;
+        const x2 = x1 + glyph.width * scale * scaleX;
+        const y2 = y1 + glyph.height * scale;
+
+        const corners = [
+            this.transformPoint(x1, y1),
+            this.transformPoint(x2, y1),
+            this.transformPoint(x1, y2),
+            this.transformPoint(x2, y2)
+        ];
+
+        // Atlas rows are uploaded top first, so v grows downwards
+        const u1 = glyph.x / atlasSize;
+        const v1 = glyph.y / atlasSize;
+        const u2 = (glyph.x + glyph.width) / atlasSize;
+        const v2 = (glyph.y + glyph.height) / atlasSize;
+        const texCoords = [u1, v1, u2, v1, u1, v2, u2, v2];
+
+        const alpha = color[3] * this.state.globalAlpha;
+        const vertexIndex = batch.currentVertices;
+
+        for (let i = 0; i < 4; i++) {
+            const index = vertexIndex + i;
+
+            batch.vertexData[index * 2 + 0] = corners[i][0];
+            batch.vertexData[index * 2 + 1] = corners[i][1];
+
+            batch.texCoordData[index * 2 + 0] = texCoords[i * 2];
+            batch.texCoordData[index * 2 + 1] = texCoords[i * 2 + 1];
+
+            batch.colorData[index * 4 + 0] = color[0];
+            batch.colorData[index * 4 + 1] = color[1];
+            batch.colorData[index * 4 + 2] = color[2];
+            batch.colorData[index * 4 + 3] = alpha;
+
+            batch.sdfParamData[index * 2 + 0] = smoothing;
+            batch.sdfParamData[index * 2 + 1] = halfStroke;
         }
 
-        // Draw the text canvas as an image
-        this.drawImage(canvas, finalX - padding, finalY - padding);
+        // Add indices
+        const indexOffset = batch.currentIndices;
+        batch.indexData[indexOffset + 0] = vertexIndex + 0;
+        batch.indexData[indexOffset + 1] = vertexIndex + 1;
+        batch.indexData[indexOffset + 2] = vertexIndex + 2;
+        batch.indexData[indexOffset + 3] = vertexIndex + 1;
+        batch.indexData[indexOffset + 4] = vertexIndex + 2;
+        batch.indexData[indexOffset + 5] = vertexIndex + 3;
+
+        this.queueDraw('text', indexOffset, 6, { paint });
+
+        batch.currentVertices += 4;
+        batch.currentIndices += 6;
     }
 
     /*
@@ -5091,11 +9803,15 @@ class WebGLCanvas {
      * @return {object} - Gradient object
      */
     createLinearGradient(x0, y0, x1, y1) {
-        return {
+        const gradient = {
             type: 'linear',
             x0, y0, x1, y1,
-            colorStops: []
+            colorStops: [],
+            version: 0
         };
+        // Canvas 2D style gradient.addColorStop(offset, color)
+        gradient.addColorStop = (offset, color) => this.addColorStop(gradient, offset, color);
+        return gradient;
     }
 
     /*
@@ -5109,25 +9825,67 @@ class WebGLCanvas {
      * @return {object} - Gradient object
      */
     createRadialGradient(x0, y0, r0, x1, y1, r1) {
-        return {
+        const gradient = {
             type: 'radial',
             x0, y0, r0, x1, y1, r1,
-            colorStops: []
+            colorStops: [],
+            version: 0
+        };
+        gradient.addColorStop = (offset, color) => this.addColorStop(gradient, offset, color);
+        return gradient;
+    }
+
+    /*
+     * Create conic gradient
+     * Colors sweep clockwise around the center, starting at startAngle
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @return {object} - Gradient object
+     */
+    createConicGradient(startAngle, x, y) {
+        const gradient = {
+            type: 'conic',
+            startAngle, x, y,
+            colorStops: [],
+            version: 0
         };
+        gradient.addColorStop = (offset, color) => this.addColorStop(gradient, offset, color);
+        return gradient;
     }
 
     /*
      * Create pattern
      * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image - Image for pattern
      * @param {string} repetition - 'repeat', 'repeat-x', 'repeat-y', 'no-repeat'
-     * @return {object} - Pattern object
+     * @return {object|null} - Pattern object, or null if the image isn't loaded
      */
     createPattern(image, repetition) {
-        return {
+        // Like Canvas 2D, images that haven't finished loading can't be used yet
+        if (!image || image.complete === false) {
+            return null;
+        }
+
+        const pattern = {
             type: 'pattern',
             image,
-            repetition
+            repetition: repetition || 'repeat', // Empty string and null mean 'repeat'
+            transform: this.createIdentityMatrix(),
+            version: 0
+        };
+
+        // DOMPattern style setTransform({ a, b, c, d, e, f }), no argument resets to identity
+        pattern.setTransform = (matrix = {}) => {
+            const { a = 1, b = 0, c = 0, d = 1, e = 0, f = 0 } = matrix;
+            pattern.transform = [
+                a, c, e,
+                b, d, f,
+                0, 0, 1
+            ];
+            pattern.version++;
         };
+
+        return pattern;
     }
 
     /*
@@ -5146,22 +9904,14 @@ class WebGLCanvas {
         // Transform the test point using inverse of current transform
         const [testX, testY] = this.inverseTransformPoint(x, y);
 
-        // Test against each polygon
+        // Windings add up across subpaths, so holes and overlaps follow the fill rule like fill() does
+        let winding = 0;
         for (const polygon of polygons) {
             if (polygon.length < 3) continue;
-
-            if (fillRule === 'evenodd') {
-                if (this.pointInPolygonEvenOdd(testX, testY, polygon)) {
-                    return true;
-                }
-            } else {
-                if (this.pointInPolygonNonZero(testX, testY, polygon)) {
-                    return true;
-                }
-            }
+            winding += this.getPolygonWinding(testX, testY, polygon);
         }
 
-        return false;
+        return fillRule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
     }
 
     /*
@@ -5258,6 +10008,17 @@ class WebGLCanvas {
      * @return {boolean} - True if point is inside polygon
      */
     pointInPolygonNonZero(x, y, polygon) {
+        return this.getPolygonWinding(x, y, polygon) !== 0;
+    }
+
+    /*
+     * Winding number of a polygon around a point
+     * @param {number} x - Test point X
+     * @param {number} y - Test point Y
+     * @param {Array} polygon - Array of {x, y} points
+     * @return {number} - Signed number of times the polygon goes around the point
+     */
+    getPolygonWinding(x, y, polygon) {
         let winding = 0;
         const n = polygon.length;
 
@@ -5283,7 +10044,7 @@ class WebGLCanvas {
             }
         }
 
-        return winding !== 0;
+        return winding;
     }
 
     /*
@@ -5577,8 +10338,9 @@ class WebGLCanvas {
         // Create array to hold pixel data (RGBA)
         const pixels = new Uint8Array(sw * sh * 4);
 
-        // Bind the default framebuffer (0)
-        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+        // Bind the default framebuffer (0), the layer being read, or the scene shown by the CRT display
+        const readFramebuffer = this.drawTarget ? this.drawTarget.framebuffer : this.crt ? this.crt.sourceFramebuffer : null;
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, readFramebuffer);
 
         // Read pixels from the framebuffer
         this.gl.readPixels(sx, glY, sw, sh, this.gl.RGBA, this.gl.UNSIGNED_BYTE, pixels);
@@ -5740,21 +10502,44 @@ class WebGLCanvas {
 
     /*
     * Create clipping region from current path
+    * Intersects the path with the current clip. The path is transformed now,
+    * so later transform changes don't move the clip. save()/restore() bring back the previous clip.
+    * @param {string} fillRule - 'nonzero' or 'evenodd'
     */
-    clip() {
-        // For now, store the current path as a clipping region
-        // Full implementation would require stencil buffer or scissor test
-        if (this.currentPath.length > 0) {
-            this.state.clipPath = [...this.currentPath];
-            // console.warn('clip() is partially implemented - full clipping requires stencil buffer');
+    clip(fillRule = 'nonzero') {
+        const width = this.width;
+        const height = this.height;
+
+        // Full canvas quad first (for the cover pass), then a triangle fan per subpath
+        const vertices = [0, 0, width, 0, 0, height, width, 0, width, height, 0, height];
+
+        for (const polygon of this.pathToPolygons(this.currentPath)) {
+            if (polygon.length < 3) continue;
+
+            const points = polygon.map(point => this.transformPoint(point.x, point.y));
+            const origin = points[0];
+            for (let i = 1; i < points.length - 1; i++) {
+                vertices.push(
+                    origin[0], origin[1],
+                    points[i][0], points[i][1],
+                    points[i + 1][0], points[i + 1][1]
+                );
+            }
         }
+
+        // An empty path still clips - everything gets clipped away
+        const region = { vertices: new Float32Array(vertices), fillRule };
+        const regions = this.state.clip ? [...this.state.clip.regions, region] : [region];
+
+        // New object each time, so queued draws can tell clips apart by reference
+        this.state.clip = { regions };
     }
 
     /*
     * Clear the current clipping region
     */
     resetClip() {
-        this.state.clipPath = null;
+        this.state.clip = null;
     }
 
     /*
@@ -5768,9 +10553,11 @@ class WebGLCanvas {
         try {
             const program = this.createShaderProgram(vertexShaderSource, fragmentShaderSource);
 
-            // Cache attribute and uniform locations for better performance
+            // Cache attribute and uniform locations for better performance,
+            // with the type and array size of each uniform to upload values with the right call
             const attributes = {};
             const uniforms = {};
+            const uniformTypes = {};
 
             // Get all active attributes
             const numAttributes = this.gl.getProgramParameter(program, this.gl.ACTIVE_ATTRIBUTES);
@@ -5789,14 +10576,23 @@ class WebGLCanvas {
                 if (info) {
                     const location = this.gl.getUniformLocation(program, info.name);
                     uniforms[info.name] = location;
+
+                    // Arrays are reported as name[0], set them by their name
+                    const baseName = info.name.replace(/\[0\]$/, '');
+                    uniforms[baseName] = location;
+                    uniformTypes[baseName] = { type: info.type, size: info.size };
                 }
             }
 
             this.shaders[name] = program;
             this.shaders[name].attributes = attributes;
             this.shaders[name].uniforms = uniforms;
+            this.shaders[name].uniformTypes = uniformTypes;
             this.shaders[name].name = name; // Add name for debugging
 
+            // Keep the sources to compile again after a context restore
+            this.customShaderSources.set(name, { vertex: vertexShaderSource, fragment: fragmentShaderSource });
+
             return program;
         } catch (error) {
             // console.error(`Failed to create shader "${name}":`, error);
@@ -5817,108 +10613,700 @@ class WebGLCanvas {
             this.currentShader = program; // Keep track of current shader
             return program;
         }
-        throw new Error(`Shader "${name}" not found. Available shaders: ${Object.keys(this.shaders).join(', ')}`);
+        throw new Error(`Shader "${name}" not found. Available shaders: ${Object.keys(this.shaders).join(', ')}`);
+    }
+
+    /*
+ * Enhanced drawWithShader with context loss protection
+ * Called with a mesh from createMesh, the arguments are (shaderName, mesh, uniforms, options)
+ * with options.first, options.count and options.mode to draw part of the mesh.
+ */
+    drawWithShader(shaderName, vertices, indices = null, uniforms = {}, attributes = {}) {
+        if (this.isContextLost()) {
+            // console.warn('Skipping drawWithShader - WebGL context is lost');
+            return;
+        }
+
+        const mesh = this.meshes.has(vertices) ? vertices : null;
+        if (mesh) {
+            attributes = uniforms || {};
+            uniforms = indices || {};
+            indices = null;
+        }
+
+        try {
+            // Layers sampled by the shader run their effects in the flush below
+            for (const name in uniforms) {
+                const value = uniforms[name];
+                if (Array.isArray(value)) {
+                    value.forEach(item => this.prepareShaderLayer(item));
+                } else {
+                    this.prepareShaderLayer(value);
+                }
+            }
+
+            // Custom shaders draw immediately, so draw what was queued before them first
+            this.flushDrawQueue();
+
+            // Custom shader draws are clipped like batched ones (before binding, the mask uses its own program)
+            this.applyClip(this.state.clip);
+
+            const gl = this.gl;
+            // Custom shaders output unpremultiplied colors, so they can't use the blend functions
+            // of operations that expect a premultiplied source
+            const operation = this.state.globalCompositeOperation;
+            if (this.needsReadback(operation) || this.needsPremultipliedSource(operation)) {
+                this.drawWithReadback(operation, this.state.clip, () => {
+                    if (mesh) {
+                        this.renderMesh(shaderName, mesh, uniforms, attributes);
+                    } else {
+                        this.renderWithShader(shaderName, vertices, indices, uniforms, attributes);
+                    }
+                });
+            } else if (mesh) {
+                this.renderMesh(shaderName, mesh, uniforms, attributes);
+            } else {
+                this.renderWithShader(shaderName, vertices, indices, uniforms, attributes);
+            }
+
+            gl.disable(gl.STENCIL_TEST);
+
+            // Check for errors after drawing
+            this.checkGLError(`drawWithShader(${shaderName})`);
+
+        } catch (e) {
+            // console.error(`Error in drawWithShader(${shaderName}):`, e);
+            if (this.gl && this.gl.isContextLost()) {
+                // console.warn('Context lost during drawWithShader');
+                this.contextLost = true;
+            }
+        }
+    }
+
+    /*
+     * Queue the effects of a layer used as a drawWithShader uniform
+     * @param {*} value - Uniform value, anything but a layer is ignored
+     */
+    prepareShaderLayer(value) {
+        const layer = this.layers.get(value);
+        if (layer && layer.texture && layer !== this.drawTarget) {
+            this.getLayerTexture(layer);
+        }
+    }
+
+    /*
+     * Issue the draw call of drawWithShader with the current blend and stencil state
+     */
+    renderWithShader(shaderName, vertices, indices, uniforms, attributes) {
+        const program = this.useShader(shaderName);
+        const gl = this.gl;
+
+        // Check if program is valid
+        if (!program || !gl.isProgram(program)) {
+            // console.error(`Invalid shader program: ${shaderName}`);
+            return;
+        }
+
+        // Create vertex buffer if needed
+        if (!this.customVertexBuffer) {
+            this.customVertexBuffer = gl.createBuffer();
+        }
+
+        // Upload vertex data
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.customVertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW);
+
+        // Set up position attribute (assuming it exists)
+        if (program.attributes && program.attributes['a_position'] !== undefined) {
+            gl.enableVertexAttribArray(program.attributes['a_position']);
+            gl.vertexAttribPointer(program.attributes['a_position'], 2, gl.FLOAT, false, 0, 0);
+        }
+
+        // Set additional attributes, each name keeps its buffer from one call to the next
+        Object.keys(attributes).forEach(name => {
+            const location = program.attributes && program.attributes[name];
+            if (location !== undefined && location >= 0) {
+                const data = attributes[name];
+                let buffer = this.customAttributeBuffers.get(name);
+                if (!buffer) {
+                    buffer = gl.createBuffer();
+                    this.customAttributeBuffers.set(name, buffer);
+                }
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                gl.bufferData(gl.ARRAY_BUFFER, data.data, gl.DYNAMIC_DRAW);
+
+                gl.enableVertexAttribArray(location);
+                gl.vertexAttribPointer(location, data.size, data.type || gl.FLOAT, !!data.normalized, data.stride || 0, data.offset || 0);
+            }
+        });
+
+        this.setShaderUniforms(program, uniforms);
+
+        // Draw
+        if (indices) {
+            // Create index buffer if needed
+            if (!this.customIndexBuffer) {
+                this.customIndexBuffer = gl.createBuffer();
+            }
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.customIndexBuffer);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.DYNAMIC_DRAW);
+            gl.drawElements(gl.TRIANGLES, indices.length, gl.UNSIGNED_SHORT, 0);
+        } else {
+            gl.drawArrays(gl.TRIANGLES, 0, vertices.length / 2);
+        }
+    }
+
+    /*
+     * Set the uniforms of a drawWithShader call, and u_resolution and u_globalAlpha when declared
+     * Values are uploaded as the type the shader declares. Samplers take layers, textures, images,
+     * canvases, videos and ImageBitmaps, bound to texture units in order.
+     * @param {WebGLProgram} program - Program from addShader
+     * @param {Object} uniforms - Uniform values by name
+     */
+    setShaderUniforms(program, uniforms) {
+        const gl = this.gl;
+        const types = program.uniformTypes || {};
+
+        let textureUnit = 0;
+        for (const name in uniforms) {
+            const location = program.uniforms && program.uniforms[name];
+            if (location !== null && location !== undefined) {
+                const value = uniforms[name];
+                const info = types[name];
+
+                if (info && info.type === gl.SAMPLER_2D) {
+                    if (Array.isArray(value)) {
+                        const units = value.map(item => this.bindShaderTexture(item, textureUnit++));
+                        gl.uniform1iv(location, units);
+                    } else {
+                        gl.uniform1i(location, this.bindShaderTexture(value, textureUnit++));
+                    }
+                } else if (info) {
+                    this.setTypedUniform(location, info.type, value, name);
+                } else if (this.layers.has(value)) {
+                    gl.uniform1i(location, this.bindShaderTexture(value, textureUnit++));
+                } else if (Array.isArray(value)) {
+                    switch (value.length) {
+                        case 1: gl.uniform1f(location, value[0]); break;
+                        case 2: gl.uniform2f(location, value[0], value[1]); break;
+                        case 3: gl.uniform3f(location, value[0], value[1], value[2]); break;
+                        case 4: gl.uniform4f(location, value[0], value[1], value[2], value[3]); break;
+                        default: // console.warn(`Unsupported uniform array length for ${name}`);
+                    }
+                } else if (typeof value === 'number') {
+                    gl.uniform1f(location, value);
+                } else {
+                    // console.warn(`Unsupported uniform type for ${name}:`, typeof value);
+                }
+            }
+        }
+
+        // Set common uniforms if they exist
+        if (program.uniforms && program.uniforms['u_resolution']) {
+            gl.uniform2f(program.uniforms['u_resolution'], this.width, this.height);
+        }
+        if (program.uniforms && program.uniforms['u_globalAlpha']) {
+            gl.uniform1f(program.uniforms['u_globalAlpha'], this.state.globalAlpha);
+        }
+
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /*
+     * Upload a uniform value with the call for its declared type
+     * Booleans count as 1 and 0. Arrays of values are flattened arrays, e.g. 6 numbers for vec2[3].
+     * @param {WebGLUniformLocation} location - Uniform location
+     * @param {number} type - GL type from getActiveUniform
+     * @param {number|boolean|Array<number>|ArrayBufferView} value - Value
+     * @param {string} name - Uniform name, for warnings
+     */
+    setTypedUniform(location, type, value, name) {
+        const gl = this.gl;
+        if (typeof value === 'boolean') {
+            value = value ? 1 : 0;
+        }
+        const scalar = typeof value === 'number';
+
+        switch (type) {
+            case gl.FLOAT:
+                if (scalar) gl.uniform1f(location, value);
+                else gl.uniform1fv(location, value);
+                break;
+            case gl.FLOAT_VEC2: gl.uniform2fv(location, value); break;
+            case gl.FLOAT_VEC3: gl.uniform3fv(location, value); break;
+            case gl.FLOAT_VEC4: gl.uniform4fv(location, value); break;
+            case gl.INT:
+            case gl.BOOL:
+                if (scalar) gl.uniform1i(location, value);
+                else gl.uniform1iv(location, value);
+                break;
+            case gl.INT_VEC2:
+            case gl.BOOL_VEC2: gl.uniform2iv(location, value); break;
+            case gl.INT_VEC3:
+            case gl.BOOL_VEC3: gl.uniform3iv(location, value); break;
+            case gl.INT_VEC4:
+            case gl.BOOL_VEC4: gl.uniform4iv(location, value); break;
+            case gl.FLOAT_MAT2: gl.uniformMatrix2fv(location, false, value); break;
+            case gl.FLOAT_MAT3: gl.uniformMatrix3fv(location, false, value); break;
+            case gl.FLOAT_MAT4: gl.uniformMatrix4fv(location, false, value); break;
+            default: // console.warn(`Unsupported uniform type for ${name}`);
+        }
+    }
+
+    /*
+     * Bind the texture of a sampler uniform value to a texture unit
+     * @param {*} value - Layer, WebGLTexture, or an image, canvas, video or ImageBitmap
+     * @param {number} unit - Texture unit
+     * @returns {number} The texture unit, for the sampler uniform
+     */
+    bindShaderTexture(value, unit) {
+        const gl = this.gl;
+        const layer = this.layers.get(value);
+        let texture = null;
+
+        // Select the unit first, uploading a new texture binds it to the active unit
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        if (layer) {
+            texture = this.hasLayerEffects(layer) ? layer.outputTexture : layer.texture;
+        } else if (typeof WebGLTexture !== 'undefined' && value instanceof WebGLTexture) {
+            texture = value;
+        } else if (this.textureHandles.has(value)) {
+            texture = this.getOrCreateTexture(value.source, false);
+        } else if (this.isImageSourceReady(value)) {
+            // Shaders sample the whole texture, so images get one of their own instead of an atlas region
+            texture = this.getOrCreateTexture(value, false);
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        return unit;
+    }
+
+    /*
+     * Create a mesh for drawWithShader, kept on the GPU until deleteMesh
+     * Attributes read the shared vertex buffer at their offset and the mesh stride, or a buffer
+     * of their own when given data. Offsets and stride left out are those of tightly packed
+     * attributes in the order given.
+     * @param {Object} options - Mesh options
+     * @param {ArrayBufferView|Array<number>} options.vertices - Interleaved vertex data, arrays become Float32Array
+     * @param {number} options.stride - Bytes from one vertex to the next in vertices
+     * @param {Object} options.attributes - Attribute layouts by name: { size, type, normalized, offset, stride, data }.
+     *   type is 'float' (default), 'byte', 'unsigned_byte', 'short', 'unsigned_short' or a GL enum,
+     *   normalized maps integers to 0..1 (-1..1 when signed)
+     * @param {ArrayBufferView|Array<number>} options.indices - Uint8Array, Uint16Array or Uint32Array indices,
+     *   arrays become Uint16Array (Uint32Array past 65535, when supported)
+     * @param {string} options.mode - 'triangles' (default), 'triangle_strip', 'triangle_fan', 'lines', 'line_strip', 'line_loop' or 'points'
+     * @param {string} options.usage - 'static' (default), 'dynamic' or 'stream', how often the data changes
+     * @returns {Object} Mesh handle for drawWithShader, updateMesh and deleteMesh
+     */
+    createMesh(options = {}) {
+        const gl = this.gl;
+        const attributes = [];
+        let packedStride = 0;
+
+        for (const name of Object.keys(options.attributes || {})) {
+            const layout = options.attributes[name];
+            const type = this.getMeshAttributeType(layout.type);
+            const attribute = {
+                name,
+                size: layout.size || 1,
+                type,
+                normalized: !!layout.normalized,
+                offset: 0,
+                stride: layout.stride || 0,
+                data: null,
+                buffer: null
+            };
+
+            if (layout.data) {
+                attribute.data = this.toMeshArray(layout.data, type);
+                attribute.offset = layout.offset || 0;
+            } else {
+                attribute.offset = layout.offset !== undefined ? layout.offset : packedStride;
+                packedStride = Math.max(packedStride, attribute.offset + attribute.size * this.getMeshTypeSize(type));
+            }
+            attributes.push(attribute);
+        }
+
+        const mesh = {
+            vertices: options.vertices ? this.toMeshArray(options.vertices, gl.FLOAT) : null,
+            vertexBuffer: null,
+            stride: options.stride || packedStride,
+            attributes,
+            indices: null,
+            indexBuffer: null,
+            indexType: 0,
+            mode: this.getMeshMode(options.mode),
+            usage: { static: gl.STATIC_DRAW, dynamic: gl.DYNAMIC_DRAW, stream: gl.STREAM_DRAW }[options.usage || 'static'],
+            count: 0
+        };
+
+        // Shared attributes read at the mesh stride unless they have their own
+        for (const attribute of attributes) {
+            if (!attribute.data && !attribute.stride) {
+                attribute.stride = mesh.stride;
+            }
+        }
+
+        if (options.indices) {
+            this.setMeshIndices(mesh, options.indices);
+        }
+        mesh.count = options.count !== undefined ? options.count : this.getMeshCount(mesh);
+
+        this.uploadMesh(mesh);
+        this.meshes.add(mesh);
+        return mesh;
+    }
+
+    /*
+     * Replace or overwrite the data of a mesh
+     * Data of the same size as before, or given with a byteOffset, is written into the existing buffer.
+     * @param {Object} mesh - Mesh handle
+     * @param {Object} data - New data
+     * @param {ArrayBufferView|Array<number>} data.vertices - Interleaved vertex data
+     * @param {number} data.byteOffset - Where vertices (or data.attributes) go in the existing data
+     * @param {Object} data.attributes - Data of attributes with buffers of their own, by name
+     * @param {ArrayBufferView|Array<number>} data.indices - New indices
+     * @param {number} data.count - Vertices (or indices) to draw, recounted from the data when left out
+     */
+    updateMesh(mesh, data) {
+        const gl = this.gl;
+        const ready = gl && !this.isContextLost();
+        const byteOffset = data.byteOffset || 0;
+
+        if (data.vertices) {
+            const vertices = this.toMeshArray(data.vertices, gl.FLOAT);
+            mesh.vertices = this.writeMeshData(mesh.vertices, vertices, byteOffset);
+            if (ready) {
+                if (!mesh.vertexBuffer) {
+                    mesh.vertexBuffer = gl.createBuffer();
+                }
+                this.uploadMeshBuffer(mesh.vertexBuffer, mesh.vertices, vertices, byteOffset, mesh.usage);
+            }
+        }
+
+        for (const name of Object.keys(data.attributes || {})) {
+            const attribute = mesh.attributes.find(a => a.name === name && a.data);
+            if (!attribute) {
+                throw new Error(`Mesh has no attribute "${name}" with data of its own`);
+            }
+            const values = this.toMeshArray(data.attributes[name], attribute.type);
+            attribute.data = this.writeMeshData(attribute.data, values, byteOffset);
+            if (ready) {
+                this.uploadMeshBuffer(attribute.buffer, attribute.data, values, byteOffset, mesh.usage);
+            }
+        }
+
+        if (data.indices) {
+            const previous = mesh.indices;
+            this.setMeshIndices(mesh, data.indices);
+            if (ready) {
+                if (!mesh.indexBuffer) {
+                    mesh.indexBuffer = gl.createBuffer();
+                }
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.indexBuffer);
+                if (previous && previous.byteLength === mesh.indices.byteLength) {
+                    gl.bufferSubData(gl.ELEMENT_ARRAY_BUFFER, 0, mesh.indices);
+                } else {
+                    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, mesh.indices, mesh.usage);
+                }
+            }
+        }
+
+        mesh.count = data.count !== undefined ? data.count : this.getMeshCount(mesh);
+    }
+
+    /*
+     * Delete the buffers of a mesh
+     * @param {Object} mesh - Mesh handle
+     */
+    deleteMesh(mesh) {
+        const gl = this.gl;
+
+        if (gl && !this.isContextLost()) {
+            if (mesh.vertexBuffer) gl.deleteBuffer(mesh.vertexBuffer);
+            if (mesh.indexBuffer) gl.deleteBuffer(mesh.indexBuffer);
+            mesh.attributes.forEach(attribute => {
+                if (attribute.buffer) gl.deleteBuffer(attribute.buffer);
+            });
+        }
+
+        this.forgetMesh(mesh);
+        this.meshes.delete(mesh);
+    }
+
+    /*
+     * Drop the buffer references of a mesh, used when they were lost with the context
+     * @param {Object} mesh - Mesh handle
+     */
+    forgetMesh(mesh) {
+        mesh.vertexBuffer = null;
+        mesh.indexBuffer = null;
+        mesh.attributes.forEach(attribute => { attribute.buffer = null; });
+    }
+
+    /*
+     * Upload the meshes created before the context was lost
+     */
+    restoreMeshes() {
+        for (const mesh of this.meshes) {
+            try {
+                this.uploadMesh(mesh);
+            } catch (e) {
+                // console.warn('Failed to restore mesh:', e);
+            }
+        }
+    }
+
+    /*
+     * Create the buffers of a mesh from its data
+     * @param {Object} mesh - Mesh handle
+     */
+    uploadMesh(mesh) {
+        const gl = this.gl;
+        if (!gl || this.isContextLost()) return;
+
+        if (mesh.vertices) {
+            mesh.vertexBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vertexBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, mesh.vertices, mesh.usage);
+        }
+
+        for (const attribute of mesh.attributes) {
+            if (attribute.data) {
+                attribute.buffer = gl.createBuffer();
+                gl.bindBuffer(gl.ARRAY_BUFFER, attribute.buffer);
+                gl.bufferData(gl.ARRAY_BUFFER, attribute.data, mesh.usage);
+            }
+        }
+
+        if (mesh.indices) {
+            mesh.indexBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.indexBuffer);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, mesh.indices, mesh.usage);
+        }
+    }
+
+    /*
+     * Write new data into a buffer of a mesh, in place when it fits
+     * @param {WebGLBuffer} buffer - Buffer to write
+     * @param {ArrayBufferView} stored - Data of the buffer after writeMeshData
+     * @param {ArrayBufferView} values - Data written
+     * @param {number} byteOffset - Where the data goes
+     * @param {number} usage - Usage of the mesh
+     */
+    uploadMeshBuffer(buffer, stored, values, byteOffset, usage) {
+        const gl = this.gl;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        if (stored === values && byteOffset === 0) {
+            gl.bufferData(gl.ARRAY_BUFFER, values, usage);
+        } else {
+            gl.bufferSubData(gl.ARRAY_BUFFER, byteOffset, values);
+        }
+    }
+
+    /*
+     * Merge new data into the CPU copy of a mesh buffer, kept for context restores
+     * @param {ArrayBufferView} stored - Current data
+     * @param {ArrayBufferView} values - New data
+     * @param {number} byteOffset - Where the new data goes, 0 with a different size replaces the data
+     * @returns {ArrayBufferView} Data of the buffer
+     */
+    writeMeshData(stored, values, byteOffset) {
+        if (!stored || (byteOffset === 0 && values.byteLength !== stored.byteLength)) {
+            return values;
+        }
+        if (byteOffset + values.byteLength > stored.byteLength) {
+            throw new Error('Mesh data written past the end of the buffer');
+        }
+
+        new Uint8Array(stored.buffer, stored.byteOffset + byteOffset, values.byteLength)
+            .set(new Uint8Array(values.buffer, values.byteOffset, values.byteLength));
+        return stored;
+    }
+
+    /*
+     * Store the indices of a mesh with the matching index type
+     * @param {Object} mesh - Mesh handle
+     * @param {ArrayBufferView|Array<number>} indices - Indices
+     */
+    setMeshIndices(mesh, indices) {
+        const gl = this.gl;
+
+        if (Array.isArray(indices)) {
+            let largest = 0;
+            for (let i = 0; i < indices.length; i++) {
+                largest = Math.max(largest, indices[i]);
+            }
+            indices = largest > 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
+        }
+
+        if (indices instanceof Uint8Array) {
+            mesh.indexType = gl.UNSIGNED_BYTE;
+        } else if (indices instanceof Uint16Array) {
+            mesh.indexType = gl.UNSIGNED_SHORT;
+        } else if (indices instanceof Uint32Array) {
+            if (!gl.getExtension('OES_element_index_uint')) {
+                throw new Error('32-bit mesh indices are not supported on this device');
+            }
+            mesh.indexType = gl.UNSIGNED_INT;
+        } else {
+            throw new Error('Mesh indices must be a Uint8Array, Uint16Array, Uint32Array or an array');
+        }
+
+        mesh.indices = indices;
+    }
+
+    /*
+     * Number of indices of a mesh, or of vertices for meshes without indices
+     * @param {Object} mesh - Mesh handle
+     * @returns {number}
+     */
+    getMeshCount(mesh) {
+        if (mesh.indices) {
+            return mesh.indices.length;
+        }
+        if (mesh.vertices && mesh.stride > 0) {
+            return Math.floor(mesh.vertices.byteLength / mesh.stride);
+        }
+
+        const attribute = mesh.attributes.find(a => a.data);
+        if (attribute) {
+            const stride = attribute.stride || attribute.size * this.getMeshTypeSize(attribute.type);
+            return Math.floor((attribute.data.byteLength - attribute.offset) / stride);
+        }
+        return 0;
     }
 
     /*
- * Enhanced drawWithShader with context loss protection
- */
-    drawWithShader(shaderName, vertices, indices = null, uniforms = {}, attributes = {}) {
-        if (this.isContextLost()) {
-            // console.warn('Skipping drawWithShader - WebGL context is lost');
-            return;
+     * Convert vertex data to a typed array, arrays become the array type of the attribute type
+     * @param {ArrayBufferView|ArrayBuffer|Array<number>} data - Vertex data
+     * @param {number} type - GL type of the data
+     * @returns {ArrayBufferView}
+     */
+    toMeshArray(data, type) {
+        if (ArrayBuffer.isView(data)) {
+            return data;
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
         }
 
-        try {
-            const program = this.useShader(shaderName);
-            const gl = this.gl;
+        const gl = this.gl;
+        switch (type) {
+            case gl.BYTE: return new Int8Array(data);
+            case gl.UNSIGNED_BYTE: return new Uint8Array(data);
+            case gl.SHORT: return new Int16Array(data);
+            case gl.UNSIGNED_SHORT: return new Uint16Array(data);
+            default: return new Float32Array(data);
+        }
+    }
 
-            // Check if program is valid
-            if (!program || !gl.isProgram(program)) {
-                // console.error(`Invalid shader program: ${shaderName}`);
-                return;
-            }
+    /*
+     * GL enum of a mesh attribute type
+     * @param {string|number} type - Type name or GL enum, 'float' when left out
+     * @returns {number}
+     */
+    getMeshAttributeType(type = 'float') {
+        if (typeof type === 'number') {
+            return type;
+        }
 
-            // Create vertex buffer if needed
-            if (!this.customVertexBuffer) {
-                this.customVertexBuffer = gl.createBuffer();
-            }
+        const gl = this.gl;
+        const types = {
+            float: gl.FLOAT,
+            byte: gl.BYTE,
+            unsigned_byte: gl.UNSIGNED_BYTE,
+            short: gl.SHORT,
+            unsigned_short: gl.UNSIGNED_SHORT
+        };
+        if (types[type] === undefined) {
+            throw new Error(`Unknown mesh attribute type "${type}"`);
+        }
+        return types[type];
+    }
 
-            // Upload vertex data
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.customVertexBuffer);
-            gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW);
+    /*
+     * Size in bytes of one component of a mesh attribute type
+     * @param {number} type - GL enum
+     * @returns {number}
+     */
+    getMeshTypeSize(type) {
+        const gl = this.gl;
+        if (type === gl.BYTE || type === gl.UNSIGNED_BYTE) return 1;
+        if (type === gl.SHORT || type === gl.UNSIGNED_SHORT) return 2;
+        return 4;
+    }
 
-            // Set up position attribute (assuming it exists)
-            if (program.attributes && program.attributes['a_position'] !== undefined) {
-                gl.enableVertexAttribArray(program.attributes['a_position']);
-                gl.vertexAttribPointer(program.attributes['a_position'], 2, gl.FLOAT, false, 0, 0);
-            }
+    /*
+     * GL enum of a mesh primitive mode
+     * @param {string} mode - Mode name, 'triangles' when left out
+     * @returns {number}
+     */
+    getMeshMode(mode = 'triangles') {
+        const gl = this.gl;
+        const modes = {
+            triangles: gl.TRIANGLES,
+            triangle_strip: gl.TRIANGLE_STRIP,
+            triangle_fan: gl.TRIANGLE_FAN,
+            lines: gl.LINES,
+            line_strip: gl.LINE_STRIP,
+            line_loop: gl.LINE_LOOP,
+            points: gl.POINTS
+        };
+        if (modes[mode] === undefined) {
+            throw new Error(`Unknown mesh mode "${mode}"`);
+        }
+        return modes[mode];
+    }
 
-            // Set additional attributes
-            Object.keys(attributes).forEach(name => {
-                const location = program.attributes && program.attributes[name];
-                if (location !== undefined && location >= 0) {
-                    const data = attributes[name];
-                    // Create buffer for this attribute
-                    const buffer = gl.createBuffer();
-                    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-                    gl.bufferData(gl.ARRAY_BUFFER, data.data, gl.DYNAMIC_DRAW);
+    /*
+     * Issue the draw call of drawWithShader for a mesh
+     * Binds the buffers created with the mesh, nothing is allocated or uploaded.
+     * @param {string} shaderName - Shader from addShader
+     * @param {Object} mesh - Mesh handle
+     * @param {Object} uniforms - Uniform values
+     * @param {Object} options - Range to draw: first, count, and mode to override the mesh one
+     */
+    renderMesh(shaderName, mesh, uniforms, options) {
+        const program = this.useShader(shaderName);
+        const gl = this.gl;
 
-                    gl.enableVertexAttribArray(location);
-                    gl.vertexAttribPointer(location, data.size, data.type || gl.FLOAT, false, 0, 0);
-                }
-            });
+        if (!program || !gl.isProgram(program)) {
+            // console.error(`Invalid shader program: ${shaderName}`);
+            return;
+        }
 
-            // Set uniforms
-            Object.keys(uniforms).forEach(name => {
-                const location = program.uniforms && program.uniforms[name];
-                if (location !== null && location !== undefined) {
-                    const value = uniforms[name];
-                    if (Array.isArray(value)) {
-                        switch (value.length) {
-                            case 1: gl.uniform1f(location, value[0]); break;
-                            case 2: gl.uniform2f(location, value[0], value[1]); break;
-                            case 3: gl.uniform3f(location, value[0], value[1], value[2]); break;
-                            case 4: gl.uniform4f(location, value[0], value[1], value[2], value[3]); break;
-                            default: // console.warn(`Unsupported uniform array length for ${name}`);
-                        }
-                    } else if (typeof value === 'number') {
-                        gl.uniform1f(location, value);
-                    } else {
-                        // console.warn(`Unsupported uniform type for ${name}:`, typeof value);
-                    }
-                }
-            });
+        const attributes = mesh.attributes;
+        for (let i = 0; i < attributes.length; i++) {
+            const attribute = attributes[i];
+            const location = program.attributes && program.attributes[attribute.name];
+            if (location === undefined || location < 0) continue;
 
-            // Set common uniforms if they exist
-            if (program.uniforms && program.uniforms['u_resolution']) {
-                gl.uniform2f(program.uniforms['u_resolution'], this.width, this.height);
-            }
-            if (program.uniforms && program.uniforms['u_globalAlpha']) {
-                gl.uniform1f(program.uniforms['u_globalAlpha'], this.state.globalAlpha);
-            }
+            gl.bindBuffer(gl.ARRAY_BUFFER, attribute.data ? attribute.buffer : mesh.vertexBuffer);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, attribute.size, attribute.type, attribute.normalized, attribute.stride, attribute.offset);
+        }
 
-            // Draw
-            if (indices) {
-                // Create index buffer if needed
-                if (!this.customIndexBuffer) {
-                    this.customIndexBuffer = gl.createBuffer();
-                }
-                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.customIndexBuffer);
-                gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.DYNAMIC_DRAW);
-                gl.drawElements(gl.TRIANGLES, indices.length, gl.UNSIGNED_SHORT, 0);
-            } else {
-                gl.drawArrays(gl.TRIANGLES, 0, vertices.length / 2);
-            }
+        this.setShaderUniforms(program, uniforms);
 
-            // Check for errors after drawing
-            this.checkGLError(`drawWithShader(${shaderName})`);
+        const mode = options.mode !== undefined ? this.getMeshMode(options.mode) : mesh.mode;
+        const first = options.first || 0;
+        const count = options.count !== undefined ? options.count : mesh.count - first;
 
-        } catch (e) {
-            // console.error(`Error in drawWithShader(${shaderName}):`, e);
-            if (this.gl && this.gl.isContextLost()) {
-                // console.warn('Context lost during drawWithShader');
-                this.contextLost = true;
+        if (mesh.indexBuffer) {
+            const indexSize = mesh.indexType === gl.UNSIGNED_BYTE ? 1 : mesh.indexType === gl.UNSIGNED_SHORT ? 2 : 4;
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.indexBuffer);
+            gl.drawElements(mode, count, mesh.indexType, first * indexSize);
+        } else {
+            gl.drawArrays(mode, first, count);
+        }
+
+        // The next programs enable the attributes they read, these buffers may get deleted
+        for (let i = 0; i < attributes.length; i++) {
+            const location = program.attributes && program.attributes[attributes[i].name];
+            if (location !== undefined && location >= 0) {
+                gl.disableVertexAttribArray(location);
             }
         }
     }
@@ -5999,6 +11387,8 @@ class WebGLCanvas {
         // Recreate buffers with new size if WebGL is available
         if (this.gl && !this.isContextLost()) {
             this.safeWebGLOperation(() => {
+                // Queued runs point into the old buffers, draw them first
+                this.flushDrawQueue();
                 this.createBatchBuffers();
             }, 'batch buffer recreation');
         }
@@ -6065,14 +11455,52 @@ class WebGLCanvas {
     }
 
     /*
-     * Method to manually trigger context restore for testing
+     * Lose the WebGL context on purpose, for testing context loss handling
+     * With restoreAfter the context comes back after that many milliseconds, and the promise
+     * resolves once shaders, textures and framebuffers are rebuilt ('contextrestored'). If that
+     * doesn't happen within timeout milliseconds of the restore, it resolves false.
+     * @param {number} restoreAfter - Delay before restoring, in milliseconds (optional)
+     * @param {number} timeout - Time to wait for the restore, in milliseconds
+     * @return {Promise<boolean>} - False if the WEBGL_lose_context extension is not available,
+     *   or the context wasn't restored in time
      */
-    forceContextLoss() {
-        if (this.loseContextExtension) {
-            // console.log('Forcing context loss for testing...');
-            this.loseContextExtension.loseContext();
-        } else {
+    forceContextLoss(restoreAfter, timeout = 5000) {
+        const extension = this.loseContextExtension;
+        if (!extension) {
             // console.warn('WEBGL_lose_context extension not available');
+            return Promise.resolve(false);
+        }
+
+        // console.log('Forcing context loss for testing...');
+        if (restoreAfter === undefined) {
+            extension.loseContext();
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            let timer = null;
+            const finish = restored => {
+                clearTimeout(timer);
+                this.canvas.removeEventListener('contextrestored', onRestored);
+                resolve(restored);
+            };
+            const onRestored = () => finish(true);
+            this.canvas.addEventListener('contextrestored', onRestored);
+
+            extension.loseContext();
+            timer = setTimeout(() => {
+                this.forceContextRestore();
+                timer = setTimeout(() => finish(false), timeout);
+            }, restoreAfter);
+        });
+    }
+
+    /*
+     * Restore a context lost with forceContextLoss()
+     */
+    forceContextRestore() {
+        if (this.loseContextExtension && this.gl.isContextLost()) {
+            this.loseContextExtension.restoreContext();
         }
     }
 
@@ -6115,6 +11543,15 @@ class WebGLCanvas {
                     });
                 }
 
+                // Delete stencil renderbuffers
+                if (this.postProcessing.stencilBuffers) {
+                    this.postProcessing.stencilBuffers.forEach(rb => {
+                        if (this.gl.isRenderbuffer(rb)) {
+                            this.gl.deleteRenderbuffer(rb);
+                        }
+                    });
+                }
+
                 // Delete quad buffers
                 if (this.postProcessing.quadBuffer && this.gl.isBuffer(this.postProcessing.quadBuffer)) {
                     this.gl.deleteBuffer(this.postProcessing.quadBuffer);
@@ -6122,6 +11559,22 @@ class WebGLCanvas {
                 if (this.postProcessing.quadIndexBuffer && this.gl.isBuffer(this.postProcessing.quadIndexBuffer)) {
                     this.gl.deleteBuffer(this.postProcessing.quadIndexBuffer);
                 }
+
+                // Delete feedback histories
+                this.postProcessing.effects.forEach(effect => this.releaseFeedbackHistory(effect));
+
+                // Delete layer targets
+                this.layers.forEach(layer => this.deleteLayerTarget(layer));
+                this.layers.clear();
+
+                // Delete LUT textures
+                [...this.luts].forEach(lut => this.deleteLUT(lut));
+
+                // Delete CRT display targets
+                if (this.crt) {
+                    this.deleteCRTTargets();
+                    this.crt = null;
+                }
             } catch (e) {
                 // console.warn('Error during post-processing cleanup:', e);
             }
@@ -6166,12 +11619,18 @@ class WebGLCanvas {
                 }
 
                 // Clean up custom buffers
+                if (this.clipBuffer && this.gl.isBuffer(this.clipBuffer)) {
+                    this.gl.deleteBuffer(this.clipBuffer);
+                }
                 if (this.customVertexBuffer && this.gl.isBuffer(this.customVertexBuffer)) {
                     this.gl.deleteBuffer(this.customVertexBuffer);
                 }
                 if (this.customIndexBuffer && this.gl.isBuffer(this.customIndexBuffer)) {
                     this.gl.deleteBuffer(this.customIndexBuffer);
                 }
+                this.customAttributeBuffers.forEach(buffer => this.gl.deleteBuffer(buffer));
+                this.customAttributeBuffers.clear();
+                [...this.meshes].forEach(mesh => this.deleteMesh(mesh));
 
                 // Clean up shaders
                 if (this.shaders) {
@@ -6184,12 +11643,17 @@ class WebGLCanvas {
 
                 // Clean up textures
                 if (this.textureCache) {
-                    this.textureCache.forEach((texture) => {
-                        if (this.gl.isTexture(texture)) {
-                            this.gl.deleteTexture(texture);
+                    this.textureCache.forEach((entry) => {
+                        if (!entry.atlas && this.gl.isTexture(entry.texture)) {
+                            this.gl.deleteTexture(entry.texture);
                         }
                     });
                 }
+                if (this.textureAtlas) {
+                    this.textureAtlas.pages.forEach(page => {
+                        if (page.texture) this.gl.deleteTexture(page.texture);
+                    });
+                }
             } catch (e) {
                 // console.warn('Error during WebGL cleanup (context may be lost):', e);
             }
@@ -6206,6 +11670,11 @@ class WebGLCanvas {
 
         // Clear other references...
         if (this.textureCache) this.textureCache.clear();
+        if (this.textureHandles) {
+            this.textureHandles.forEach(handle => Object.assign(handle, { texture: null, width: 0, height: 0, bytes: 0 }));
+            this.textureHandles.clear();
+        }
+        this.textureMemory = 0;
         if (this.fontCache) this.fontCache.clear();
 
         // console.log('WebGLCanvas disposed successfully');
@@ -6264,6 +11733,490 @@ class WebGLCanvas {
         }
     }
 
+    /*
+     * Create an offscreen layer
+     * The layer has the same drawing API as the canvas and its own drawing state. What is drawn
+     * into it stays in a texture, so it can be passed to drawImage, or to drawWithShader as a
+     * sampler uniform. Layers keep their size when the canvas is resized and are recreated,
+     * cleared, after a context loss. Post-processing effects added through the layer apply to
+     * the layer alone, whenever it is drawn.
+     * @param {number} width - Layer width in pixels
+     * @param {number} height - Layer height in pixels
+     * @returns {WebGLCanvas} Layer handle, with resize(width, height) and dispose() of its own
+     */
+    createLayer(width, height) {
+        const layer = {
+            width: Math.max(1, Math.round(width)),
+            height: Math.max(1, Math.round(height)),
+            framebuffer: null,
+            texture: null,
+            stencilBuffer: null,
+            outputFramebuffer: null, // Result of the layer's post-processing chain
+            outputTexture: null,
+            version: 0, // Bumped by every draw into the layer, to know when its effects are stale
+            processed: null, // Version and effects the output was rendered from
+            returnFramebuffer: undefined, // Binding to go back to once a draw into the layer is done
+            postProcessing: {
+                enabled: false,
+                effects: [],
+                framebuffers: [],
+                tempTextures: [],
+                stencilBuffers: [],
+                version: 0
+            },
+            contentLost: false, // Set when the context restore left the layer empty, until it is drawn into
+            restoreCallbacks: [], // From handle.onRestore, called with the handle after a context restore
+            fields: null,
+            handle: null
+        };
+
+        // Drawing fields of the layer, swapped with the canvas' own while it is drawn into
+        layer.fields = this.createTargetFields(layer, layer.width, layer.height);
+
+        if (this.gl && !this.isContextLost()) {
+            this.createLayerTarget(layer);
+        }
+
+        layer.handle = Object.create(this.getLayerHandlePrototype());
+        this.layers.set(layer.handle, layer);
+        return layer.handle;
+    }
+
+    /*
+     * Create the fields that belong to a drawing target, the canvas or a layer
+     * The canvas holds the fields of the target being drawn into, layers keep theirs in
+     * layer.fields in between (see swapLayerFields). A field added here is per target everywhere.
+     * @param {Object|null} drawTarget - Layer record, null for the canvas
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @returns {Object} Drawing state, path, size and offscreen targets of the target
+     */
+    createTargetFields(drawTarget, width, height) {
+        return {
+            // Drawing state and the stack of save()
+            state: this.createDefaultState(),
+            stateStack: [],
+
+            // Path state
+            currentPath: [],
+            pathStartX: 0,
+            pathStartY: 0,
+            currentX: 0,
+            currentY: 0,
+
+            width,
+            height,
+
+            // Shadow and read-back composite targets, created on first use
+            bloomFramebuffer: null,
+            bloomTexture: null,
+            bloomStencilBuffer: null,
+            compositeLayer: null,
+
+            // Layer being drawn into, null for the canvas itself
+            drawTarget
+        };
+    }
+
+    /*
+     * Get the prototype shared by layer handles
+     * Every method and accessor of the canvas runs with the handle's layer as the drawing target.
+     * The per-target fields read the layer's own values, the size, texture and post-processing
+     * chain come from the layer record, with contentLost and onRestore(callback) to redraw the
+     * layer after a context loss. Handles of deleted layers throw.
+     * @returns {Object} Prototype of the handles returned by createLayer
+     */
+    getLayerHandlePrototype() {
+        if (this.layerHandlePrototype) return this.layerHandlePrototype;
+
+        const canvas = this;
+        const layerOf = handle => {
+            const layer = canvas.layers.get(handle);
+            if (!layer) throw new Error('Layer has been disposed');
+            return layer;
+        };
+        const prototype = Object.create(Object.getPrototypeOf(this));
+
+        // Methods and accessors of the class and any subclass, nearest definition first
+        for (let source = Object.getPrototypeOf(this); source && source !== Object.prototype; source = Object.getPrototypeOf(source)) {
+            for (const key of Object.getOwnPropertyNames(source)) {
+                if (key === 'constructor' || Object.prototype.hasOwnProperty.call(prototype, key)) continue;
+
+                const descriptor = Object.getOwnPropertyDescriptor(source, key);
+                if (typeof descriptor.value === 'function') {
+                    const method = descriptor.value;
+                    Object.defineProperty(prototype, key, {
+                        value: function (...args) {
+                            return canvas.withLayer(layerOf(this), () => method.apply(canvas, args));
+                        },
+                        writable: true,
+                        configurable: true
+                    });
+                } else if (descriptor.get || descriptor.set) {
+                    const { get, set } = descriptor;
+                    Object.defineProperty(prototype, key, {
+                        get: get && function () {
+                            return canvas.withLayer(layerOf(this), () => get.call(canvas));
+                        },
+                        set: set && function (value) {
+                            canvas.withLayer(layerOf(this), () => set.call(canvas, value));
+                        },
+                        configurable: true
+                    });
+                }
+            }
+        }
+
+        // Per-target fields, on the canvas while the layer is the drawing target
+        for (const key of Object.keys(this.createTargetFields(null, 0, 0))) {
+            Object.defineProperty(prototype, key, {
+                get() {
+                    const layer = layerOf(this);
+                    return canvas.drawTarget === layer ? canvas[key] : layer.fields[key];
+                },
+                configurable: true
+            });
+        }
+
+        Object.defineProperties(prototype, {
+            width: { get() { return layerOf(this).width; } },
+            height: { get() { return layerOf(this).height; } },
+            texture: { get() { return layerOf(this).texture; } },
+            postProcessing: { get() { return layerOf(this).postProcessing; } },
+            contentLost: { get() { return layerOf(this).contentLost; } },
+            onRestore: {
+                value: function (callback) {
+                    layerOf(this).restoreCallbacks.push(callback);
+                }
+            },
+            resize: {
+                value: function (width, height) {
+                    canvas.resizeLayer(layerOf(this), width, height);
+                }
+            },
+            dispose: {
+                value: function () {
+                    canvas.deleteLayer(this);
+                }
+            }
+        });
+
+        this.layerHandlePrototype = prototype;
+        return prototype;
+    }
+
+    /*
+     * Run a function with a layer as the drawing target
+     * Draws are queued for the layer, its framebuffer is only bound when the queue is flushed
+     * @param {Object} layer - Layer record
+     * @param {Function} draw - Function to run
+     * @returns {*} What the function returned
+     */
+    withLayer(layer, draw) {
+        if (this.drawTarget === layer) return draw();
+
+        this.swapLayerFields(layer);
+        try {
+            return draw();
+        } finally {
+            this.swapLayerFields(layer);
+
+            // A flush inside the call left the layer bound
+            if (layer.returnFramebuffer !== undefined) {
+                if (this.gl && !this.isContextLost()) {
+                    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, layer.returnFramebuffer);
+                    this.gl.viewport(0, 0, this.width, this.height);
+                }
+                layer.returnFramebuffer = undefined;
+            }
+        }
+    }
+
+    /*
+     * Exchange the drawing fields of the canvas with the ones kept for a layer
+     * @param {Object} layer - Layer record
+     */
+    swapLayerFields(layer) {
+        const fields = layer.fields;
+
+        for (const key of Object.keys(fields)) {
+            const value = this[key];
+            this[key] = fields[key];
+            fields[key] = value;
+        }
+    }
+
+    /*
+     * Move a flush from one drawing target to another
+     * The fields of the target that called flush stay on the canvas, other targets swap theirs in
+     * @param {Object|null} from - Layer record drawn so far, null for the canvas
+     * @param {Object|null} to - Layer record to draw next, null for the canvas
+     * @param {Object|null} caller - Drawing target when the flush started
+     * @param {WebGLFramebuffer|null} canvasFramebuffer - Framebuffer the canvas draws into
+     */
+    switchFlushTarget(from, to, caller, canvasFramebuffer) {
+        const gl = this.gl;
+
+        if (from !== caller) this.swapLayerFields(from || caller);
+        if (to !== caller) this.swapLayerFields(to || caller);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, to ? to.framebuffer : canvasFramebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+    }
+
+    /*
+     * Create the texture and framebuffer of a layer, cleared to transparent
+     * @param {Object} layer - Layer record
+     */
+    createLayerTarget(layer) {
+        const gl = this.gl;
+
+        layer.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, layer.width, layer.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // addImageToBatch maps source rectangles through the texture size
+        layer.texture.width = layer.width;
+        layer.texture.height = layer.height;
+
+        // Stencil attachment so clipping works inside the layer
+        layer.stencilBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, layer.stencilBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, layer.width, layer.height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+        const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        layer.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, layer.texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, layer.stencilBuffer);
+
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            // console.error('Layer framebuffer is not complete');
+        }
+
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+    }
+
+    /*
+     * Create the texture that receives the post-processing result of a layer
+     * @param {Object} layer - Layer record
+     */
+    createLayerOutput(layer) {
+        const gl = this.gl;
+
+        layer.outputTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, layer.outputTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, layer.width, layer.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        layer.outputTexture.width = layer.width;
+        layer.outputTexture.height = layer.height;
+
+        const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        layer.outputFramebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.outputFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, layer.outputTexture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+    }
+
+    /*
+     * Get the texture to sample when a layer is drawn
+     * With post-processing effects, the chain is queued to run before the draw when the layer
+     * changed since it last ran, otherwise the layer's own texture is used
+     * @param {Object} layer - Layer record
+     * @returns {WebGLTexture} Texture holding what the layer looks like
+     */
+    getLayerTexture(layer) {
+        const post = layer.postProcessing;
+        if (!this.hasLayerEffects(layer)) {
+            return layer.texture;
+        }
+
+        if (!layer.outputTexture) {
+            this.createLayerOutput(layer);
+        }
+
+        // Effects that change over time run on every draw
+        const animated = post.effects.some(effect => this.isAnimatedPostEffect(effect));
+        if (animated || !layer.processed || layer.processed.version !== layer.version || layer.processed.effects !== post.version) {
+            layer.processed = { version: layer.version, effects: post.version };
+            this.drawQueue.push({
+                type: 'layerEffects', start: 0, count: 0, target: layer,
+                compositeOperation: 'source-over', clip: null, shadow: null, params: {}
+            });
+        }
+
+        return layer.outputTexture;
+    }
+
+    /*
+     * Check whether an effect looks different from one frame to the next without being changed
+     * @param {Object} effect - Effect of a post-processing chain
+     * @returns {boolean} True for feedback, registered effects reading u_time and running LUT transitions
+     */
+    isAnimatedPostEffect(effect) {
+        const entry = this.postEffectRegistry.get(effect.name);
+        if (entry) {
+            return entry.usesTime;
+        }
+        if (effect.name === 'feedback') {
+            return true;
+        }
+        return effect.name === 'lut' && !!effect.parameters.transition;
+    }
+
+    /*
+     * Check whether a layer has post-processing effects to apply when it is drawn
+     * @param {Object} layer - Layer record
+     * @returns {boolean} True when the layer's chain is enabled and not empty
+     */
+    hasLayerEffects(layer) {
+        return layer.postProcessing.enabled && layer.postProcessing.effects.length > 0;
+    }
+
+    /*
+     * Run the post-processing chain of the layer being flushed into its output texture
+     */
+    renderLayerEffects() {
+        const gl = this.gl;
+        const layer = this.drawTarget;
+        const post = layer.postProcessing;
+
+        if (post.framebuffers.length === 0) {
+            this.createPostProcessingFramebuffers(post);
+        }
+
+        // Effects clear their targets, layers need those to stay transparent
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(0, 0, 0, 0);
+        this.renderPostProcessing();
+        gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+        this.checkGLError('renderLayerEffects');
+    }
+
+    /*
+     * Release the GPU objects of a layer, including its effect, shadow and read-back targets
+     * @param {Object} layer - Layer record
+     */
+    deleteLayerTarget(layer) {
+        const gl = this.gl;
+        const fields = layer.fields;
+
+        if (gl && !this.isContextLost()) {
+            if (layer.framebuffer) gl.deleteFramebuffer(layer.framebuffer);
+            if (layer.texture) gl.deleteTexture(layer.texture);
+            if (layer.stencilBuffer) gl.deleteRenderbuffer(layer.stencilBuffer);
+            if (layer.outputFramebuffer) gl.deleteFramebuffer(layer.outputFramebuffer);
+            if (layer.outputTexture) gl.deleteTexture(layer.outputTexture);
+            layer.postProcessing.framebuffers.forEach(fb => gl.deleteFramebuffer(fb));
+            layer.postProcessing.tempTextures.forEach(tex => gl.deleteTexture(tex));
+            layer.postProcessing.stencilBuffers.forEach(rb => gl.deleteRenderbuffer(rb));
+            layer.postProcessing.effects.forEach(effect => this.releaseFeedbackHistory(effect));
+            if (fields.bloomFramebuffer) gl.deleteFramebuffer(fields.bloomFramebuffer);
+            if (fields.bloomTexture) gl.deleteTexture(fields.bloomTexture);
+            if (fields.bloomStencilBuffer) gl.deleteRenderbuffer(fields.bloomStencilBuffer);
+            if (fields.compositeLayer) {
+                gl.deleteFramebuffer(fields.compositeLayer.framebuffer);
+                gl.deleteTexture(fields.compositeLayer.texture);
+                gl.deleteTexture(fields.compositeLayer.destinationTexture);
+                gl.deleteRenderbuffer(fields.compositeLayer.stencilBuffer);
+            }
+        }
+
+        this.forgetLayerTarget(layer);
+    }
+
+    /*
+     * Drop the GPU object references of a layer, used when they were lost with the context
+     * @param {Object} layer - Layer record
+     */
+    forgetLayerTarget(layer) {
+        layer.framebuffer = null;
+        layer.texture = null;
+        layer.stencilBuffer = null;
+        layer.outputFramebuffer = null;
+        layer.outputTexture = null;
+        layer.processed = null;
+        layer.postProcessing.framebuffers = [];
+        layer.postProcessing.tempTextures = [];
+        layer.postProcessing.stencilBuffers = [];
+        layer.postProcessing.effects.forEach(effect => { if (effect.history) effect.history = null; });
+        layer.fields.bloomFramebuffer = null;
+        layer.fields.bloomTexture = null;
+        layer.fields.bloomStencilBuffer = null;
+        layer.fields.compositeLayer = null;
+    }
+
+    /*
+     * Resize a layer
+     * Like resizing the canvas, this clears its contents
+     * @param {Object} layer - Layer record
+     * @param {number} width - New width in pixels
+     * @param {number} height - New height in pixels
+     */
+    resizeLayer(layer, width, height) {
+        // Queued draws into the layer still go in at the old size
+        this.flushDrawQueue();
+        this.deleteLayerTarget(layer);
+
+        layer.width = Math.max(1, Math.round(width));
+        layer.height = Math.max(1, Math.round(height));
+        layer.fields.width = layer.width;
+        layer.fields.height = layer.height;
+        layer.version++;
+
+        if (this.gl && !this.isContextLost()) {
+            this.createLayerTarget(layer);
+        }
+    }
+
+    /*
+     * Delete a layer created with createLayer
+     * @param {WebGLCanvas} handle - Layer handle
+     */
+    deleteLayer(handle) {
+        const layer = this.layers.get(handle);
+        if (!layer) return;
+
+        // Draws queued for the layer need its framebuffer
+        if (this.drawQueue.some(command => command.target === layer)) {
+            this.flushDrawQueue();
+        }
+
+        this.deleteLayerTarget(layer);
+        this.layers.delete(handle);
+    }
+
+    /*
+     * Recreate the targets of every layer after a context restore
+     * Their contents are gone, so they are marked contentLost until drawn into again
+     */
+    restoreLayers() {
+        for (const layer of this.layers.values()) {
+            try {
+                this.createLayerTarget(layer);
+                layer.contentLost = true;
+            } catch (e) {
+                // console.warn('Failed to restore layer:', e);
+            }
+        }
+    }
+
     /*
         * Resize the canvas
         * Updates the canvas size and WebGL viewport
@@ -6277,9 +12230,28 @@ class WebGLCanvas {
         this.height = height;
         this.gl.viewport(0, 0, width, height);
 
-        // Recreate post-processing framebuffers with new size
-        if (this.postProcessing.enabled) {
-            this.recreatePostProcessingFramebuffers();
+        // Recreate post-processing framebuffers with new size,
+        // shadows blur through them even when post-processing is off
+        this.recreatePostProcessingFramebuffers();
+
+        // Feedback histories are recreated at the new size
+        this.postProcessing.effects.forEach(effect => this.releaseFeedbackHistory(effect));
+
+        // Bloom target is recreated at the new size on next use
+        if (this.bloomFramebuffer) {
+            this.gl.deleteFramebuffer(this.bloomFramebuffer);
+            this.gl.deleteTexture(this.bloomTexture);
+            this.gl.deleteRenderbuffer(this.bloomStencilBuffer);
+            this.bloomFramebuffer = null;
+            this.bloomTexture = null;
+            this.bloomStencilBuffer = null;
+        }
+
+        this.deleteCompositeLayer();
+
+        // The drawing buffer of the CRT display stays a multiple of the canvas size
+        if (this.crt) {
+            this.applyCRTScale();
         }
     }
 
@@ -6292,10 +12264,12 @@ class WebGLCanvas {
         // Delete old framebuffers and textures
         this.postProcessing.framebuffers.forEach(fb => gl.deleteFramebuffer(fb));
         this.postProcessing.tempTextures.forEach(tex => gl.deleteTexture(tex));
+        this.postProcessing.stencilBuffers.forEach(rb => gl.deleteRenderbuffer(rb));
 
         // Clear arrays
         this.postProcessing.framebuffers = [];
         this.postProcessing.tempTextures = [];
+        this.postProcessing.stencilBuffers = [];
 
         // Recreate with new size
         this.createPostProcessingFramebuffers();